@@ -15,8 +15,8 @@ const path = require('path');
 // ── Config ───────────────────────────────────────────────────
 const OCR_ENGINE_URL = process.env.OCR_ENGINE_URL || 'http://localhost:3001';
 const OCR_API_KEY = process.env.OCR_API_KEY || '';         // if you set API_KEY in the engine
-const DEFAULT_POLL_INTERVAL_MS = 2000;
-const DEFAULT_POLL_TIMEOUT_MS = 120000;
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_SYNC_WAIT_SECONDS = 60;
 
 function getHeaders() {
   const headers = { 'Content-Type': 'application/json' };
@@ -24,6 +24,20 @@ function getHeaders() {
   return headers;
 }
 
+// Same formats the engine accepts; anything else falls back to a generic binary type
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+};
+
+function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
 // ── 1. Upload a single document ──────────────────────────────
 /**
  * Upload a PDF file to the extraction engine.
@@ -34,7 +48,7 @@ async function uploadDocument(filePath) {
   const form = new FormData();
   form.append('file', fs.createReadStream(filePath), {
     filename: path.basename(filePath),
-    contentType: 'application/pdf',
+    contentType: contentTypeFor(filePath),
   });
 
   const response = await axios.post(
@@ -60,7 +74,7 @@ async function uploadDocumentsBatch(filePaths) {
   for (const fp of filePaths) {
     form.append('files', fs.createReadStream(fp), {
       filename: path.basename(fp),
-      contentType: 'application/pdf',
+      contentType: contentTypeFor(fp),
     });
   }
 
@@ -76,7 +90,37 @@ async function uploadDocumentsBatch(filePaths) {
   return response.data;
 }
 
-// ── 3. Get job status ─────────────────────────────────────────
+// ── 3. Upload and wait server-side (sync extract) ─────────────
+/**
+ * Upload a document and let the engine hold the request open until the
+ * job finishes or `waitSeconds` expires (capped by the engine's SYNC_WAIT_MAX).
+ * @param {string} filePath
+ * @param {number} waitSeconds
+ * @returns {{ status: 'success', result } | { status: 'failed', error_message } | { status: 'queued', job_id }}
+ */
+async function extractDocument(filePath, waitSeconds = DEFAULT_SYNC_WAIT_SECONDS) {
+  const form = new FormData();
+  form.append('file', fs.createReadStream(filePath), {
+    filename: path.basename(filePath),
+    contentType: contentTypeFor(filePath),
+  });
+
+  const response = await axios.post(
+    `${OCR_ENGINE_URL}/api/v1/extract`,
+    form,
+    {
+      params: { wait: waitSeconds },
+      headers: { ...form.getHeaders(), ...(OCR_API_KEY ? { 'x-api-key': OCR_API_KEY } : {}) },
+      maxBodyLength: Infinity,
+      timeout: (waitSeconds + 30) * 1000,
+      validateStatus: s => s === 200 || s === 202 || s === 422,
+    }
+  );
+
+  return response.data;
+}
+
+// ── 3b. Get job status ────────────────────────────────────────────
 /**
  * @param {string} jobId
  * @returns {{ id, status, error_message, created_at, completed_at, ... }}
@@ -115,43 +159,132 @@ async function getJobArtifacts(jobId) {
   return response.data;
 }
 
-// ── Helper: Poll until complete ───────────────────────────────
+// ── 6. Cancel a job ───────────────────────────────────────────
+/**
+ * Queued jobs are removed; running jobs stop after the current page.
+ * @param {string} jobId
+ * @returns {{ job_id, status: 'cancelled', message }}
+ */
+async function cancelJob(jobId) {
+  const response = await axios.delete(
+    `${OCR_ENGINE_URL}/api/v1/jobs/${jobId}`,
+    { headers: getHeaders() }
+  );
+  return response.data;
+}
+
+// ── 6b. Retry a dead-lettered job ─────────────────────────────
+/**
+ * Queue a permanently failed job again under the same job id.
+ * Jobs that failed on their PDF password need the password again.
+ * @param {string} jobId
+ * @param {string} [password]
+ * @returns {{ job_id, document_id, status: 'queued', message }}
+ */
+async function retryJob(jobId, password) {
+  const response = await axios.post(
+    `${OCR_ENGINE_URL}/api/v1/jobs/${jobId}/retry`,
+    password ? { password } : {},
+    { headers: getHeaders() }
+  );
+  return response.data;
+}
+
+// ── 7. Watch live job progress (Server-Sent Events) ──────────
+/**
+ * Follow GET /api/v1/jobs/:id/events until the job finishes.
+ * Resolves with the final event: { event: 'completed' | 'failed' | 'cancelled', data }.
+ * @param {string} jobId
+ * @param {{ onProgress?, onWarning?, timeoutMs? }} opts
+ */
+async function watchJob(jobId, { onProgress, onWarning, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await axios.get(`${OCR_ENGINE_URL}/api/v1/jobs/${jobId}/events`, {
+      headers: { ...getHeaders(), Accept: 'text/event-stream' },
+      responseType: 'stream',
+      signal: controller.signal,
+    });
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+
+        // Lines starting with ':' are heartbeats
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+        if (!fields.event) continue;
+
+        const data = JSON.parse(fields.data || '{}');
+        if (fields.event === 'progress' && onProgress) onProgress(data);
+        if (fields.event === 'warning' && onWarning) onWarning(data);
+        if (['completed', 'failed', 'cancelled'].includes(fields.event)) {
+          response.data.destroy();
+          return { event: fields.event, data };
+        }
+      }
+    }
+    throw new Error(`Event stream for job ${jobId} ended without an outcome`);
+  } catch (err) {
+    if (controller.signal.aborted) throw new Error(`Timed out waiting for job ${jobId} after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ── Helper: Wait until complete ───────────────────────────────
 /**
  * Upload a document and wait for processing to complete.
- * Polls status and resolves with the final JSON result.
+ * Uses the sync extract endpoint first; only if the engine's wait expires
+ * does it follow the job's live event stream.
  *
  * @param {string} filePath
- * @param {{ pollIntervalMs?, pollTimeoutMs? }} opts
+ * @param {{ waitSeconds?, timeoutMs?, onProgress? }} opts
  * @returns {Promise<object>} Final extraction JSON
  */
 async function uploadAndWait(filePath, opts = {}) {
-  const pollInterval = opts.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
-  const pollTimeout = opts.pollTimeoutMs || DEFAULT_POLL_TIMEOUT_MS;
+  const timeout = opts.timeoutMs || opts.pollTimeoutMs || DEFAULT_TIMEOUT_MS; // pollTimeoutMs: older callers
+  const waitSeconds = opts.waitSeconds || Math.min(DEFAULT_SYNC_WAIT_SECONDS, Math.ceil(timeout / 1000));
+  const started = Date.now();
 
-  // 1. Upload
-  const { job_id } = await uploadDocument(filePath);
-  console.log(`Document queued. job_id=${job_id}`);
+  // 1. Upload and wait server-side
+  const extracted = await extractDocument(filePath, waitSeconds);
 
-  // 2. Poll
-  const deadline = Date.now() + pollTimeout;
-  while (Date.now() < deadline) {
-    const job = await getJobStatus(job_id);
+  if (extracted.status === 'success') {
+    console.log(`Job complete. job_id=${extracted.job_id}`);
+    return extracted.result;
+  }
 
-    if (job.status === 'success') {
-      console.log(`Job complete. Fetching result...`);
-      return await getJobResult(job_id);
-    }
+  if (extracted.status === 'failed') {
+    throw new Error(`OCR job failed: ${extracted.error_message}`);
+  }
 
-    if (job.status === 'failed') {
-      throw new Error(`OCR job failed: ${job.error_message}`);
-    }
+  // 2. Still running: follow its progress for the remaining time
+  const { job_id } = extracted;
+  console.log(`Document still processing. job_id=${job_id}`);
+  const outcome = await watchJob(job_id, {
+    timeoutMs: Math.max(timeout - (Date.now() - started), 1000),
+    onProgress: opts.onProgress || (p => console.log(`Job ${job_id}: ${p.stage} ${p.percent}%`)),
+  });
+
+  if (outcome.event === 'completed') {
+    console.log(`Job complete. Fetching result...`);
+    return await getJobResult(job_id);
+  }
 
-    // Still queued/running
-    console.log(`Job status: ${job.status}. Waiting ${pollInterval}ms...`);
-    await new Promise(r => setTimeout(r, pollInterval));
+  if (outcome.event === 'cancelled') {
+    throw new Error(`OCR job ${job_id} was cancelled`);
   }
 
-  throw new Error(`Timed out waiting for job ${job_id} after ${pollTimeout}ms`);
+  throw new Error(`OCR job failed: ${outcome.data.error_message}`);
 }
 
 // ── Health check ──────────────────────────────────────────────
@@ -169,8 +302,7 @@ async function exampleUsage() {
 
     // Upload and wait for result
     const result = await uploadAndWait('./sample-statement.pdf', {
-      pollIntervalMs: 3000,
-      pollTimeoutMs: 180000,
+      timeoutMs: 180000,
     });
 
     console.log('Document type:', result.document_type);
@@ -222,9 +354,13 @@ async function exampleUsage() {
 module.exports = {
   uploadDocument,
   uploadDocumentsBatch,
+  extractDocument,
   getJobStatus,
   getJobResult,
   getJobArtifacts,
+  cancelJob,
+  retryJob,
+  watchJob,
   uploadAndWait,
   checkEngineHealth,
 };
@@ -0,0 +1,15 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v2
+-- Checksum-based deduplication of uploads
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- documents.duplicate_of
+-- Set when an upload matched a completed document by checksum
+-- and was linked to its result instead of being processed
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE documents
+    ADD COLUMN duplicate_of CHAR(36) NULL COMMENT 'Document whose result this upload reuses' AFTER checksum,
+    ADD INDEX idx_documents_duplicate_of (duplicate_of);
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v2_document_dedup', NOW());
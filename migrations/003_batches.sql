@@ -0,0 +1,25 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v3
+-- Persistent batches for multi-file and ZIP uploads
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- batches
+-- Groups the documents registered by one batch/ZIP upload
+-- ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS batches (
+    id               CHAR(36)     NOT NULL PRIMARY KEY,
+    source           ENUM('upload','zip') NOT NULL DEFAULT 'upload',
+    name             VARCHAR(512) NULL COMMENT 'Archive name for ZIP batches',
+    total_documents  INT          NOT NULL DEFAULT 0,
+    created_at       DATETIME     NOT NULL,
+    updated_at       DATETIME     NOT NULL,
+    INDEX idx_batches_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE documents
+    ADD COLUMN batch_id CHAR(36) NULL COMMENT 'Batch this document was uploaded in' AFTER id,
+    ADD CONSTRAINT fk_documents_batch FOREIGN KEY (batch_id) REFERENCES batches(id) ON DELETE SET NULL,
+    ADD INDEX idx_documents_batch (batch_id);
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v3_batches', NOW());
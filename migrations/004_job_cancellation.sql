@@ -0,0 +1,15 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v4
+-- Job cancellation (DELETE /api/v1/jobs/:id)
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- 'cancelled' status for jobs and their documents
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE jobs
+    MODIFY COLUMN status ENUM('queued','running','success','failed','cancelled') NOT NULL DEFAULT 'queued';
+
+ALTER TABLE documents
+    MODIFY COLUMN status ENUM('pending','processing','done','failed','cancelled') NOT NULL DEFAULT 'pending';
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v4_job_cancellation', NOW());
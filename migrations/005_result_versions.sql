@@ -0,0 +1,24 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v5
+-- Numbered result versions for reprocessed documents
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- results.version
+-- 1 for the first extraction, +1 for every reprocess
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE results
+    ADD COLUMN version INT NOT NULL DEFAULT 1 COMMENT 'Result version within the document' AFTER job_id;
+
+-- Number the rows that already exist in creation order
+UPDATE results r
+JOIN (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY document_id ORDER BY created_at, id) AS version
+    FROM results
+) numbered ON numbered.id = r.id
+SET r.version = numbered.version;
+
+ALTER TABLE results
+    ADD UNIQUE INDEX uq_results_document_version (document_id, version);
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v5_result_versions', NOW());
@@ -0,0 +1,45 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v6
+-- Signed webhook callbacks on job completion
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- jobs.client_id / jobs.callback_url
+-- Who queued the job and where to report its outcome
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE jobs
+    ADD COLUMN client_id    CHAR(64)      NULL COMMENT 'SHA-256 of the API key that queued the job' AFTER queue_job_id,
+    ADD COLUMN callback_url VARCHAR(2048) NULL COMMENT 'Per-upload webhook URL' AFTER client_id,
+    ADD INDEX idx_jobs_client (client_id);
+
+-- ────────────────────────────────────────────────────────────
+-- client_webhooks
+-- Default webhook per API key, used when an upload has no callback_url
+-- ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS client_webhooks (
+    client_id   CHAR(64)      NOT NULL PRIMARY KEY,
+    url         VARCHAR(2048) NOT NULL,
+    created_at  DATETIME      NOT NULL,
+    updated_at  DATETIME      NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ────────────────────────────────────────────────────────────
+-- webhook_deliveries
+-- One row per delivery attempt
+-- ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id              CHAR(36)      NOT NULL PRIMARY KEY,
+    job_id          CHAR(36)      NOT NULL,
+    event           VARCHAR(32)   NOT NULL COMMENT 'job.completed | job.failed',
+    url             VARCHAR(2048) NOT NULL,
+    attempt         INT           NOT NULL,
+    success         TINYINT(1)    NOT NULL DEFAULT 0,
+    response_status INT           NULL,
+    error_message   VARCHAR(1024) NULL,
+    duration_ms     INT           NULL,
+    created_at      DATETIME      NOT NULL,
+    CONSTRAINT fk_webhook_deliveries_job FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+    INDEX idx_webhook_deliveries_job (job_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v6_webhooks', NOW());
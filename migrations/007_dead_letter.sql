@@ -0,0 +1,20 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v7
+-- Dead-letter view and retries for permanently failed jobs
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- jobs: structured failure details
+-- dead_lettered_at is set once a job has no retries left
+-- options is kept so a dead-lettered job can be replayed as uploaded
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE jobs
+    ADD COLUMN options          TEXT        NULL COMMENT 'Processing options sent with the upload (JSON)' AFTER callback_url,
+    ADD COLUMN attempts         INT         NOT NULL DEFAULT 0 COMMENT 'Processing attempts, including manual retries' AFTER status,
+    ADD COLUMN error_code       VARCHAR(64) NULL AFTER error_message,
+    ADD COLUMN failed_stage     VARCHAR(32) NULL COMMENT 'Pipeline stage the last attempt failed in' AFTER error_code,
+    ADD COLUMN dead_lettered_at DATETIME    NULL AFTER completed_at,
+    ADD INDEX idx_jobs_dead_letter (dead_lettered_at),
+    ADD INDEX idx_jobs_error_code (error_code);
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v7_dead_letter', NOW());
@@ -0,0 +1,24 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v8
+-- Per-stage checkpoints so retries and reprocessing resume
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- stage_checkpoints
+-- Output of a pipeline stage for one file (by checksum) and the options
+-- that stage depends on (stage_key), e.g. OCR text per page for dpi/lang/psm/oem
+-- ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS stage_checkpoints (
+    id           CHAR(36)    NOT NULL PRIMARY KEY,
+    checksum     CHAR(64)    NOT NULL COMMENT 'SHA-256 of the document file',
+    stage        VARCHAR(32) NOT NULL COMMENT 'layout | render | page_text | classify',
+    stage_key    CHAR(64)    NOT NULL COMMENT 'SHA-256 of the options the stage output depends on',
+    page_number  INT         NOT NULL DEFAULT 0 COMMENT '0 for whole-document stages',
+    job_id       CHAR(36)    NOT NULL COMMENT 'Job that produced the checkpoint',
+    payload      LONGTEXT    NOT NULL COMMENT 'Stage output (JSON)',
+    created_at   DATETIME    NOT NULL,
+    UNIQUE KEY uq_stage_checkpoints (checksum, stage, stage_key, page_number),
+    INDEX idx_stage_checkpoints_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v8_stage_checkpoints', NOW());
@@ -0,0 +1,39 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v9
+-- Job and document search with cursor pagination
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- result_warnings
+-- One row per distinct warning code of a result, so jobs can be
+-- filtered by warning without scanning json_result
+-- ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS result_warnings (
+    result_id   CHAR(36)    NOT NULL,
+    code        VARCHAR(64) NOT NULL,
+    PRIMARY KEY (result_id, code),
+    CONSTRAINT fk_result_warnings_result FOREIGN KEY (result_id) REFERENCES results(id) ON DELETE CASCADE,
+    INDEX idx_result_warnings_code (code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Index the warnings of the results that already exist
+INSERT IGNORE INTO result_warnings (result_id, code)
+SELECT r.id, w.code
+FROM results r,
+     JSON_TABLE(r.json_result, '$.warnings[*]' COLUMNS (code VARCHAR(64) PATH '$.code')) w
+WHERE w.code IS NOT NULL;
+
+-- ────────────────────────────────────────────────────────────
+-- Keyset pagination walks (created_at, id) newest first
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE jobs
+    ADD INDEX idx_jobs_created_id (created_at, id),
+    ADD INDEX idx_jobs_completed (completed_at);
+
+ALTER TABLE documents
+    ADD INDEX idx_documents_created_id (created_at, id);
+
+ALTER TABLE results
+    ADD INDEX idx_results_confidence (confidence);
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v9_search', NOW());
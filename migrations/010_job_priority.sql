@@ -0,0 +1,19 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v10
+-- Job priorities and fair scheduling across clients
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- jobs: scheduling
+-- priority is what the client asked for; queue_priority is the Bull
+-- priority it was queued with after the fairness adjustment
+-- (lower runs first). tenant_id is the optional X-Tenant-Id, so one
+-- API key serving many end users can still be scheduled fairly.
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE jobs
+    ADD COLUMN priority       ENUM('high','normal','low') NOT NULL DEFAULT 'normal' AFTER status,
+    ADD COLUMN queue_priority INT          NULL COMMENT 'Bull priority after fairness adjustment' AFTER priority,
+    ADD COLUMN tenant_id      VARCHAR(128) NULL COMMENT 'X-Tenant-Id of the upload' AFTER client_id,
+    ADD INDEX idx_jobs_fairness (client_id, tenant_id, status);
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v10_job_priority', NOW());
@@ -0,0 +1,14 @@
+-- ============================================================
+-- OCR Extraction Engine - Migration v11
+-- Word-level OCR output saved as a debug artifact
+-- ============================================================
+
+-- ────────────────────────────────────────────────────────────
+-- artifacts: ocr_layout
+-- JSON of Tesseract's blocks, lines and words for one page, each
+-- with a pixel bounding box and confidence (DEBUG_ARTIFACTS=true)
+-- ────────────────────────────────────────────────────────────
+ALTER TABLE artifacts
+    MODIFY COLUMN artifact_type ENUM('ocr_text','ocr_layout','processed_image','raw_image','debug_log') NOT NULL;
+
+INSERT IGNORE INTO migration_log (version, applied_at) VALUES ('v11_ocr_layout_artifacts', NOW());
@@ -22,9 +22,19 @@ async function runMigrations() {
     .filter(f => f.endsWith('.sql'))
     .sort();
 
+  const applied = await getAppliedVersions(conn);
+
   for (const file of migrationFiles) {
-    console.log(`Applying: ${file}`);
     const sql = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    // Each migration records its own version in migration_log; skip ones already applied
+    // so non-idempotent statements (ALTER TABLE) only ever run once.
+    const version = getMigrationVersion(sql);
+    if (version && applied.has(version)) {
+      console.log(`Skipping: ${file} (${version} already applied)`);
+      continue;
+    }
+
+    console.log(`Applying: ${file}`);
     try {
       await conn.query(sql);
       console.log(`  ✓ ${file} applied`);
@@ -39,6 +49,20 @@ async function runMigrations() {
   console.log('All migrations complete.');
 }
 
+async function getAppliedVersions(conn) {
+  try {
+    const [rows] = await conn.query('SELECT version FROM migration_log');
+    return new Set(rows.map(r => r.version));
+  } catch (err) {
+    return new Set(); // fresh database: migration_log not created yet
+  }
+}
+
+function getMigrationVersion(sql) {
+  const m = sql.match(/INSERT\s+IGNORE\s+INTO\s+migration_log\s*\(version[^)]*\)\s*VALUES\s*\('([^']+)'/i);
+  return m ? m[1] : null;
+}
+
 runMigrations().catch(err => {
   console.error('Migration failed:', err.message);
   process.exit(1);
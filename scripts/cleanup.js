@@ -44,6 +44,10 @@ async function cleanup() {
       }
     }
     logger.info({ msg: 'PDF cleanup done', count: oldDocs.length, filesDeleted });
+
+    // Checkpoints hold extracted page text, so they follow the PDF retention
+    const checkpoints = await query(`DELETE FROM stage_checkpoints WHERE created_at < ?`, [cutoff]);
+    logger.info({ msg: 'Checkpoint cleanup done', count: checkpoints.affectedRows });
   }
 
   // ── Clean old artifacts ────────────────────────────────────
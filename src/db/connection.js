@@ -33,6 +33,14 @@ function getDb() {
   return pool;
 }
 
+async function closeDb() {
+  if (!pool) return;
+  const closing = pool;
+  pool = null;
+  await closing.end();
+  logger.info('MySQL pool closed');
+}
+
 async function query(sql, params = []) {
   const db = getDb();
   const [rows] = await db.execute(sql, params);
@@ -44,4 +52,4 @@ async function queryOne(sql, params = []) {
   return rows[0] || null;
 }
 
-module.exports = { initDb, getDb, query, queryOne };
+module.exports = { initDb, getDb, closeDb, query, queryOne };
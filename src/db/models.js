@@ -4,11 +4,11 @@ const { query, queryOne } = require('./connection');
 
 // ── Documents ────────────────────────────────────────────────────────────────
 
-async function insertDocument({ id, original_name, stored_path, mime_type, size_bytes, checksum, page_count }) {
+async function insertDocument({ id, batch_id, original_name, stored_path, mime_type, size_bytes, checksum, page_count, status = 'pending', duplicate_of }) {
   await query(
-    `INSERT INTO documents (id, original_name, stored_path, mime_type, size_bytes, checksum, page_count, status, created_at, updated_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW())`,
-    [id, original_name, stored_path, mime_type, size_bytes, checksum, page_count ?? null]
+    `INSERT INTO documents (id, batch_id, original_name, stored_path, mime_type, size_bytes, checksum, duplicate_of, page_count, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [id, batch_id ?? null, original_name, stored_path, mime_type, size_bytes, checksum, duplicate_of ?? null, page_count ?? null, status]
   );
 }
 
@@ -16,6 +16,17 @@ async function getDocument(id) {
   return queryOne('SELECT * FROM documents WHERE id = ?', [id]);
 }
 
+// Most recent successfully processed, non-duplicate document with this checksum
+async function findCompletedDocumentByChecksum(checksum) {
+  return queryOne(
+    `SELECT d.* FROM documents d
+     WHERE d.checksum = ? AND d.status = 'done' AND d.duplicate_of IS NULL AND d.deleted_at IS NULL
+       AND EXISTS (SELECT 1 FROM results r WHERE r.document_id = d.id)
+     ORDER BY d.created_at DESC LIMIT 1`,
+    [checksum]
+  );
+}
+
 async function updateDocumentStatus(id, status, page_count = null) {
   await query(
     `UPDATE documents SET status = ?, page_count = COALESCE(?, page_count), updated_at = NOW() WHERE id = ?`,
@@ -23,62 +34,272 @@ async function updateDocumentStatus(id, status, page_count = null) {
   );
 }
 
+// ── Batches ──────────────────────────────────────────────────────────────────
+
+async function insertBatch({ id, source, name, total_documents }) {
+  await query(
+    `INSERT INTO batches (id, source, name, total_documents, created_at, updated_at)
+     VALUES (?, ?, ?, ?, NOW(), NOW())`,
+    [id, source, name ?? null, total_documents]
+  );
+}
+
+async function getBatch(id) {
+  return queryOne('SELECT * FROM batches WHERE id = ?', [id]);
+}
+
+// Documents in a batch with their latest job (duplicates report the original's job)
+async function listBatchDocuments(batch_id) {
+  return query(
+    `SELECT d.id AS document_id, d.original_name, d.status, d.duplicate_of,
+            (SELECT j.id FROM jobs j WHERE j.document_id = COALESCE(d.duplicate_of, d.id)
+             ORDER BY j.created_at DESC LIMIT 1) AS job_id
+     FROM documents d WHERE d.batch_id = ? ORDER BY d.created_at ASC`,
+    [batch_id]
+  );
+}
+
+// Latest result of every finished document in a batch
+async function getBatchResults(batch_id) {
+  const rows = await query(
+    `SELECT d.id AS document_id, d.original_name, r.job_id, r.document_type, r.confidence, r.json_result
+     FROM documents d
+     JOIN results r ON r.document_id = COALESCE(d.duplicate_of, d.id)
+     WHERE d.batch_id = ?
+       AND r.version = (SELECT MAX(r2.version) FROM results r2 WHERE r2.document_id = r.document_id)
+     ORDER BY d.created_at ASC`,
+    [batch_id]
+  );
+  rows.forEach(row => { if (row.json_result) row.json_result = JSON.parse(row.json_result); });
+  return rows;
+}
+
 // ── Jobs ─────────────────────────────────────────────────────────────────────
 
-async function insertJob({ id, document_id, queue_job_id }) {
+async function insertJob({ id, document_id, queue_job_id, client_id, tenant_id, callback_url, options, priority = 'normal', queue_priority }) {
   await query(
-    `INSERT INTO jobs (id, document_id, queue_job_id, status, created_at, updated_at)
-     VALUES (?, ?, ?, 'queued', NOW(), NOW())`,
-    [id, document_id, queue_job_id]
+    `INSERT INTO jobs (id, document_id, queue_job_id, client_id, tenant_id, callback_url, options, status, priority, queue_priority, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'queued', ?, ?, NOW(), NOW())`,
+    [
+      id, document_id, queue_job_id, client_id ?? null, tenant_id ?? null, callback_url ?? null,
+      options ? JSON.stringify(options) : null, priority, queue_priority ?? null,
+    ]
   );
 }
 
+// Queued or running jobs of one client (API key + tenant), for fair scheduling
+async function countOutstandingJobs(client_id, tenant_id = null) {
+  const row = await queryOne(
+    `SELECT COUNT(*) AS total FROM jobs
+     WHERE client_id <=> ? AND tenant_id <=> ? AND status IN ('queued', 'running')`,
+    [client_id ?? null, tenant_id ?? null]
+  );
+  return row?.total ?? 0;
+}
+
+function parseJobRow(row) {
+  if (row && typeof row.options === 'string') row.options = JSON.parse(row.options);
+  return row;
+}
+
 async function getJob(id) {
-  return queryOne(
+  return parseJobRow(await queryOne(
     `SELECT j.*, d.original_name, d.stored_path FROM jobs j
      JOIN documents d ON d.id = j.document_id
      WHERE j.id = ?`,
     [id]
-  );
+  ));
 }
 
 async function getJobByDocumentId(document_id) {
-  return queryOne('SELECT * FROM jobs WHERE document_id = ? ORDER BY created_at DESC LIMIT 1', [document_id]);
+  return parseJobRow(await queryOne('SELECT * FROM jobs WHERE document_id = ? ORDER BY created_at DESC LIMIT 1', [document_id]));
 }
 
 async function updateJobStatus(id, status, error_message = null) {
-  const now = 'NOW()';
-  const startedAt = status === 'running' ? ', started_at = NOW()' : '';
-  const completedAt = (status === 'success' || status === 'failed') ? ', completed_at = NOW()' : '';
+  const startedAt = status === 'running' ? ', started_at = NOW(), attempts = attempts + 1' : '';
+  const completedAt = ['success', 'failed', 'cancelled'].includes(status) ? ', completed_at = NOW()' : '';
   await query(
     `UPDATE jobs SET status = ?, error_message = ?${startedAt}${completedAt}, updated_at = NOW() WHERE id = ?`,
     [status, error_message, id]
   );
 }
 
-async function listJobs({ limit = 20, offset = 0, status } = {}) {
+// A failed attempt; dead_letter marks it permanent (no retries left).
+// A cancelled job keeps its status; false if the job was cancelled meanwhile.
+async function recordJobFailure(id, { error_message, error_code, failed_stage, dead_letter = false }) {
+  const result = await query(
+    `UPDATE jobs SET status = 'failed', error_message = ?, error_code = ?, failed_stage = ?,
+            dead_lettered_at = ${dead_letter ? 'NOW()' : 'NULL'}, completed_at = NOW(), updated_at = NOW()
+     WHERE id = ? AND status <> 'cancelled'`,
+    [error_message, error_code, failed_stage ?? null, id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Mark a running job succeeded; false if it is no longer running (cancelled meanwhile)
+async function completeJob(id) {
+  const result = await query(
+    `UPDATE jobs SET status = 'success', error_message = NULL, completed_at = NOW(), updated_at = NOW()
+     WHERE id = ? AND status = 'running'`,
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+// Cancel a job still in one of fromStatuses; false if it finished meanwhile
+async function cancelJob(id, fromStatuses = ['queued', 'running']) {
+  const result = await query(
+    `UPDATE jobs SET status = 'cancelled', error_message = 'Cancelled by client', completed_at = NOW(), updated_at = NOW()
+     WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(', ')})`,
+    [id, ...fromStatuses]
+  );
+  return result.affectedRows > 0;
+}
+
+// Polled by the worker between pages; the API may run in another process
+async function isJobCancelled(id) {
+  const row = await queryOne('SELECT status FROM jobs WHERE id = ?', [id]);
+  return row?.status === 'cancelled';
+}
+
+function deadLetterWhere({ error_code, failed_stage, since, until } = {}) {
+  const clauses = ["j.status = 'failed'", 'j.dead_lettered_at IS NOT NULL'];
   const params = [];
-  let where = '';
-  if (status) {
-    where = 'WHERE j.status = ?';
-    params.push(status);
+  if (error_code) { clauses.push('j.error_code = ?'); params.push(error_code); }
+  if (failed_stage) { clauses.push('j.failed_stage = ?'); params.push(failed_stage); }
+  if (since) { clauses.push('j.dead_lettered_at >= ?'); params.push(since); }
+  if (until) { clauses.push('j.dead_lettered_at < ?'); params.push(until); }
+  return { where: clauses.join(' AND '), params };
+}
+
+// Permanently failed jobs, most recent first
+async function listDeadLetterJobs({ limit = 20, offset = 0, ...filter } = {}) {
+  const { where, params } = deadLetterWhere(filter);
+  const rows = await query(
+    `SELECT j.*, d.original_name, d.stored_path FROM jobs j JOIN documents d ON d.id = j.document_id
+     WHERE ${where} ORDER BY j.dead_lettered_at DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows.map(parseJobRow);
+}
+
+async function countDeadLetterJobs(filter = {}) {
+  const { where, params } = deadLetterWhere(filter);
+  const row = await queryOne(`SELECT COUNT(*) AS total FROM jobs j WHERE ${where}`, params);
+  return row?.total ?? 0;
+}
+
+// Take a dead-lettered job back to queued; false if it is not (or no longer) dead-lettered
+async function claimDeadLetterJob(id) {
+  const result = await query(
+    `UPDATE jobs SET status = 'queued', error_message = NULL, error_code = NULL, failed_stage = NULL,
+            dead_lettered_at = NULL, started_at = NULL, completed_at = NULL, updated_at = NOW()
+     WHERE id = ? AND status = 'failed' AND dead_lettered_at IS NOT NULL`,
+    [id]
+  );
+  return result.affectedRows > 0;
+}
+
+async function updateJobQueueId(id, queue_job_id, queue_priority = null) {
+  await query(
+    'UPDATE jobs SET queue_job_id = ?, queue_priority = COALESCE(?, queue_priority), updated_at = NOW() WHERE id = ?',
+    [queue_job_id, queue_priority, id]
+  );
+}
+
+// ── Search ───────────────────────────────────────────────────────────────────
+
+// LIKE pattern matching `value` anywhere, with its wildcards taken literally
+function containsPattern(value) {
+  return `%${value.replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+}
+
+/**
+ * WHERE clauses shared by the job and document listings. `cols` names the
+ * columns that hold each field in that listing's query; r is the result row.
+ * cursor continues after the last row of the previous page ((created_at, id) desc).
+ */
+function searchWhere(filter, cursor, cols) {
+  const clauses = [];
+  const params = [];
+  const add = (clause, ...values) => { clauses.push(clause); params.push(...values); };
+
+  if (filter.status) add(`${cols.status} = ?`, filter.status);
+  if (filter.document_type) add('r.document_type = ?', filter.document_type);
+  if (filter.min_confidence !== undefined) add('r.confidence >= ?', filter.min_confidence);
+  if (filter.max_confidence !== undefined) add('r.confidence <= ?', filter.max_confidence);
+  if (filter.created_since) add(`${cols.created} >= ?`, filter.created_since);
+  if (filter.created_until) add(`${cols.created} < ?`, filter.created_until);
+  if (filter.completed_since) add('j.completed_at >= ?', filter.completed_since);
+  if (filter.completed_until) add('j.completed_at < ?', filter.completed_until);
+  if (filter.filename) add('d.original_name LIKE ?', containsPattern(filter.filename));
+  if (filter.warning_code) {
+    add('EXISTS (SELECT 1 FROM result_warnings w WHERE w.result_id = r.id AND w.code = ?)', filter.warning_code);
+  }
+  if (filter.error_code) add('j.error_code = ?', filter.error_code);
+  if (cursor) {
+    add(`(${cols.created} < ? OR (${cols.created} = ? AND ${cols.id} < ?))`, cursor.created_at, cursor.created_at, cursor.id);
   }
-  params.push(limit, offset);
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+// Jobs newest first, with their result's type and confidence.
+// Fetch limit + 1 to learn whether there is a next page.
+async function listJobs({ limit = 20, offset = 0, cursor = null, ...filter } = {}) {
+  const { where, params } = searchWhere(filter, cursor, { status: 'j.status', created: 'j.created_at', id: 'j.id' });
+  const rows = await query(
+    `SELECT j.*, d.original_name, r.document_type, r.confidence FROM jobs j
+     JOIN documents d ON d.id = j.document_id
+     LEFT JOIN results r ON r.job_id = j.id
+     ${where} ORDER BY j.created_at DESC, j.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  return rows.map(parseJobRow);
+}
+
+// Documents newest first, with their latest job and result
+// (duplicates report the original's, as in listBatchDocuments)
+async function listDocuments({ limit = 20, offset = 0, cursor = null, ...filter } = {}) {
+  const { where, params } = searchWhere(filter, cursor, { status: 'd.status', created: 'd.created_at', id: 'd.id' });
   return query(
-    `SELECT j.*, d.original_name FROM jobs j JOIN documents d ON d.id = j.document_id
-     ${where} ORDER BY j.created_at DESC LIMIT ? OFFSET ?`,
-    params
+    `SELECT d.id, d.batch_id, d.original_name, d.mime_type, d.size_bytes, d.page_count, d.status, d.duplicate_of,
+            d.created_at, d.updated_at, d.deleted_at,
+            j.id AS job_id, j.status AS job_status, j.error_code, j.completed_at,
+            r.version AS result_version, r.document_type, r.confidence
+     FROM documents d
+     LEFT JOIN jobs j ON j.id = (
+       SELECT j2.id FROM jobs j2 WHERE j2.document_id = COALESCE(d.duplicate_of, d.id)
+       ORDER BY j2.created_at DESC, j2.id DESC LIMIT 1)
+     LEFT JOIN results r ON r.document_id = COALESCE(d.duplicate_of, d.id)
+       AND r.version = (SELECT MAX(r2.version) FROM results r2 WHERE r2.document_id = r.document_id)
+     ${where} ORDER BY d.created_at DESC, d.id DESC LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
   );
 }
 
 // ── Results ──────────────────────────────────────────────────────────────────
 
+// Each result is a new version of the document's extraction; older versions are kept
 async function insertResult({ id, document_id, job_id, json_result, schema_version, confidence, document_type }) {
   await query(
-    `INSERT INTO results (id, document_id, job_id, json_result, schema_version, confidence, document_type, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
-    [id, document_id, job_id, JSON.stringify(json_result), schema_version, confidence, document_type]
+    `INSERT INTO results (id, document_id, job_id, version, json_result, schema_version, confidence, document_type, created_at)
+     SELECT ?, ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, NOW() FROM results WHERE document_id = ?`,
+    [id, document_id, job_id, JSON.stringify(json_result), schema_version, confidence, document_type, document_id]
   );
+
+  // Indexed copy of the warning codes, for searching jobs by warning
+  const codes = [...new Set((json_result.warnings || []).map(w => w.code).filter(Boolean))];
+  if (codes.length) {
+    await query(
+      `INSERT IGNORE INTO result_warnings (result_id, code) VALUES ${codes.map(() => '(?, ?)').join(', ')}`,
+      codes.flatMap(code => [id, code])
+    );
+  }
+}
+
+// Drop a result saved for a job that was cancelled before it could succeed
+async function deleteResult(id) {
+  await query('DELETE FROM results WHERE id = ?', [id]);
 }
 
 async function getResultByJobId(job_id) {
@@ -88,11 +309,88 @@ async function getResultByJobId(job_id) {
 }
 
 async function getResultByDocumentId(document_id) {
-  const row = await queryOne('SELECT * FROM results WHERE document_id = ? ORDER BY created_at DESC LIMIT 1', [document_id]);
+  const row = await queryOne('SELECT * FROM results WHERE document_id = ? ORDER BY version DESC LIMIT 1', [document_id]);
   if (row && row.json_result) row.json_result = JSON.parse(row.json_result);
   return row;
 }
 
+async function getResultVersion(document_id, version) {
+  const row = await queryOne('SELECT * FROM results WHERE document_id = ? AND version = ?', [document_id, version]);
+  if (row && row.json_result) row.json_result = JSON.parse(row.json_result);
+  return row;
+}
+
+// Version history without the JSON payloads, newest first
+async function listResultVersions(document_id) {
+  return query(
+    `SELECT id, job_id, version, document_type, confidence, schema_version, created_at
+     FROM results WHERE document_id = ? ORDER BY version DESC`,
+    [document_id]
+  );
+}
+
+// ── Stage checkpoints ────────────────────────────────────────────────────────
+
+// Insert or refresh the output of one stage (page_number 0 for whole-document stages)
+async function saveCheckpoint({ id, checksum, stage, stage_key, page_number = 0, job_id, payload }) {
+  await query(
+    `INSERT INTO stage_checkpoints (id, checksum, stage, stage_key, page_number, job_id, payload, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE job_id = VALUES(job_id), payload = VALUES(payload), created_at = NOW()`,
+    [id, checksum, stage, stage_key, page_number, job_id, JSON.stringify(payload)]
+  );
+}
+
+async function getCheckpoint(checksum, stage, stage_key, page_number = 0) {
+  const row = await queryOne(
+    'SELECT payload FROM stage_checkpoints WHERE checksum = ? AND stage = ? AND stage_key = ? AND page_number = ?',
+    [checksum, stage, stage_key, page_number]
+  );
+  return row ? JSON.parse(row.payload) : null;
+}
+
+// Every page's checkpoint for a stage → [{ page_number, payload }]
+async function listPageCheckpoints(checksum, stage, stage_key) {
+  const rows = await query(
+    `SELECT page_number, payload FROM stage_checkpoints
+     WHERE checksum = ? AND stage = ? AND stage_key = ? AND page_number > 0 ORDER BY page_number`,
+    [checksum, stage, stage_key]
+  );
+  return rows.map(row => ({ page_number: row.page_number, payload: JSON.parse(row.payload) }));
+}
+
+// ── Webhooks ─────────────────────────────────────────────────────────────────
+
+async function getClientWebhook(client_id) {
+  return queryOne('SELECT * FROM client_webhooks WHERE client_id = ?', [client_id]);
+}
+
+async function upsertClientWebhook({ client_id, url }) {
+  await query(
+    `INSERT INTO client_webhooks (client_id, url, created_at, updated_at) VALUES (?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE url = VALUES(url), updated_at = NOW()`,
+    [client_id, url]
+  );
+}
+
+async function deleteClientWebhook(client_id) {
+  const result = await query('DELETE FROM client_webhooks WHERE client_id = ?', [client_id]);
+  return result.affectedRows > 0;
+}
+
+async function insertWebhookDelivery({ id, job_id, event, url, attempt, success, response_status, error_message, duration_ms }) {
+  await query(
+    `INSERT INTO webhook_deliveries (id, job_id, event, url, attempt, success, response_status, error_message, duration_ms, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [id, job_id, event, url, attempt, success ? 1 : 0, response_status ?? null, error_message ?? null, duration_ms ?? null]
+  );
+}
+
+async function listWebhookDeliveries(job_id) {
+  const rows = await query('SELECT * FROM webhook_deliveries WHERE job_id = ? ORDER BY created_at ASC, attempt ASC', [job_id]);
+  return rows.map(row => ({ ...row, success: Boolean(row.success) }));
+}
+
 // ── Artifacts ────────────────────────────────────────────────────────────────
 
 async function insertArtifact({ id, document_id, job_id, artifact_type, file_path, page_number }) {
@@ -108,8 +406,13 @@ async function getArtifactsByJobId(job_id) {
 }
 
 module.exports = {
-  insertDocument, getDocument, updateDocumentStatus,
-  insertJob, getJob, getJobByDocumentId, updateJobStatus, listJobs,
-  insertResult, getResultByJobId, getResultByDocumentId,
+  insertDocument, getDocument, findCompletedDocumentByChecksum, updateDocumentStatus,
+  insertBatch, getBatch, listBatchDocuments, getBatchResults,
+  insertJob, countOutstandingJobs, getJob, getJobByDocumentId, updateJobStatus, recordJobFailure, completeJob, cancelJob, isJobCancelled,
+  listDeadLetterJobs, countDeadLetterJobs, claimDeadLetterJob, updateJobQueueId,
+  listJobs, listDocuments,
+  insertResult, deleteResult, getResultByJobId, getResultByDocumentId, getResultVersion, listResultVersions,
+  saveCheckpoint, getCheckpoint, listPageCheckpoints,
+  getClientWebhook, upsertClientWebhook, deleteClientWebhook, insertWebhookDelivery, listWebhookDeliveries,
   insertArtifact, getArtifactsByJobId,
 };
@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { createError } = require('../utils/errorHandler');
+const { SUPPORTED_TYPES } = require('../utils/fileTypes');
+
+/**
+ * Limits applied while expanding an uploaded ZIP (zip-bomb protection)
+ */
+function getZipLimits() {
+  return {
+    maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES) || 100,
+    maxEntrySize: parseInt(process.env.MAX_FILE_SIZE) || 52428800,
+    maxTotalSize: parseInt(process.env.ZIP_MAX_TOTAL_SIZE) || 524288000,
+    maxRatio: parseInt(process.env.ZIP_MAX_RATIO) || 100,
+  };
+}
+
+/**
+ * Reject entry names that could escape the extraction directory.
+ * yauzl already refuses these; this is a second line of defence.
+ */
+function isUnsafeEntryName(name) {
+  return path.isAbsolute(name) || /^[a-zA-Z]:/.test(name) || name.includes('\\') ||
+    name.split('/').includes('..');
+}
+
+/**
+ * Expand the supported documents (PDF/JPEG/PNG/TIFF) from a ZIP archive into destDir.
+ * Members are written under random names; the path inside the archive is only
+ * kept as metadata. Unsupported members are skipped and reported.
+ *
+ * Returns { files: [{ name, path, size, mimetype }], skipped: [{ name, reason }] }
+ */
+async function extractZipArchive(zipPath, destDir, limits = getZipLimits()) {
+  let zipfile;
+  try {
+    zipfile = await yauzl.openPromise(zipPath, { lazyEntries: true, autoClose: true });
+  } catch (err) {
+    throw createError(`Invalid ZIP archive: ${err.message}`, 400, 'INVALID_ZIP');
+  }
+
+  if (zipfile.entryCount > limits.maxEntries) {
+    zipfile.close();
+    throw createError(`ZIP contains ${zipfile.entryCount} entries (max ${limits.maxEntries})`, 400, 'ZIP_TOO_MANY_ENTRIES');
+  }
+
+  const files = [];
+  const skipped = [];
+  let totalSize = 0;
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('error', (err) => {
+        reject(/invalid relative path|absolute path|invalid characters/i.test(err.message)
+          ? createError(`Unsafe path in ZIP: ${err.message}`, 400, 'ZIP_UNSAFE_ENTRY')
+          : err.status ? err : createError(`Invalid ZIP archive: ${err.message}`, 400, 'INVALID_ZIP'));
+      });
+      zipfile.on('end', resolve);
+      zipfile.on('entry', async (entry) => {
+        try {
+          const name = entry.fileName;
+
+          if (name.endsWith('/')) return zipfile.readEntry(); // directory
+
+          if (isUnsafeEntryName(name)) {
+            throw createError(`Unsafe path in ZIP: ${name}`, 400, 'ZIP_UNSAFE_ENTRY');
+          }
+
+          const base = path.basename(name);
+          const ext = path.extname(base).toLowerCase();
+          if (name.startsWith('__MACOSX/') || base.startsWith('.')) {
+            return zipfile.readEntry();
+          }
+          if (!SUPPORTED_TYPES[ext]) {
+            skipped.push({ name, reason: 'UNSUPPORTED_FILE_TYPE' });
+            return zipfile.readEntry();
+          }
+          if (entry.isEncrypted()) {
+            skipped.push({ name, reason: 'ENCRYPTED_ENTRY' });
+            return zipfile.readEntry();
+          }
+
+          // Zip-bomb guards on the declared sizes
+          if (entry.uncompressedSize > limits.maxEntrySize) {
+            throw createError(`ZIP member ${name} exceeds the maximum file size`, 400, 'ZIP_TOO_LARGE');
+          }
+          if (totalSize + entry.uncompressedSize > limits.maxTotalSize) {
+            throw createError('ZIP expands beyond the maximum total size', 400, 'ZIP_TOO_LARGE');
+          }
+          if (entry.compressedSize > 0 && entry.uncompressedSize / entry.compressedSize > limits.maxRatio) {
+            throw createError(`ZIP member ${name} has a suspicious compression ratio`, 400, 'ZIP_SUSPICIOUS_RATIO');
+          }
+
+          const outputPath = path.join(destDir, `${uuidv4()}${ext}`);
+          const size = await writeEntry(zipfile, entry, outputPath, limits.maxEntrySize);
+          totalSize += size;
+          files.push({ name, path: outputPath, size, mimetype: SUPPORTED_TYPES[ext] });
+          zipfile.readEntry();
+        } catch (err) {
+          zipfile.close();
+          reject(err);
+        }
+      });
+      zipfile.readEntry();
+    });
+  } catch (err) {
+    files.forEach(f => fs.unlink(f.path, () => {}));
+    throw err;
+  }
+
+  logger.info({ msg: 'Expanded ZIP archive', zip: zipPath, files: files.length, skipped: skipped.length, bytes: totalSize });
+  return { files, skipped };
+}
+
+/**
+ * Stream one entry to disk, counting the real bytes written so a forged
+ * size header cannot get past the limit.
+ */
+async function writeEntry(zipfile, entry, outputPath, maxBytes) {
+  const readStream = await zipfile.openReadStreamPromise(entry);
+  return new Promise((resolve, reject) => {
+    let written = 0;
+    const out = fs.createWriteStream(outputPath);
+    const fail = (err) => {
+      readStream.destroy();
+      out.destroy();
+      fs.unlink(outputPath, () => {});
+      reject(err);
+    };
+    readStream.on('data', (chunk) => {
+      written += chunk.length;
+      if (written > maxBytes) {
+        fail(createError(`ZIP member ${entry.fileName} exceeds the maximum file size`, 400, 'ZIP_TOO_LARGE'));
+      }
+    });
+    readStream.on('error', (err) => fail(createError(`Corrupt ZIP member ${entry.fileName}: ${err.message}`, 400, 'INVALID_ZIP')));
+    out.on('error', fail);
+    out.on('finish', () => resolve(written));
+    readStream.pipe(out);
+  });
+}
+
+module.exports = { extractZipArchive, getZipLimits };
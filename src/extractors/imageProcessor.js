@@ -1,48 +1,244 @@
 'use strict';
 
 const sharp = require('sharp');
+const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 
 /**
- * Preprocess an image for better OCR accuracy:
- * - Convert to grayscale
- * - Normalize (enhance contrast)
- * - Sharpen
- * - Remove noise (median filter via sharp)
- * - Output as high-quality PNG
+ * Directory holding the page images rendered or split from a stored upload
  */
-async function preprocessImage(inputPath) {
-  const outputPath = inputPath.replace(/(\.[^.]+)$/, '_processed.png');
+function pageImageDir(filePath) {
+  return path.join(
+    process.env.ARTIFACTS_DIR || '/tmp/artifacts',
+    path.basename(filePath, path.extname(filePath)) + '_pages'
+  );
+}
+
+/**
+ * Delete every page image (raw and preprocessed) for a stored upload
+ */
+function removePageImages(filePath) {
+  const dir = pageImageDir(filePath);
+  fs.rmSync(dir, { recursive: true, force: true });
+  logger.debug({ msg: 'Removed page images', dir });
+}
+
+/**
+ * Split an uploaded image into one PNG per page so it can follow the same
+ * preprocess → OCR path as rendered PDF pages.
+ * Multi-page TIFFs yield one file per frame; EXIF rotation is applied.
+ * Returns array of file paths.
+ */
+async function splitImagePages(filePath) {
+  const outputDir = pageImageDir(filePath);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const meta = await sharp(filePath).metadata();
+  const frames = Math.max(meta.pages || 1, 1);
+
+  const imagePaths = [];
+  for (let i = 0; i < frames; i++) {
+    const outputPath = path.join(outputDir, `page.${i + 1}.png`);
+    await sharp(filePath, { page: i })
+      .rotate()          // honour EXIF orientation from phone cameras
+      .png()
+      .toFile(outputPath);
+    imagePaths.push(outputPath);
+  }
+
+  logger.info({ msg: 'Split image into pages', count: imagePaths.length, dir: outputDir });
+  return imagePaths;
+}
+
+// ── Preprocessing strategies ────────────────────────────────────────────────
+// `standard` runs on every page; the others are alternatives the page worker
+// tries when OCR of the standard image is poor. Each returns a sharp pipeline,
+// or null when it does not apply to the image.
+
+// Renders narrower than this (about 200 DPI on A4) are upscaled by `upscale`
+const UPSCALE_BELOW_WIDTH = 2000;
+const UPSCALE_FACTOR = 2;
+
+// Blur radius of the local background estimate used by `binarize` and `background`
+const BACKGROUND_SIGMA = 20;
+
+/**
+ * Grayscale pixels of an image and of its blurred local background,
+ * one byte per pixel.
+ */
+async function grayAndBackground(inputPath) {
+  const gray = sharp(inputPath).flatten({ background: '#ffffff' }).toColourspace('b-w');
+  const [{ data, info }, { data: local }] = await Promise.all([
+    gray.clone().raw().toBuffer({ resolveWithObject: true }),
+    gray.clone().blur(BACKGROUND_SIGMA).raw().toBuffer({ resolveWithObject: true }),
+  ]);
+  return { data, local, raw: { width: info.width, height: info.height, channels: 1 } };
+}
+
+const PREPROCESS_STRATEGIES = {
+  // Grayscale, stretch contrast, light denoise, sharpen
+  standard: async inputPath => sharp(inputPath)
+    .grayscale()
+    .normalize()      // stretch histogram to full range
+    .median(1)        // light denoise
+    .sharpen({ sigma: 1.0, m1: 0.5, m2: 0.5 }),
+
+  // Adaptive threshold: black where a pixel is clearly darker than its
+  // neighbourhood, so uneven lighting (phone photos, shadows) does not matter
+  binarize: async (inputPath) => {
+    const { data, local, raw } = await grayAndBackground(inputPath);
+    const out = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) out[i] = data[i] < local[i] * 0.9 ? 0 : 255;
+    return sharp(out, { raw });
+  },
+
+  // Low-DPI renders: twice the size gives Tesseract glyphs it can segment
+  upscale: async (inputPath) => {
+    const { width } = await sharp(inputPath).metadata();
+    if (width >= UPSCALE_BELOW_WIDTH) return null;
+    const upscaled = await sharp(inputPath).resize({ width: width * UPSCALE_FACTOR, kernel: 'lanczos3' }).png().toBuffer();
+    return PREPROCESS_STRATEGIES.standard(upscaled);
+  },
+
+  // Divide out the background, then drop light tones: removes tinted paper,
+  // security patterns and pale watermarks behind the text
+  background: async (inputPath) => {
+    const { data, local, raw } = await grayAndBackground(inputPath);
+    const out = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const flat = Math.min(255, Math.round((data[i] / Math.max(local[i], 1)) * 255));
+      out[i] = flat > 200 ? 255 : flat;
+    }
+    return sharp(out, { raw }).normalize();
+  },
+
+  // Speckled faxes and photocopies
+  denoise: async inputPath => sharp(inputPath)
+    .grayscale()
+    .normalize()
+    .median(3)
+    .sharpen({ sigma: 0.5 }),
+};
+
+/**
+ * Preprocess a page image for OCR with one of PREPROCESS_STRATEGIES.
+ * `standard` writes <name>_processed.png and falls back to the original image
+ * if sharp fails; the others write <name>_<strategy>.png and return null when
+ * they fail or do not apply.
+ */
+async function preprocessImage(inputPath, { strategy = 'standard' } = {}) {
+  const suffix = strategy === 'standard' ? '_processed.png' : `_${strategy}.png`;
+  const outputPath = inputPath.replace(/(\.[^.]+)$/, suffix);
 
   try {
-    await sharp(inputPath)
-      .grayscale()
-      .normalize()      // stretch histogram to full range
-      .median(1)        // light denoise
-      .sharpen({
-        sigma: 1.0,
-        m1: 0.5,
-        m2: 0.5,
-      })
+    const image = await PREPROCESS_STRATEGIES[strategy](inputPath);
+    if (!image) return null;
+    await image
       .png({ compressionLevel: 0 }) // no compression for OCR quality
       .toFile(outputPath);
 
-    logger.debug({ msg: 'Image preprocessed', input: inputPath, output: outputPath });
+    logger.debug({ msg: 'Image preprocessed', input: inputPath, output: outputPath, strategy });
     return outputPath;
   } catch (err) {
-    logger.warn({ msg: 'Image preprocessing failed, using original', error: err.message });
-    return inputPath;
+    logger.warn({ msg: 'Image preprocessing failed', strategy, error: err.message });
+    return strategy === 'standard' ? inputPath : null;
+  }
+}
+
+// ── Orientation and skew ────────────────────────────────────────────────────
+
+// Skew search range and steps, in degrees
+const MAX_SKEW = 10;
+const COARSE_SKEW_STEP = 0.5;
+const FINE_SKEW_STEP = 0.1;
+
+// Skew below this is left alone; resampling would cost more sharpness than it gains
+const MIN_SKEW = 0.3;
+
+// Skew is estimated on a copy scaled down to this width
+const SKEW_SAMPLE_WIDTH = 800;
+
+/**
+ * Projection-profile score of the dark pixels sheared by `angle`: the sum of
+ * squared row counts, which peaks when text lines fall into single rows.
+ */
+function profileScore(xs, ys, height, angle) {
+  const slope = Math.tan((angle * Math.PI) / 180);
+  const offset = Math.ceil(Math.abs(slope) * SKEW_SAMPLE_WIDTH);
+  const rows = new Float64Array(height + 2 * offset + 1);
+  for (let i = 0; i < xs.length; i++) {
+    rows[Math.round(ys[i] - xs[i] * slope) + offset]++;
   }
+  let score = 0;
+  for (const count of rows) score += count * count;
+  return score;
 }
 
 /**
- * Auto-rotate image based on EXIF orientation
+ * Estimate how far the text lines of a page image slope, in degrees;
+ * positive when lines fall to the right. Returns 0 for pages with too
+ * little ink to tell.
  */
-async function autoRotate(inputPath) {
-  const outputPath = inputPath.replace(/(\.[^.]+)$/, '_rotated.png');
-  await sharp(inputPath).rotate().png().toFile(outputPath);
-  return outputPath;
+async function estimateSkew(input) {
+  const { data, info } = await sharp(input)
+    .grayscale()
+    .resize({ width: SKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+    .normalize()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < 128) { xs.push(x); ys.push(y); }
+    }
+  }
+  if (xs.length < 100) return 0;
+
+  const best = (from, to, step, start) => {
+    let angle = start;
+    let score = profileScore(xs, ys, info.height, start);
+    for (let a = from; a <= to + 1e-9; a += step) {
+      const s = profileScore(xs, ys, info.height, a);
+      if (s > score) { score = s; angle = a; }
+    }
+    return angle;
+  };
+  const coarse = best(-MAX_SKEW, MAX_SKEW, COARSE_SKEW_STEP, 0);
+  const fine = best(coarse - COARSE_SKEW_STEP, coarse + COARSE_SKEW_STEP, FINE_SKEW_STEP, coarse);
+  return Math.round(fine * 10) / 10;
+}
+
+/**
+ * Turn a page upright and level its text lines before preprocessing.
+ * `rotate` is the clockwise quarter turn from orientation detection.
+ * Writes <name>_straight.png only when something was corrected.
+ * Returns { imagePath, rotation, skew }: the image to use next, and the
+ * rotation and skew (degrees) that were corrected.
+ */
+async function straightenImage(inputPath, { rotate = 0 } = {}) {
+  try {
+    const oriented = rotate ? await sharp(inputPath).rotate(rotate).png().toBuffer() : inputPath;
+    const skew = await estimateSkew(oriented);
+    const deskew = Math.abs(skew) >= MIN_SKEW;
+    if (!rotate && !deskew) return { imagePath: inputPath, rotation: 0, skew: 0 };
+
+    const outputPath = inputPath.replace(/(\.[^.]+)$/, '_straight.png');
+    let image = sharp(oriented);
+    if (deskew) image = image.rotate(-skew, { background: '#ffffff' });
+    await image.png().toFile(outputPath);
+
+    logger.debug({ msg: 'Page straightened', input: inputPath, rotation: rotate, skew: deskew ? skew : 0 });
+    return { imagePath: outputPath, rotation: rotate, skew: deskew ? skew : 0 };
+  } catch (err) {
+    logger.warn({ msg: 'Page straightening failed, using original', error: err.message });
+    return { imagePath: inputPath, rotation: 0, skew: 0 };
+  }
 }
 
 /**
@@ -53,4 +249,6 @@ async function getImageMeta(imagePath) {
   return { width: meta.width, height: meta.height, format: meta.format };
 }
 
-module.exports = { preprocessImage, autoRotate, getImageMeta };
+module.exports = {
+  PREPROCESS_STRATEGIES, UPSCALE_FACTOR, splitImagePages, preprocessImage, straightenImage, estimateSkew, getImageMeta, pageImageDir, removePageImages,
+};
@@ -1,19 +1,116 @@
 'use strict';
 
+const { execFile } = require('child_process');
 const tesseract = require('node-tesseract-ocr');
 const logger = require('../utils/logger');
+const { AUTO_LANG, AUTO_BASE_LANG } = require('../utils/scripts');
+
+// Tesseract's messages when a requested traineddata file is not installed
+const MISSING_LANGUAGE_PATTERN = /Failed loading language|Error opening data file/i;
+
+// Words Tesseract is less sure of than this (0-100) count as low confidence
+const LOW_CONFIDENCE_WORD = 60;
+
+// TSV levels: 1 page, 2 block, 3 paragraph, 4 line, 5 word
+const TSV_LEVEL = { page: 1, block: 2, line: 4, word: 5 };
+
+const box = row => ({ x: row.left, y: row.top, width: row.width, height: row.height });
+
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const toUnit = conf => (conf === null ? null : Math.round(conf) / 100);
+
+/**
+ * Parse Tesseract's TSV output into the page text and its geometry.
+ * Boxes are { x, y, width, height } in pixels of the OCR'd image; confidences
+ * are Tesseract's own, scaled to 0-1. Words carry the 0-based line of `text`
+ * they are on, the same shape as text-layer items (see textLayout.js).
+ * Returns { text, confidence, image, blocks, lines, words }.
+ */
+function parseTsv(tsv) {
+  const rows = tsv.split(/\r?\n/).slice(1).filter(Boolean).map((raw) => {
+    const cols = raw.split('\t');
+    const [level, , block, par, line, , left, top, width, height] = cols.slice(0, 10).map(Number);
+    return { level, block, par, line, left, top, width, height, conf: parseFloat(cols[10]), text: cols.slice(11).join('\t') };
+  });
+
+  const pageRow = rows.find(row => row.level === TSV_LEVEL.page);
+  const blocks = [];
+  const lines = [];
+  const blockIndex = new Map();
+  const lineIndex = new Map();
+
+  for (const row of rows) {
+    if (row.level === TSV_LEVEL.block) {
+      blockIndex.set(row.block, blocks.length);
+      blocks.push(box(row));
+    } else if (row.level === TSV_LEVEL.line) {
+      lineIndex.set(`${row.block}.${row.par}.${row.line}`, lines.length);
+      lines.push({ ...box(row), block: blockIndex.get(row.block) ?? 0, words: [] });
+    } else if (row.level === TSV_LEVEL.word && row.text.trim() && row.conf >= 0) {
+      const line = lines[lineIndex.get(`${row.block}.${row.par}.${row.line}`)];
+      if (line) line.words.push({ text: row.text.trim(), ...box(row), confidence: toUnit(row.conf) });
+    }
+  }
+
+  // Lines without words (Tesseract reports some for rules and specks) are dropped
+  const kept = lines.filter(line => line.words.length > 0);
+  const words = kept.flatMap((line, i) => line.words.map(word => ({ ...word, line: i })));
+  const meanConfidence = ws => toUnit(mean(ws.map(word => word.confidence * 100)));
+
+  return {
+    text: kept.map(line => line.words.map(word => word.text).join(' ')).join('\n'),
+    confidence: meanConfidence(words) ?? 0,
+    image: pageRow ? { width: pageRow.width, height: pageRow.height } : null,
+    blocks: blocks.map((block, i) => ({
+      ...block,
+      confidence: meanConfidence(kept.filter(line => line.block === i).flatMap(line => line.words)),
+    })),
+    lines: kept.map(({ words: lineWords, ...line }) => ({
+      text: lineWords.map(word => word.text).join(' '), ...line, confidence: meanConfidence(lineWords),
+    })),
+    words,
+  };
+}
+
+/**
+ * Word boxes scaled by `factor`, e.g. 72 / dpi to turn pixels of a page
+ * render into PDF points. Returns the same array when the factor is 1.
+ */
+function scaleWords(words, factor) {
+  if (factor === 1) return words;
+  const scale = n => Math.round(n * factor * 100) / 100;
+  return words.map(word => ({ ...word, x: scale(word.x), y: scale(word.y), width: scale(word.width), height: scale(word.height) }));
+}
+
+/**
+ * Per-page OCR quality for the result: Tesseract's mean word confidence
+ * and how many words fall below LOW_CONFIDENCE_WORD.
+ */
+function ocrQuality({ confidence, words }) {
+  return {
+    confidence,
+    words: words.length,
+    low_confidence_words: words.filter(word => word.confidence * 100 < LOW_CONFIDENCE_WORD).length,
+  };
+}
 
 /**
- * Run Tesseract OCR on an image file.
- * Returns extracted text string.
+ * Run Tesseract OCR on an image file, or on a PNG buffer (piped to stdin).
+ * lang/oem/psm override the TESSERACT_* env defaults for this call. `auto`
+ * is resolved per page by the page worker; here it falls back to English.
+ * Returns the parsed TSV output (see parseTsv): text plus word, line and
+ * block boxes with confidences.
  */
-async function runOCR(imagePath) {
+async function runOCR(imagePath, { lang, oem, psm } = {}) {
+  const image = Buffer.isBuffer(imagePath) ? '<buffer>' : imagePath;
   const config = {
-    lang: process.env.TESSERACT_LANG || 'eng',
-    oem: parseInt(process.env.TESSERACT_OEM ?? '3'),
-    psm: parseInt(process.env.TESSERACT_PSM ?? '6'),
+    lang: [lang, process.env.TESSERACT_LANG].find(l => l && l !== AUTO_LANG) || AUTO_BASE_LANG,
+    oem: oem ?? parseInt(process.env.TESSERACT_OEM ?? '3'),
+    psm: psm ?? parseInt(process.env.TESSERACT_PSM ?? '6'),
     // Additional Tesseract config for financial documents
     tessedit_char_whitelist: '',
+    presets: ['tsv'],
   };
 
   // Optional custom binary path
@@ -22,24 +119,83 @@ async function runOCR(imagePath) {
   }
 
   try {
-    const text = await tesseract.recognize(imagePath, config);
-    logger.debug({ msg: 'OCR complete', image: imagePath, chars: text.length });
-    return text;
+    const result = parseTsv(await tesseract.recognize(imagePath, config));
+    logger.debug({ msg: 'OCR complete', image, chars: result.text.length, words: result.words.length, confidence: result.confidence });
+    return result;
+  } catch (err) {
+    logger.error({ msg: 'OCR failed', image, error: err.message });
+    // Reported separately so those jobs can be replayed once the language pack is installed
+    const code = MISSING_LANGUAGE_PATTERN.test(err.message) ? 'OCR_LANGUAGE_MISSING' : 'OCR_ERROR';
+    throw Object.assign(new Error(`OCR failed on ${image}: ${err.message}`), { code });
+  }
+}
+
+// ── Orientation (OSD) ────────────────────────────────────────────────────────
+
+// Tesseract's orientation confidence below which a rotation is not trusted
+const MIN_ORIENTATION_CONFIDENCE = 2;
+
+/**
+ * Parse `tesseract --psm 0` output. rotate is the clockwise rotation, in
+ * degrees, that turns the page upright.
+ */
+function parseOsd(output) {
+  const field = (name) => {
+    const m = output.match(new RegExp(`^${name}:\\s*(.+)$`, 'mi'));
+    return m ? m[1].trim() : null;
+  };
+  return {
+    rotate: parseInt(field('Rotate') ?? '0', 10) || 0,
+    confidence: parseFloat(field('Orientation confidence') ?? '0') || 0,
+    script: field('Script'),
+    scriptConfidence: parseFloat(field('Script confidence') ?? '0') || 0,
+  };
+}
+
+/**
+ * Detect whether a page image is turned 90/180/270 degrees, using Tesseract's
+ * orientation and script detection (needs osd.traineddata).
+ * Never throws: a page OSD cannot read (blank, too little text, no osd data)
+ * is reported as upright with confidence 0.
+ * Returns { rotate, confidence, script, scriptConfidence, upright }; upright
+ * is false only for a confident non-zero rotation.
+ */
+async function detectOrientation(imagePath) {
+  const config = { psm: 0 };
+  if (process.env.TESSERACT_PATH) config.binary = process.env.TESSERACT_PATH;
+
+  try {
+    const osd = parseOsd(await tesseract.recognize(imagePath, config));
+    return { ...osd, upright: osd.rotate === 0 || osd.confidence < MIN_ORIENTATION_CONFIDENCE };
   } catch (err) {
-    logger.error({ msg: 'OCR failed', image: imagePath, error: err.message });
-    throw Object.assign(new Error(`OCR failed on ${imagePath}: ${err.message}`), { code: 'OCR_ERROR' });
+    logger.debug({ msg: 'Orientation detection skipped', image: imagePath, error: err.message });
+    return { rotate: 0, confidence: 0, script: null, scriptConfidence: 0, upright: true };
   }
 }
 
+// ── Installed languages ──────────────────────────────────────────────────────
+
+let installedLanguagesPromise = null;
+
 /**
- * Estimate OCR confidence based on character distribution
+ * Language data Tesseract has installed (`tesseract --list-langs`), read once
+ * per process. Resolves to null when the list cannot be read.
  */
-function estimateTextConfidence(text) {
-  if (!text || text.length < 10) return 0;
-  const alphanumeric = (text.match(/[a-zA-Z0-9]/g) || []).length;
-  const total = text.replace(/\s/g, '').length;
-  if (total === 0) return 0;
-  return Math.min(alphanumeric / total, 1);
+function installedLanguages() {
+  if (!installedLanguagesPromise) {
+    installedLanguagesPromise = new Promise((resolve) => {
+      execFile(process.env.TESSERACT_PATH || 'tesseract', ['--list-langs'], (err, stdout, stderr) => {
+        if (err) {
+          logger.warn({ msg: 'Could not list Tesseract languages', error: err.message });
+          return resolve(null);
+        }
+        // First line is the heading ("List of available languages in ..."); older versions print to stderr
+        const lines = `${stdout}${stderr}`.split(/\r?\n/).map(l => l.trim());
+        resolve(lines.filter(l => /^[a-z]{3}(_[a-z]+)*$/i.test(l)));
+      });
+    });
+  }
+  return installedLanguagesPromise;
 }
 
-module.exports = { runOCR, estimateTextConfidence };
+module.exports = { runOCR, parseTsv, scaleWords, ocrQuality, detectOrientation, parseOsd, installedLanguages };
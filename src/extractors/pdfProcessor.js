@@ -1,79 +1,126 @@
 'use strict';
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const pdfParse = require('pdf-parse');
+const { execFile } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { PDFParse } = require('pdf-parse');
 const { fromPath } = require('pdf2pic');
 const logger = require('../utils/logger');
+const { pageImageDir } = require('./imageProcessor');
+const { layoutPage } = require('./textLayout');
 
 /**
- * Detect whether a PDF has an extractable text layer.
- * Returns { hasTextLayer, pageCount, isEncrypted }
+ * Open a PDF with pdf-parse, run fn(parser) and release the pdf.js document.
+ * A password is handed to pdf.js, which rejects a missing or wrong one with
+ * a PasswordException.
  */
-async function detectTextLayer(filePath) {
+async function withParser(filePath, password, fn) {
+  const parser = new PDFParse({ data: fs.readFileSync(filePath), ...(password && { password }) });
   try {
-    const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer, { max: 0 }); // max:0 = parse all pages
+    return await fn(parser);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function isPasswordError(err) {
+  return err && (err.name === 'PasswordException' ||
+    (err.message && (err.message.includes('encrypted') || err.message.includes('password'))));
+}
 
-    const text = data.text || '';
-    const pageCount = data.numpages || 1;
+function invalidPasswordError() {
+  return Object.assign(new Error('The supplied password does not open this PDF'), { code: 'INVALID_PDF_PASSWORD' });
+}
 
-    // Heuristic: if meaningful text per page, it's a text PDF
-    const avgCharsPerPage = text.length / Math.max(pageCount, 1);
-    const hasTextLayer = avgCharsPerPage > 50;
+// A page with fewer non-whitespace characters than this is treated as image-only
+const MIN_PAGE_TEXT_CHARS = 50;
 
-    return { hasTextLayer, pageCount, isEncrypted: false };
+/**
+ * Layout-preserving text and positioned items (see textLayout.js) of every
+ * page, in page order. pdf-parse's getText() only returns flattened strings,
+ * so the pages are read from the pdf.js document it loads.
+ */
+async function readPageLayouts(parser) {
+  const doc = await parser.load();
+  const pageLayouts = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const textContent = await page.getTextContent();
+    const [, yMin, , yMax] = page.view;
+    pageLayouts.push(layoutPage(textContent.items, { pageHeight: yMax - yMin }));
+    page.cleanup();
+  }
+  return pageLayouts;
+}
+
+/**
+ * Detect which pages of a PDF have an extractable text layer. Decided per page,
+ * so a digital cover page does not hide scanned pages behind it (or vice versa).
+ * Returns { hasTextLayer, pageCount, isEncrypted, textLayerPages } where
+ * textLayerPages lists the 1-based pages that need no OCR.
+ * Throws INVALID_PDF_PASSWORD when a password was supplied but rejected.
+ */
+async function detectTextLayer(filePath, { password } = {}) {
+  try {
+    const pageLayouts = await withParser(filePath, password, readPageLayouts);
+    const pageCount = pageLayouts.length || 1;
+
+    const textLayerPages = [];
+    for (let page = 1; page <= pageCount; page++) {
+      if ((pageLayouts[page - 1]?.text || '').replace(/\s/g, '').length > MIN_PAGE_TEXT_CHARS) textLayerPages.push(page);
+    }
+
+    return { hasTextLayer: textLayerPages.length > 0, pageCount, isEncrypted: false, textLayerPages };
   } catch (err) {
-    if (err.message && (err.message.includes('encrypted') || err.message.includes('password'))) {
-      return { hasTextLayer: false, pageCount: 0, isEncrypted: true };
+    if (isPasswordError(err)) {
+      if (password) throw invalidPasswordError();
+      return { hasTextLayer: false, pageCount: 0, isEncrypted: true, textLayerPages: [] };
     }
     logger.warn({ msg: 'pdf-parse error, assuming scanned', error: err.message });
-    return { hasTextLayer: false, pageCount: 1, isEncrypted: false };
+    return { hasTextLayer: false, pageCount: 1, isEncrypted: false, textLayerPages: [] };
   }
 }
 
 /**
- * Extract text from each page of a text-layer PDF.
- * Returns array of strings (one per page).
+ * Extract text from each page of a text-layer PDF, keeping column gaps.
+ * Returns one { text, items } per page; items are the positioned words
+ * the parsers use to place values by column.
  */
-async function extractTextFromLayer(filePath) {
-  const dataBuffer = fs.readFileSync(filePath);
-
-  const pageTexts = [];
-  let currentPage = 0;
+async function extractTextFromLayer(filePath, { password } = {}) {
+  return withParser(filePath, password, readPageLayouts);
+}
 
-  const options = {
-    pagerender: async function(pageData) {
-      const textContent = await pageData.getTextContent();
-      let text = '';
-      let lastY;
-      for (const item of textContent.items) {
-        if (lastY === item.transform[5] || !lastY) {
-          text += item.str;
-        } else {
-          text += '\n' + item.str;
-        }
-        lastY = item.transform[5];
+/**
+ * Write a decrypted copy of a password-protected PDF to a temp file with qpdf.
+ * The password is passed on stdin so it never shows up in the process list.
+ * Returns the temp file path; the caller removes it.
+ */
+function decryptPdf(filePath, password) {
+  const outputPath = path.join(os.tmpdir(), `${uuidv4()}_decrypted.pdf`);
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      process.env.QPDF_PATH || 'qpdf',
+      ['--password-file=-', '--decrypt', filePath, outputPath],
+      (err) => {
+        // Exit code 3 = succeeded with warnings
+        if (!err || err.code === 3) return resolve(outputPath);
+        fs.unlink(outputPath, () => {});
+        if (err.code === 2 && /password/i.test(err.message)) return reject(invalidPasswordError());
+        reject(Object.assign(new Error(`PDF decryption failed: ${err.message}`), { code: 'PDF_DECRYPT_ERROR' }));
       }
-      pageTexts[currentPage] = text;
-      currentPage++;
-      return text;
-    }
-  };
-
-  await pdfParse(dataBuffer, options);
-  return pageTexts;
+    );
+    child.stdin.end(password);
+  });
 }
 
 /**
- * Render each page of a PDF to a PNG image.
- * Returns array of file paths.
+ * Render pages of a PDF to PNG images: the 1-based `pages` given, else all.
+ * Returns array of file paths indexed by page - 1 (empty where not rendered).
  */
-async function renderPagesToImages(filePath, dpi = 200) {
-  const outputDir = path.join(
-    process.env.ARTIFACTS_DIR || '/tmp/artifacts',
-    path.basename(filePath, '.pdf') + '_pages'
-  );
+async function renderPagesToImages(filePath, dpi = 200, { password, pages } = {}) {
+  const outputDir = pageImageDir(filePath);
 
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
@@ -88,21 +135,29 @@ async function renderPagesToImages(filePath, dpi = 200) {
     height: 3508,
   };
 
-  const convert = fromPath(filePath, options);
-
-  // Get page count first
-  const { pageCount } = await detectTextLayer(filePath).catch(() => ({ pageCount: 1 }));
-  const pages = Math.max(pageCount, 1);
+  // Ghostscript can't take the password through pdf2pic, so render from a decrypted copy
+  const renderPath = password ? await decryptPdf(filePath, password) : filePath;
+  const convert = fromPath(renderPath, options);
 
   const imagePaths = [];
-  for (let i = 1; i <= pages; i++) {
-    const result = await convert(i);
-    if (result && result.path) {
-      imagePaths.push(result.path);
+  try {
+    let pageNumbers = pages;
+    if (!pageNumbers) {
+      const { pageCount } = await detectTextLayer(renderPath).catch(() => ({ pageCount: 1 }));
+      pageNumbers = Array.from({ length: Math.max(pageCount, 1) }, (_, i) => i + 1);
+    }
+
+    for (const page of pageNumbers) {
+      const result = await convert(page);
+      if (result && result.path) {
+        imagePaths[page - 1] = result.path;
+      }
     }
+  } finally {
+    if (renderPath !== filePath) fs.unlink(renderPath, () => {});
   }
 
-  logger.info({ msg: 'Rendered PDF pages to images', count: imagePaths.length, dir: outputDir });
+  logger.info({ msg: 'Rendered PDF pages to images', count: imagePaths.filter(Boolean).length, dir: outputDir });
   return imagePaths;
 }
 
@@ -0,0 +1,391 @@
+'use strict';
+
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+
+/**
+ * Table grids on a scanned page image.
+ *
+ * Ruling lines are long runs of ink. Consecutive horizontal rules with the
+ * same left and right ends bound a table, and vertical rules crossing it
+ * split the columns. Where a table has no vertical rules, or no rules at
+ * all, columns are split at whitespace: x ranges in which none of the
+ * table's text lines has ink. Rows are the ruled bands when rows are ruled,
+ * else the text lines. The page's OCR words are then placed in the cell
+ * their centre falls in, so an empty debit cell stays empty instead of
+ * pulling the next amount into its column, without OCRing any cell again.
+ *
+ * Coordinates are pixels of the image the table was found on.
+ */
+
+// Gray level below which a pixel is ink
+const DARK = 128;
+
+// A horizontal rule spans at least this fraction of the page width
+const MIN_RULE_WIDTH = 0.25;
+
+// Breaks up to this many pixels long are bridged (dotted rules, worn scans)
+const RULE_GAP = 3;
+
+// Rules whose ends are within this fraction of the page width belong to one table
+const RULE_ALIGN = 0.02;
+
+// A vertical rule is ink over at least this fraction of the table's height
+const MIN_VERTICAL_RULE = 0.8;
+
+// With at least this many horizontal rules every row is ruled, and a band
+// between two rules is one row even when it holds several text lines
+const RULED_ROWS = 4;
+
+// Text lines closer than this many pixels are one line (dots, accents)
+const LINE_GAP = 2;
+
+// Ink shorter than this many pixels is speckle, not a text line
+const MIN_LINE_HEIGHT = 4;
+
+// A whitespace column gap is at least one text-line height wide, and never narrower than this
+const MIN_COLUMN_GAP = 8;
+
+const MIN_COLUMNS = 3;
+const MIN_ROWS = 2;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function loadPage(imagePath) {
+  const { data, info } = await sharp(imagePath)
+    .flatten({ background: '#ffffff' })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const ink = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) ink[i] = data[i] < DARK ? 1 : 0;
+  return { ink, width: info.width, height: info.height };
+}
+
+// ── Ruling lines ─────────────────────────────────────────────────────────────
+
+/**
+ * Rows whose longest run of ink is a rule, merged with their neighbours
+ * into { y0, y1, x0, x1 }
+ */
+function findHorizontalRules({ ink, width, height }) {
+  const minLength = width * MIN_RULE_WIDTH;
+  const rules = [];
+
+  for (let y = 0; y < height; y++) {
+    let best = null;
+    let start = null;
+    let lastInk = null;
+    const row = y * width;
+    for (let x = 0; x <= width; x++) {
+      const on = x < width && ink[row + x];
+      if (on && start !== null && x - lastInk - 1 > RULE_GAP) {
+        if (!best || lastInk - start > best.x1 - best.x0) best = { x0: start, x1: lastInk };
+        start = x;
+      }
+      if (on) {
+        if (start === null) start = x;
+        lastInk = x;
+      }
+    }
+    if (start !== null && (!best || lastInk - start > best.x1 - best.x0)) best = { x0: start, x1: lastInk };
+    if (!best || best.x1 - best.x0 + 1 < minLength) continue;
+
+    const prev = rules[rules.length - 1];
+    if (prev && prev.y1 === y - 1 && best.x0 <= prev.x1 && best.x1 >= prev.x0) {
+      prev.y1 = y;
+      prev.x0 = Math.min(prev.x0, best.x0);
+      prev.x1 = Math.max(prev.x1, best.x1);
+    } else {
+      rules.push({ y0: y, y1: y, ...best });
+    }
+  }
+  return rules;
+}
+
+// Consecutive rules with matching ends, as lists of rules from top to bottom
+function groupRules(rules, width) {
+  const tolerance = width * RULE_ALIGN;
+  const groups = [];
+  for (const rule of rules) {
+    const group = groups[groups.length - 1];
+    const last = group && group[group.length - 1];
+    if (last && Math.abs(last.x0 - rule.x0) <= tolerance && Math.abs(last.x1 - rule.x1) <= tolerance) {
+      group.push(rule);
+    } else {
+      groups.push([rule]);
+    }
+  }
+  return groups.filter(group => group.length >= 2);
+}
+
+// x ranges { x0, x1 } inked over most of top..bottom
+function findVerticalRules({ ink, width }, { top, bottom, left, right }) {
+  const minInk = (bottom - top + 1) * MIN_VERTICAL_RULE;
+  const rules = [];
+  for (let x = left; x <= right; x++) {
+    let count = 0;
+    for (let y = top; y <= bottom; y++) count += ink[y * width + x];
+    if (count < minInk) continue;
+    const prev = rules[rules.length - 1];
+    if (prev && prev.x1 === x - 1) prev.x1 = x;
+    else rules.push({ x0: x, x1: x });
+  }
+  return rules;
+}
+
+// ── Text lines and whitespace columns ───────────────────────────────────────
+
+// Ink per x across rows y0..y1, skipping the x ranges in `skip` (vertical rules)
+function occupancy({ ink, width }, y0, y1, left, right, skip = []) {
+  const occupied = new Uint8Array(right - left + 1);
+  for (let y = y0; y <= y1; y++) {
+    const row = y * width;
+    for (let x = left; x <= right; x++) {
+      if (ink[row + x]) occupied[x - left] = 1;
+    }
+  }
+  for (const rule of skip) occupied.fill(0, Math.max(rule.x0 - left, 0), Math.max(rule.x1 + 1 - left, 0));
+  return occupied;
+}
+
+/**
+ * Text lines { y0, y1 } inside a region: runs of rows with ink, joined
+ * across gaps of up to LINE_GAP rows
+ */
+function textLines({ ink, width }, { top, bottom, left, right }, skip = []) {
+  const skipped = x => skip.some(rule => x >= rule.x0 && x <= rule.x1);
+  const columns = [];
+  for (let x = left; x <= right; x++) if (!skipped(x)) columns.push(x);
+
+  const lines = [];
+  let start = null;
+  let lastInk = null;
+  for (let y = top; y <= bottom; y++) {
+    const row = y * width;
+    if (!columns.some(x => ink[row + x])) continue;
+    if (start !== null && y - lastInk - 1 > LINE_GAP) {
+      lines.push({ y0: start, y1: lastInk });
+      start = y;
+    }
+    if (start === null) start = y;
+    lastInk = y;
+  }
+  if (start !== null) lines.push({ y0: start, y1: lastInk });
+  return lines.filter(line => line.y1 - line.y0 + 1 >= MIN_LINE_HEIGHT);
+}
+
+/**
+ * Ink spans { x0, x1 } of an occupancy profile, split only at gaps of at
+ * least minGap pixels. Offsets are relative to the profile's left edge.
+ */
+function inkSpans(occupied, minGap) {
+  const spans = [];
+  for (let x = 0; x < occupied.length; x++) {
+    if (!occupied[x]) continue;
+    const prev = spans[spans.length - 1];
+    if (prev && x - prev.x1 - 1 < minGap) prev.x1 = x;
+    else spans.push({ x0: x, x1: x });
+  }
+  return spans;
+}
+
+function columnGap(lines) {
+  return Math.max(MIN_COLUMN_GAP, median(lines.map(line => line.y1 - line.y0 + 1)) || 0);
+}
+
+// Column boxes from the ink spans of a table: each reaches halfway to its neighbours
+function spanColumns(spans, left, right) {
+  const bounds = spans.slice(1).map((span, i) => Math.floor((spans[i].x1 + span.x0) / 2));
+  return spans.map((span, i) => {
+    const x0 = i === 0 ? left : bounds[i - 1] + 1;
+    const x1 = i === spans.length - 1 ? right : bounds[i];
+    return { x: x0, width: x1 - x0 + 1 };
+  });
+}
+
+// Column boxes between vertical rules; the table's edges count as rules
+function ruledColumns(verticals, left, right) {
+  const edges = [{ x0: left - 1, x1: left - 1 }, ...verticals, { x0: right + 1, x1: right + 1 }]
+    .sort((a, b) => a.x0 - b.x0);
+  const columns = [];
+  for (let i = 1; i < edges.length; i++) {
+    const x0 = edges[i - 1].x1 + 1;
+    const x1 = edges[i].x0 - 1;
+    if (x1 - x0 >= MIN_COLUMN_GAP) columns.push({ x: x0, width: x1 - x0 + 1 });
+  }
+  return columns;
+}
+
+// ── Table detection ──────────────────────────────────────────────────────────
+
+// One table from a group of aligned horizontal rules, or null
+function ruledTable(page, rules) {
+  const top = rules[0].y1 + 1;
+  const bottom = rules[rules.length - 1].y0 - 1;
+  const left = Math.min(...rules.map(rule => rule.x0));
+  const right = Math.max(...rules.map(rule => rule.x1));
+  if (bottom <= top) return null;
+
+  const verticals = findVerticalRules(page, { top, bottom, left, right });
+  const inner = verticals.filter(rule => rule.x0 - left > MIN_COLUMN_GAP && right - rule.x1 > MIN_COLUMN_GAP);
+
+  // Ruled bands, each split into text lines unless every row is ruled
+  const rows = [];
+  for (let i = 1; i < rules.length; i++) {
+    const band = { top: rules[i - 1].y1 + 1, bottom: rules[i].y0 - 1, left, right };
+    if (band.bottom <= band.top) continue;
+    const lines = textLines(page, band, verticals);
+    if (lines.length === 0) continue;
+    if (rules.length >= RULED_ROWS) rows.push({ y0: band.top, y1: band.bottom, lines });
+    else rows.push(...lines.map(line => ({ ...line, lines: [line] })));
+  }
+
+  let columns;
+  if (inner.length >= MIN_COLUMNS - 1) {
+    columns = ruledColumns(inner, left, right);
+  } else {
+    const lines = rows.flatMap(row => row.lines);
+    const occupied = new Uint8Array(right - left + 1);
+    for (const line of lines) {
+      occupancy(page, line.y0, line.y1, left, right, verticals).forEach((on, x) => { if (on) occupied[x] = 1; });
+    }
+    const spans = inkSpans(occupied, columnGap(lines)).map(span => ({ x0: span.x0 + left, x1: span.x1 + left }));
+    columns = spanColumns(spans, left, right);
+  }
+
+  return { bbox: { x: left, y: top, width: right - left + 1, height: bottom - top + 1 }, ruled: true, columns, rows, skip: verticals };
+}
+
+/**
+ * The longest run of consecutive text lines that keeps at least MIN_COLUMNS
+ * whitespace-separated columns, for tables drawn without rules
+ */
+function unruledTable(page) {
+  const { width, height } = page;
+  const lines = textLines(page, { top: 0, bottom: height - 1, left: 0, right: width - 1 });
+  const minGap = columnGap(lines);
+  const profiles = lines.map(line => occupancy(page, line.y0, line.y1, 0, width - 1));
+
+  let best = null;
+  for (let i = 0; i < lines.length; i++) {
+    const union = new Uint8Array(width);
+    for (let j = i; j < lines.length; j++) {
+      profiles[j].forEach((on, x) => { if (on) union[x] = 1; });
+      const found = inkSpans(union, minGap);
+      if (found.length < MIN_COLUMNS) break;
+      if (j - i + 1 > MIN_ROWS && (!best || j - i > best.to - best.from)) best = { from: i, to: j, spans: found };
+    }
+  }
+  if (!best) return null;
+
+  const rows = lines.slice(best.from, best.to + 1).map(line => ({ ...line, lines: [line] }));
+  const left = best.spans[0].x0;
+  const right = best.spans[best.spans.length - 1].x1;
+  const top = rows[0].y0;
+  const bottom = rows[rows.length - 1].y1;
+  return {
+    bbox: { x: left, y: top, width: right - left + 1, height: bottom - top + 1 },
+    ruled: false,
+    columns: spanColumns(best.spans, left, right),
+    rows,
+    skip: [],
+  };
+}
+
+// Ruled tables first, else the largest whitespace-aligned block of text lines
+function findTables(page) {
+  const usable = table => table && table.columns.length >= MIN_COLUMNS && table.rows.length >= MIN_ROWS;
+
+  const ruled = groupRules(findHorizontalRules(page), page.width)
+    .map(rules => ruledTable(page, rules))
+    .filter(usable);
+  if (ruled.length > 0) return ruled;
+
+  const unruled = unruledTable(page);
+  return usable(unruled) ? [unruled] : [];
+}
+
+/**
+ * Find the table grids of a page image, without reading them.
+ * Returns [{ bbox, ruled, columns: [{ x, width }], rows: [{ y, height }] }];
+ * tables with fewer than MIN_COLUMNS columns or MIN_ROWS rows are dropped.
+ */
+async function detectTables(imagePath) {
+  return findTables(await loadPage(imagePath)).map(({ bbox, ruled, columns, rows }) => ({
+    bbox, ruled, columns, rows: rows.map(row => ({ y: row.y0, height: row.y1 - row.y0 + 1 })),
+  }));
+}
+
+// ── Cells ────────────────────────────────────────────────────────────────────
+
+const meanConfidence = words => Math.round(words.reduce((sum, word) => sum + word.confidence, 0) / words.length * 100) / 100;
+
+// The words whose centre lies in the cell, in reading order, as one cell
+function readCell(words, { top, bottom, left, right }) {
+  const inCell = words
+    .filter((word) => {
+      const cx = word.x + word.width / 2;
+      const cy = word.y + word.height / 2;
+      return cx >= left && cx < right && cy >= top && cy <= bottom;
+    })
+    .sort((a, b) => a.line - b.line || a.x - b.x);
+  if (inCell.length === 0) return { text: '', confidence: null };
+  return { text: inCell.map(word => word.text).join(' '), confidence: meanConfidence(inCell) };
+}
+
+/**
+ * Detect the tables of a page image and fill their cells with the page's
+ * OCR words ({ text, x, y, width, height, confidence, line } in pixels of
+ * the same image, as runOCR returns them).
+ * Returns [{ bbox, ruled, columns: [{ x, width }], rows: [{ y, height,
+ * cells: [{ text, confidence }] }] }], one cell per column in every row;
+ * empty cells have text '' and confidence null. Never throws: returns null
+ * when detection fails.
+ */
+async function extractTables(imagePath, words = []) {
+  let tables;
+  try {
+    tables = findTables(await loadPage(imagePath));
+  } catch (err) {
+    logger.warn({ msg: 'Table detection failed', image: imagePath, error: err.message });
+    return null;
+  }
+
+  const result = tables.map(table => ({
+    bbox: table.bbox,
+    ruled: table.ruled,
+    columns: table.columns,
+    rows: table.rows.map(row => ({
+      y: row.y0,
+      height: row.y1 - row.y0 + 1,
+      cells: table.columns.map(column => readCell(words, {
+        top: row.y0, bottom: row.y1, left: column.x, right: column.x + column.width,
+      })),
+    })),
+  }));
+
+  logger.debug({ msg: 'Tables extracted', image: imagePath, tables: result.length, cells: result.reduce((n, t) => n + t.rows.length * t.columns.length, 0) });
+  return result;
+}
+
+/**
+ * Tables from extractTables with every coordinate scaled by `factor`.
+ * Returns the same array when the factor is 1.
+ */
+function scaleTables(tables, factor) {
+  if (!tables || factor === 1) return tables;
+  const scale = n => Math.round(n * factor * 100) / 100;
+  return tables.map(table => ({
+    ...table,
+    bbox: { x: scale(table.bbox.x), y: scale(table.bbox.y), width: scale(table.bbox.width), height: scale(table.bbox.height) },
+    columns: table.columns.map(column => ({ x: scale(column.x), width: scale(column.width) })),
+    rows: table.rows.map(row => ({ ...row, y: scale(row.y), height: scale(row.height) })),
+  }));
+}
+
+module.exports = { detectTables, extractTables, scaleTables };
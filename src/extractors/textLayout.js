@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Layout-preserving text for one PDF page, rebuilt from pdf.js text items.
+ *
+ * pdf.js returns items in content-stream order, each with its own position.
+ * Items are grouped into lines by baseline, ordered top to bottom and left to
+ * right, and placed on a character grid derived from the page's typical glyph
+ * width. Words keep single spaces while column gaps become runs of spaces, so
+ * table columns line up across rows the way they do on the page.
+ */
+
+// Items whose gap is below this fraction of a glyph width are parts of one word
+const SAME_WORD_GAP = 0.3;
+
+// A gap of at least this many glyph widths is a column break (two or more spaces)
+const COLUMN_GAP = 1.5;
+
+const DEFAULT_CHAR_WIDTH = 5;
+
+const round = n => Math.round(n * 100) / 100;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * pdf.js item → { text, x, baseline, width, height }. Font size comes from
+ * the transform when the item has no height of its own.
+ */
+function positionItem(item) {
+  const [, , c, d, x, baseline] = item.transform;
+  return {
+    text: item.str,
+    x,
+    baseline,
+    width: item.width || 0,
+    height: item.height || Math.hypot(c, d) || 0,
+  };
+}
+
+// Items sharing a baseline (within half a line height) form one line
+function groupLines(items) {
+  const byBaseline = [...items].sort((a, b) => b.baseline - a.baseline || a.x - b.x);
+  const lines = [];
+  for (const item of byBaseline) {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(2, (line ? Math.min(line.height, item.height || line.height) : item.height) / 2);
+    if (line && Math.abs(line.baseline - item.baseline) <= tolerance) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({ baseline: item.baseline, height: item.height, items: [item] });
+    }
+  }
+  for (const line of lines) line.items.sort((a, b) => a.x - b.x);
+  return lines;
+}
+
+// Glue fragments of one word (font changes, kerning) back together
+function mergeWords(items, charWidth) {
+  const merged = [];
+  for (const item of items) {
+    const prev = merged[merged.length - 1];
+    if (prev && item.x - (prev.x + prev.width) < charWidth * SAME_WORD_GAP) {
+      prev.text += item.text;
+      prev.width = item.x + item.width - prev.x;
+      prev.height = Math.max(prev.height, item.height);
+    } else {
+      merged.push({ ...item });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Lay out one page.
+ * Returns { text, items } where items are the positioned words/runs:
+ * { text, x, y, width, height, line } in PDF points, y measured from the
+ * top of the page, and line the 0-based line of `text` the item is on.
+ */
+function layoutPage(textItems, { pageHeight = 0 } = {}) {
+  const items = textItems.filter(item => item.str && item.str.trim()).map(positionItem);
+  if (items.length === 0) return { text: '', items: [] };
+
+  const charWidth = median(items.filter(i => i.width > 0).map(i => i.width / i.text.length)) || DEFAULT_CHAR_WIDTH;
+  const left = items.reduce((min, i) => Math.min(min, i.x), Infinity);
+
+  const textLines = [];
+  const positioned = [];
+  groupLines(items).forEach((line, lineIndex) => {
+    let text = '';
+    let prevEnd = null;
+    for (const item of mergeWords(line.items, charWidth)) {
+      const column = Math.round((item.x - left) / charWidth);
+      if (prevEnd === null) {
+        text = ' '.repeat(column);
+      } else {
+        const minSpaces = item.x - prevEnd >= charWidth * COLUMN_GAP ? 2 : 1;
+        text += ' '.repeat(Math.max(column - text.length, minSpaces));
+      }
+      text += item.text;
+      prevEnd = item.x + item.width;
+      positioned.push({
+        text: item.text.trim(),
+        x: round(item.x),
+        y: round(pageHeight - item.baseline - item.height),
+        width: round(item.width),
+        height: round(item.height),
+        line: lineIndex,
+      });
+    }
+    textLines.push(text.trimEnd());
+  });
+
+  return { text: textLines.join('\n'), items: positioned };
+}
+
+module.exports = { layoutPage };
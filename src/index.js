@@ -10,12 +10,20 @@ const { initQueue } = require('./workers/queue');
 const documentRoutes = require('./routes/documents');
 const jobRoutes = require('./routes/jobs');
 const healthRoutes = require('./routes/health');
+const batchRoutes = require('./routes/batches');
+const extractRoutes = require('./routes/extract');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
 const { errorHandler } = require('./utils/errorHandler');
-const { authMiddleware } = require('./utils/auth');
+const { authMiddleware, adminAuthMiddleware } = require('./utils/auth');
+const { handleShutdown } = require('./utils/shutdown');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// all: API plus in-process workers. api: enqueue only; run src/worker.js for processing
+const APP_MODE = process.env.APP_MODE || 'all';
+
 // ── Middleware ──────────────────────────────────────────────────────────────
 const allowedOrigins = (process.env.CORS_ORIGINS || '').split(',').filter(Boolean);
 app.use(cors({
@@ -29,7 +37,7 @@ app.use(cors({
       callback(new Error(`CORS: origin ${origin} not allowed`));
     }
   },
-  methods: ['GET', 'POST', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -49,6 +57,10 @@ if (process.env.API_KEY) {
 app.use('/health', healthRoutes);
 app.use('/api/v1/documents', documentRoutes);
 app.use('/api/v1/jobs', jobRoutes);
+app.use('/api/v1/batches', batchRoutes);
+app.use('/api/v1/extract', extractRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/admin/queue', adminAuthMiddleware, adminRoutes);
 
 // 404
 app.use((req, res) => res.status(404).json({ error: 'Not found' }));
@@ -59,10 +71,16 @@ app.use(errorHandler);
 // ── Startup ─────────────────────────────────────────────────────────────────
 async function start() {
   try {
-    logger.info('Starting OCR Extraction Engine...');
+    if (!['all', 'api'].includes(APP_MODE)) {
+      throw new Error(`APP_MODE must be "all" or "api", got "${APP_MODE}"`);
+    }
+    logger.info({ msg: 'Starting OCR Extraction Engine...', mode: APP_MODE });
+    if (APP_MODE === 'api' && !process.env.JOB_SECRET_KEY) {
+      logger.warn('APP_MODE=api without JOB_SECRET_KEY: workers will not be able to read PDF passwords');
+    }
     await initDb();
     logger.info('Database connected');
-    await initQueue();
+    await initQueue({ processJobs: APP_MODE === 'all' });
     logger.info('Job queue initialized');
 
     const server = createServer(app);
@@ -70,13 +88,12 @@ async function start() {
       logger.info(`Server listening on port ${PORT}`);
     });
 
-    // Graceful shutdown
-    const shutdown = async (signal) => {
-      logger.info(`${signal} received, shutting down...`);
-      server.close(() => process.exit(0));
-    };
-    process.on('SIGTERM', () => shutdown('SIGTERM'));
-    process.on('SIGINT', () => shutdown('SIGINT'));
+    handleShutdown({
+      // Stop accepting requests first; the in-process workers then drain
+      beforeDrain: async () => { server.close(); },
+      // Open SSE streams and sync extract waits would otherwise hold the server open
+      afterDrain: async () => { server.closeAllConnections(); },
+    });
   } catch (err) {
     logger.error({ msg: 'Failed to start server', error: err.message });
     process.exit(1);
@@ -3,19 +3,48 @@
 const { normalizeDate, normalizeAmount, getLines, cleanOCRArtifacts, calcConfidence } = require('../utils/normalize');
 const logger = require('../utils/logger');
 
+// Hindi labels are those of bilingual (and cooperative bank) statements:
+// दिनांक/तारीख date, विवरण particulars, नामे/निकासी debit, जमा credit, शेष balance
+const TABLE_HEADER_PATTERNS = [
+  /date.*(?:narration|description|particulars).*(?:debit|dr).*(?:credit|cr)/i,
+  /date.*(?:details|description).*(?:withdrawal|debit).*(?:deposit|credit)/i,
+  /txn.*date.*description/i,
+  /(?:दिनांक|तारीख|तिथि).*विवरण.*(?:नामे|निकासी).*जमा/,
+];
+
+// कुल ("total") only as a label of its own: it also starts names such as कुलदीप,
+// and \b does not mark word edges in Devanagari
+const TABLE_END_PATTERN = /total|closing\s+balance|opening\s+balance|grand\s+total|(?:^|\s)कुल(?:\s*(?:योग|राशि))?\s*[:\-]?(?=\s|\d|$)|अंतिम\s+शेष|प्रारंभिक\s+शेष/i;
+
+const ROW_DATE_PATTERN = /(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}|\d{1,2}\s+[A-Za-z]{3}\s+\d{4})/;
+
 /**
  * Extract structured data from bank statement text.
+ * pageItems (one entry per page) are the positioned words of each page: the
+ * text layer's items, or Tesseract's word boxes for OCR'd pages, all in one
+ * coordinate space (PDF points for a PDF). When every page has them,
+ * transaction amounts are assigned by column geometry instead of by position
+ * in the line.
+ * pageTables (one entry per page) are the table grids read from scanned page
+ * images, cell by cell (see tableDetector.js). When every page has them, rows
+ * and columns come straight from the grid.
  */
-async function extractBankStatement(pageTexts, fullText) {
+async function extractBankStatement(pageTexts, fullText, { pageItems = [], pageTables = [] } = {}) {
   const warnings = [];
   const text = cleanOCRArtifacts(fullText);
-  const lines = getLines(text);
+  const lines = getLines(cleanOCRArtifacts(fullText, { keepLayout: true }));
 
   // ── Header / Summary Fields ──────────────────────────────────────────────
   const header = extractHeader(text, lines, warnings);
 
   // ── Transaction Table ────────────────────────────────────────────────────
-  const { transactions, tableWarnings } = extractTransactions(lines, text);
+  const byGrid = pageTables.length > 0 && pageTables.every(Boolean) ? extractTransactionsFromGrid(pageTables) : [];
+  const byColumns = pageItems.length > 0 && pageItems.every(Boolean) ? extractTransactionsByColumns(pageItems) : [];
+  // A table the detector missed loses its rows; then the words do better
+  const structured = byGrid.length > 0 && byGrid.length >= byColumns.length ? byGrid : byColumns;
+  const { transactions, tableWarnings } = structured.length > 0
+    ? { transactions: structured, tableWarnings: [] }
+    : extractTransactions(lines, text);
   warnings.push(...tableWarnings);
 
   if (transactions.length === 0) {
@@ -58,6 +87,7 @@ function extractHeader(text, lines, warnings) {
     /account\s+(?:number|no\.?|#)\s*[:\-]?\s*(\d[\d\s\-]{5,20})/i,
     /a\/c\s+(?:no\.?|number|#)\s*[:\-]?\s*(\d[\d\s\-]{5,20})/i,
     /acc(?:ount)?\s*no[.:]?\s*(\d[\d\s\-]{5,20})/i,
+    /खाता\s*(?:संख्या|सं\.?|क्रमांक)\s*[:\-]?\s*(\d[\d\s\-]{5,20})/,
   ];
   for (const p of acctPatterns) {
     const m = text.match(p);
@@ -68,6 +98,7 @@ function extractHeader(text, lines, warnings) {
   const namePatterns = [
     /(?:account\s+holder|customer\s+name|name)\s*[:\-]?\s*([A-Z][a-zA-Z\s\.]+)/i,
     /in\s+the\s+name\s+of\s*[:\-]?\s*([A-Z][a-zA-Z\s\.]+)/i,
+    /(?:खाताधारक|ग्राहक)(?:\s+का)?\s+नाम\s*[:\-]?\s*([A-Z][a-zA-Z\s\.]+)/i,
   ];
   for (const p of namePatterns) {
     const m = text.match(p);
@@ -76,10 +107,12 @@ function extractHeader(text, lines, warnings) {
 
   // Account type
   const typeMatch = text.match(/(savings|current|salary|nre|nro|fixed\s+deposit)\s*account/i);
+  const hindiTypeMatch = text.match(/(बचत|चालू)\s*खाता/);
   if (typeMatch) header.account_type = typeMatch[1].toLowerCase();
+  else if (hindiTypeMatch) header.account_type = hindiTypeMatch[1] === 'बचत' ? 'savings' : 'current';
 
   // IFSC
-  const ifscMatch = text.match(/IFSC\s*[:\-]?\s*([A-Z]{4}0[A-Z0-9]{6})/i);
+  const ifscMatch = text.match(/(?:IFSC|आईएफएससी)\s*(?:कोड|code)?\s*[:\-]?\s*([A-Z]{4}0[A-Z0-9]{6})/i);
   if (ifscMatch) header.ifsc_code = ifscMatch[1].toUpperCase();
 
   // Statement period
@@ -87,6 +120,7 @@ function extractHeader(text, lines, warnings) {
     /(?:statement|from)\s+(?:period|date)\s*[:\-]?\s*([\d\/\-\.]+\s*(?:to|[-–])\s*[\d\/\-\.]+)/i,
     /period\s*[:\-]?\s*([\d\/\-\.a-zA-Z]+)\s+to\s+([\d\/\-\.a-zA-Z]+)/i,
     /from\s*[:\-]?\s*([\d\/\-\.a-zA-Z]+)\s+to\s+([\d\/\-\.a-zA-Z]+)/i,
+    /अवधि\s*[:\-]?\s*([\d\/\-\.]+)\s*(?:से|to)\s*([\d\/\-\.]+)/i,
   ];
   for (const p of periodPatterns) {
     const m = text.match(p);
@@ -109,6 +143,7 @@ function extractHeader(text, lines, warnings) {
   const openBalPatterns = [
     /opening\s+balance\s*[:\-]?\s*([₹$]?\s*[\d,\.]+(?:\.\d{2})?)/i,
     /balance\s+b\/f\s*[:\-]?\s*([₹$]?\s*[\d,\.]+)/i,
+    /(?:प्रारंभिक|आरंभिक|प्रारम्भिक)\s+शेष\s*[:\-]?\s*([₹$]?\s*[\d,\.]+)/,
   ];
   for (const p of openBalPatterns) {
     const m = text.match(p);
@@ -119,6 +154,7 @@ function extractHeader(text, lines, warnings) {
   const closeBalPatterns = [
     /closing\s+balance\s*[:\-]?\s*([₹$]?\s*[\d,\.]+(?:\.\d{2})?)/i,
     /balance\s+c\/f\s*[:\-]?\s*([₹$]?\s*[\d,\.]+)/i,
+    /(?:अंतिम|समापन)\s+शेष\s*[:\-]?\s*([₹$]?\s*[\d,\.]+)/,
   ];
   for (const p of closeBalPatterns) {
     const m = text.match(p);
@@ -139,14 +175,8 @@ function extractTransactions(lines, fullText) {
   const transactions = [];
 
   // Find the table header row
-  const headerPatterns = [
-    /date.*(?:narration|description|particulars).*(?:debit|dr).*(?:credit|cr)/i,
-    /date.*(?:details|description).*(?:withdrawal|debit).*(?:deposit|credit)/i,
-    /txn.*date.*description/i,
-  ];
-
   let headerLineIdx = -1;
-  for (const p of headerPatterns) {
+  for (const p of TABLE_HEADER_PATTERNS) {
     headerLineIdx = lines.findIndex(l => p.test(l));
     if (headerLineIdx !== -1) break;
   }
@@ -166,7 +196,7 @@ function extractTransactions(lines, fullText) {
     const line = lines[i];
 
     // Stop at summary lines
-    if (/total|closing\s+balance|opening\s+balance|grand\s+total/i.test(line)) break;
+    if (TABLE_END_PATTERN.test(line)) break;
     // Skip separator lines
     if (/^[-=_|*\s]+$/.test(line)) continue;
     // Must contain a date-like pattern
@@ -186,22 +216,28 @@ function detectColumns(headerLine) {
   let pos = 0;
 
   for (const token of tokens) {
-    const lower = token.toLowerCase();
-    if (/date/.test(lower)) positions.date = pos;
-    else if (/narration|description|particulars|details/.test(lower)) positions.description = pos;
-    else if (/debit|withdrawal|dr/.test(lower)) positions.debit = pos;
-    else if (/credit|deposit|cr/.test(lower)) positions.credit = pos;
-    else if (/balance/.test(lower)) positions.balance = pos;
-    else if (/ref|id|chq|cheque/.test(lower)) positions.reference = pos;
+    const name = columnName(token);
+    if (name) positions[name] = pos;
     pos++;
   }
 
   return positions;
 }
 
+function columnName(token) {
+  const lower = token.toLowerCase();
+  if (/date|दिनांक|तारीख|तिथि/.test(lower)) return 'date';
+  if (/narration|description|particulars|details|विवरण/.test(lower)) return 'description';
+  if (/debit|withdrawal|dr|नामे|निकासी/.test(lower)) return 'debit';
+  if (/credit|deposit|cr|जमा/.test(lower)) return 'credit';
+  if (/balance|शेष/.test(lower)) return 'balance';
+  if (/ref|id|chq|cheque|संदर्भ|चेक/.test(lower)) return 'reference';
+  return null;
+}
+
 function parseTransactionRow(line, colMap, lineIdx) {
   // Date extraction
-  const dateMatch = line.match(/(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4}|\d{1,2}\s+[A-Za-z]{3}\s+\d{4})/);
+  const dateMatch = line.match(ROW_DATE_PATTERN);
   if (!dateMatch) return null;
 
   const date = normalizeDate(dateMatch[1]);
@@ -259,6 +295,178 @@ function parseTransactionRow(line, colMap, lineIdx) {
   };
 }
 
+// ── Column geometry ──────────────────────────────────────────────────────────
+// The header row gives each column's horizontal span. Text is left-aligned,
+// so a word belongs to the last column starting at or before it; amounts are
+// usually right-aligned and go to the amount column nearest their centre.
+
+const AMOUNT_COLUMNS = ['debit', 'credit', 'balance'];
+const AMOUNT_ITEM = /^[₹$]?\s*[\d,]+\.\d{2}$/;
+const COLUMN_SLACK = 2; // PDF points, or pixels of an image upload
+
+function extractTransactionsByColumns(pageItems) {
+  const transactions = [];
+  let columns = null;
+
+  for (const items of pageItems) {
+    for (const row of itemRows(items)) {
+      const rowText = row.map(item => item.text).join(' ');
+
+      // Statements repeat the header on every page
+      if (TABLE_HEADER_PATTERNS.some(p => p.test(rowText))) {
+        const found = headerColumns(row);
+        if (found.filter(c => AMOUNT_COLUMNS.includes(c.name)).length >= 2) columns = found;
+        continue;
+      }
+      if (!columns) continue;
+      if (TABLE_END_PATTERN.test(rowText)) { columns = null; continue; }
+
+      const txn = parseTransactionItems(row, rowText, columns);
+      if (txn) transactions.push(txn);
+    }
+  }
+
+  return transactions;
+}
+
+// Items of one page grouped by line, in reading order
+function itemRows(items) {
+  const rows = new Map();
+  for (const item of items) {
+    if (!rows.has(item.line)) rows.set(item.line, []);
+    rows.get(item.line).push({ ...item, text: cleanOCRArtifacts(item.text) });
+  }
+  return [...rows.values()];
+}
+
+function headerColumns(row) {
+  return row
+    .map(item => ({ name: columnName(item.text), left: item.x, right: item.x + item.width }))
+    .filter(column => column.name)
+    .sort((a, b) => a.left - b.left);
+}
+
+function columnAt(x, columns) {
+  let found = columns[0];
+  for (const column of columns) {
+    if (column.left <= x + COLUMN_SLACK) found = column;
+  }
+  return found;
+}
+
+function nearestAmountColumn(item, columns) {
+  const centre = item.x + item.width / 2;
+  const distance = column => Math.abs((column.left + column.right) / 2 - centre);
+  return columns
+    .filter(column => AMOUNT_COLUMNS.includes(column.name))
+    .reduce((best, column) => (!best || distance(column) < distance(best) ? column : best), null);
+}
+
+function parseTransactionItems(row, rowText, columns) {
+  const dateMatch = rowText.match(ROW_DATE_PATTERN);
+  const date = dateMatch && normalizeDate(dateMatch[1]);
+  if (!date) return null;
+
+  const txn = { date, description: null, debit: null, credit: null, balance: null, reference: null };
+  const hasDescription = columns.some(column => column.name === 'description');
+  const description = [];
+  const reference = [];
+
+  for (const item of row) {
+    // An amount whose right edge is under an amount column; amounts inside the narration stay text
+    const amountColumn = AMOUNT_ITEM.test(item.text) && AMOUNT_COLUMNS.includes(columnAt(item.x + item.width, columns).name)
+      ? nearestAmountColumn(item, columns)
+      : null;
+    const name = amountColumn ? amountColumn.name : columnAt(item.x, columns).name;
+
+    if (amountColumn) {
+      if (txn[name] === null) txn[name] = normalizeAmount(item.text);
+    } else if (name === 'reference') {
+      reference.push(item.text);
+    } else if (name === 'description' || (name === 'date' && !hasDescription)) {
+      description.push(item.text);
+    }
+  }
+
+  txn.description = description.join(' ').replace(dateMatch[0], '').trim().replace(/\s+/g, ' ') || null;
+  if (reference.length > 0) {
+    txn.reference = reference.join('');
+  } else {
+    const refMatch = rowText.match(/(?:ref|txn|chq|utr)[:\s#]*([A-Z0-9]{8,20})/i);
+    if (refMatch) txn.reference = refMatch[1];
+  }
+  txn._raw = rowText; // for debug
+  return txn;
+}
+
+// ── Table grid ───────────────────────────────────────────────────────────────
+// Scanned tables arrive as rows of cells, one per column, so the header row
+// names each column by index and an empty cell simply stays empty.
+
+const CELL_AMOUNT = /[₹$]?\s*[\d,]+\.\d{2}/;
+
+function extractTransactionsFromGrid(pageTables) {
+  const transactions = [];
+  let columns = null;
+
+  for (const tables of pageTables) {
+    for (const table of tables) {
+      for (const row of table.rows) {
+        const cells = row.cells.map(cell => cleanOCRArtifacts(cell.text).trim());
+        const rowText = cells.filter(Boolean).join(' ');
+        if (!rowText) continue;
+
+        if (TABLE_HEADER_PATTERNS.some(p => p.test(rowText))) {
+          const names = cells.map(cell => (cell ? columnName(cell) : null));
+          if (names.filter(name => AMOUNT_COLUMNS.includes(name)).length >= 2) columns = names;
+          continue;
+        }
+        // A table continued from the previous page has the same columns
+        if (!columns || columns.length !== cells.length) continue;
+        if (TABLE_END_PATTERN.test(rowText)) { columns = null; continue; }
+
+        const txn = parseTransactionCells(cells, rowText, columns);
+        const prev = transactions[transactions.length - 1];
+        if (txn) {
+          transactions.push(txn);
+        } else if (prev && !CELL_AMOUNT.test(rowText)) {
+          // Narration wrapped onto a row of its own
+          const description = cells[columns.indexOf('description')];
+          if (description) prev.description = [prev.description, description].filter(Boolean).join(' ');
+        }
+      }
+    }
+  }
+
+  return transactions;
+}
+
+function parseTransactionCells(cells, rowText, columns) {
+  const cell = name => (columns.includes(name) ? cells[columns.indexOf(name)] : '');
+  const dateMatch = (cell('date') || rowText).match(ROW_DATE_PATTERN);
+  const date = dateMatch && normalizeDate(dateMatch[1]);
+  if (!date) return null;
+
+  const amount = (name) => {
+    const m = cell(name).match(CELL_AMOUNT);
+    return m ? normalizeAmount(m[0]) : null;
+  };
+  const description = columns.includes('description')
+    ? cell('description')
+    : cell('date').replace(dateMatch[0], '');
+  const refMatch = rowText.match(/(?:ref|txn|chq|utr)[:\s#]*([A-Z0-9]{8,20})/i);
+
+  return {
+    date,
+    description: description.trim().replace(/\s+/g, ' ') || null,
+    debit: amount('debit'),
+    credit: amount('credit'),
+    balance: amount('balance'),
+    reference: cell('reference').replace(/\s+/g, '') || (refMatch ? refMatch[1] : null),
+    _raw: rowText, // for debug
+  };
+}
+
 function parseTransactionHeuristic(lines, warnings) {
   warnings.push({ code: 'HEURISTIC_PARSING', message: 'Using heuristic transaction parsing — accuracy may be reduced.' });
   const transactions = [];
@@ -4,9 +4,11 @@ const { normalizeDate, normalizeAmount, getLines, cleanOCRArtifacts, calcConfide
 const logger = require('../utils/logger');
 
 /**
- * Extract structured data from Indian tax statement (Form 26AS / TDS certificate)
+ * Extract structured data from Indian tax statement (Form 26AS / TDS certificate).
+ * pageTables (one entry per page) are the table grids read from scanned page
+ * images; when every page has them, TDS rows are read from the grid cells.
  */
-async function extractTaxStatement(pageTexts, fullText) {
+async function extractTaxStatement(pageTexts, fullText, { pageTables = [] } = {}) {
   const warnings = [];
   const text = cleanOCRArtifacts(fullText);
   const lines = getLines(text);
@@ -17,6 +19,7 @@ async function extractTaxStatement(pageTexts, fullText) {
   // ── Deductor Sections ────────────────────────────────────────────────────
   const { deductors, tableWarnings } = extractDeductors(lines, text);
   warnings.push(...tableWarnings);
+  if (pageTables.length > 0 && pageTables.every(Boolean)) applyGridTransactions(deductors, pageTables);
 
   if (deductors.length === 0) {
     warnings.push({ code: 'NO_DEDUCTORS', message: 'No deductor/TDS sections could be extracted.' });
@@ -51,17 +54,18 @@ function extractTaxHeader(text, lines, warnings) {
   if (formMatch) header.form_type = formMatch[0].replace(/\s+/g, ' ').toUpperCase();
 
   // Assessment Year
-  const ayMatch = text.match(/assessment\s+year\s*[:\-]?\s*(\d{4}\s*[-–]\s*\d{2,4})/i);
+  const ayMatch = text.match(/(?:assessment\s+year|निर्धारण\s+वर्ष)\s*[:\-]?\s*(\d{4}\s*[-–]\s*\d{2,4})/i);
   if (ayMatch) header.assessment_year = ayMatch[1].replace(/\s/g, '');
 
   // PAN
-  const panMatch = text.match(/PAN\s*(?:of\s+(?:taxpayer|deductee))?\s*[:\-]?\s*([A-Z]{5}\d{4}[A-Z])/i);
+  const panMatch = text.match(/(?:PAN|पैन)\s*(?:of\s+(?:taxpayer|deductee))?\s*[:\-]?\s*([A-Z]{5}\d{4}[A-Z])/i);
   if (panMatch) header.pan = panMatch[1].toUpperCase();
 
   // Taxpayer name
   const namePatterns = [
     /(?:name\s+of\s+(?:taxpayer|deductee|assessee)|taxpayer\s+name)\s*[:\-]?\s*([A-Z][a-zA-Z\s\.]+)/i,
     /assessee\s+name\s*[:\-]?\s*([A-Z][a-zA-Z\s\.]+)/i,
+    /(?:करदाता|निर्धारिती)(?:\s+का)?\s+नाम\s*[:\-]?\s*([A-Z][a-zA-Z\s\.]+)/i,
   ];
   for (const p of namePatterns) {
     const m = text.match(p);
@@ -90,6 +94,7 @@ function extractDeductors(lines, fullText) {
     /name\s+of\s+deductor/i,
     /deductor\s+(?:name|details)/i,
     /(?:Part|Section)\s+[AB]\s*[-–:]/i,
+    /कटौतीकर्ता(?:\s+का)?\s+नाम/,
   ];
 
   // Split full text by deductor sections
@@ -139,11 +144,11 @@ function parseDeductorBlock(lines, blockText, warnings) {
   };
 
   // Name
-  const nameMatch = blockText.match(/name\s+of\s+deductor\s*[:\-]?\s*([A-Z][^\n\r]{2,60})/i);
+  const nameMatch = blockText.match(/(?:name\s+of\s+deductor|कटौतीकर्ता(?:\s+का)?\s+नाम)\s*[:\-]?\s*([A-Z][^\n\r]{2,60})/i);
   if (nameMatch) deductor.name = nameMatch[1].trim();
 
   // TAN
-  const tanMatch = blockText.match(/TAN\s*(?:of\s+deductor)?\s*[:\-]?\s*([A-Z]{4}\d{5}[A-Z])/i);
+  const tanMatch = blockText.match(/(?:TAN|टैन)\s*(?:of\s+deductor)?\s*[:\-]?\s*([A-Z]{4}\d{5}[A-Z])/i);
   if (tanMatch) deductor.tan = tanMatch[1].toUpperCase();
 
   // PAN of deductor
@@ -209,6 +214,95 @@ function extractTDSTransactions(lines, blockText, warnings) {
   return transactions;
 }
 
+// ── Table grid ───────────────────────────────────────────────────────────────
+// Each TDS table starts with its own header row; tables continued on the
+// next page have the same columns and no header.
+
+const TDS_AMOUNT = /[₹$]?\s*[\d,]+\.\d{2}/;
+
+function tdsColumnName(text) {
+  const lower = text.toLowerCase();
+  if (/section|धारा/.test(lower)) return 'section';
+  if (/status/.test(lower)) return 'status_of_booking';
+  if (/booking/.test(lower)) return 'booking_date';
+  if (/date|दिनांक|तारीख/.test(lower)) return 'transaction_date';
+  if (/remark/.test(lower)) return 'remarks';
+  if (/deposited/.test(lower)) return 'tds_deposited';
+  if (/deducted/.test(lower)) return 'tax_deducted';
+  if (/paid|credited/.test(lower)) return 'amount_paid_credited';
+  return null;
+}
+
+// TDS rows of every table, grouped per table header
+function extractGridTables(pageTables) {
+  const groups = [];
+  let columns = null;
+
+  for (const tables of pageTables) {
+    for (const table of tables) {
+      for (const row of table.rows) {
+        const cells = row.cells.map(cell => cleanOCRArtifacts(cell.text).trim());
+        const rowText = cells.filter(Boolean).join(' ');
+        if (!rowText) continue;
+
+        if (/section/i.test(rowText) && /(transaction|date)/i.test(rowText)) {
+          columns = cells.map(cell => (cell ? tdsColumnName(cell) : null));
+          groups.push([]);
+          continue;
+        }
+        if (!columns || columns.length !== cells.length) continue;
+        if (/total|grand\s+total/i.test(rowText)) { columns = null; continue; }
+
+        const txn = parseTDSCells(cells, columns);
+        if (txn) groups[groups.length - 1].push(txn);
+      }
+    }
+  }
+
+  return groups;
+}
+
+function parseTDSCells(cells, columns) {
+  const cell = name => (columns.includes(name) ? cells[columns.indexOf(name)] : '');
+  const date = (name) => {
+    const m = cell(name).match(/(\d{1,2}[\/\-\.]\d{1,2}[\/\-\.]\d{2,4})/);
+    return m ? normalizeDate(m[1]) : null;
+  };
+  const amount = (name) => {
+    const m = cell(name).match(TDS_AMOUNT);
+    return m ? normalizeAmount(m[0]) : null;
+  };
+  const sectionMatch = cell('section').match(/\b(1\d{2}[A-Z]?)\b/);
+  const status = cell('status_of_booking').match(/^(F|U|P|O)\b/);
+
+  const txn = {
+    section: sectionMatch ? sectionMatch[1] : null,
+    transaction_date: date('transaction_date'),
+    booking_date: date('booking_date'),
+    status_of_booking: status ? extractStatusOfBooking(status[1]) : null,
+    remarks: cell('remarks') || null,
+    amount_paid_credited: amount('amount_paid_credited'),
+    tax_deducted: amount('tax_deducted'),
+    tds_deposited: amount('tds_deposited'),
+  };
+  return txn.section || txn.transaction_date ? txn : null;
+}
+
+/**
+ * Replace the deductors' line-parsed transactions with the grid's. Tables
+ * are matched to deductors in order; when the counts differ the grid cannot
+ * be attributed, except that a single deductor takes every table.
+ */
+function applyGridTransactions(deductors, pageTables) {
+  const groups = extractGridTables(pageTables).filter(group => group.length > 0);
+  if (groups.length === 0) return;
+  if (deductors.length === 1) {
+    deductors[0].transactions = groups.flat();
+  } else if (groups.length === deductors.length) {
+    deductors.forEach((deductor, i) => { deductor.transactions = groups[i]; });
+  }
+}
+
 function extractStatusOfBooking(line) {
   const m = line.match(/\b(F|U|P|O)\b/);
   if (!m) return null;
@@ -0,0 +1,107 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { getQueueByName, setConcurrency } = require('../workers/queue');
+const {
+  getQueueOverview, listQueueJobs, getQueueJob, promoteDelayedJobs, cleanQueue,
+} = require('../workers/queueAdmin');
+const { parseAdminRequest } = require('../schemas/admin');
+const { createError } = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Every endpoint takes `queue`: extraction (default) | pages | webhooks
+
+// ── GET /api/v1/admin/queue ──────────────────────────────────────────────────
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await getQueueOverview());
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/admin/queue/pause ───────────────────────────────────────────
+// Pauses the queue for every worker; active jobs finish, nothing new starts
+router.post('/pause', async (req, res, next) => {
+  try {
+    const { queue } = parseAdminRequest('queue', req.body);
+    await getQueueByName(queue).pause();
+    logger.warn({ msg: 'Queue paused by admin', queue });
+    res.json({ queue, paused: true });
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/admin/queue/resume ──────────────────────────────────────────
+router.post('/resume', async (req, res, next) => {
+  try {
+    const { queue } = parseAdminRequest('queue', req.body);
+    await getQueueByName(queue).resume();
+    logger.warn({ msg: 'Queue resumed by admin', queue });
+    res.json({ queue, paused: false });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/admin/queue/jobs?state=waiting ───────────────────────────────
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const { queue, state, start, limit } = parseAdminRequest('listJobs', req.query);
+    const jobs = await listQueueJobs(queue, state, { start, limit });
+    res.json({ queue, state, start, limit, jobs });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/admin/queue/jobs/:id ─────────────────────────────────────────
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const { queue } = parseAdminRequest('queue', req.query);
+    const job = await getQueueJob(queue, req.params.id);
+    if (!job) return res.status(404).json({ error: 'Queue job not found' });
+    res.json(job);
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/admin/queue/jobs/:id/promote ────────────────────────────────
+router.post('/jobs/:id/promote', async (req, res, next) => {
+  try {
+    const { queue } = parseAdminRequest('queue', req.body);
+    const promoted = await promoteDelayedJobs(queue, { id: req.params.id });
+    if (promoted.length === 0) throw createError('Job is not delayed (or no longer exists)', 409, 'JOB_NOT_DELAYED');
+    logger.info({ msg: 'Delayed job promoted by admin', queue, queueJobId: req.params.id });
+    res.json({ queue, promoted });
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/admin/queue/promote ─────────────────────────────────────────
+// Run up to `limit` delayed jobs (e.g. retries in backoff) now
+router.post('/promote', async (req, res, next) => {
+  try {
+    const { queue, limit } = parseAdminRequest('promote', req.body);
+    const promoted = await promoteDelayedJobs(queue, { limit });
+    logger.info({ msg: 'Delayed jobs promoted by admin', queue, count: promoted.length });
+    res.json({ queue, promoted });
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/admin/queue/clean ───────────────────────────────────────────
+// Drop completed or failed entries from Redis; job history in MySQL is kept
+router.post('/clean', async (req, res, next) => {
+  try {
+    const { queue, state, grace_ms, limit } = parseAdminRequest('clean', req.body);
+    const removed = await cleanQueue(queue, state, { graceMs: grace_ms, limit });
+    logger.warn({ msg: 'Queue cleaned by admin', queue, state, graceMs: grace_ms, removed });
+    res.json({ queue, state, removed });
+  } catch (err) { next(err); }
+});
+
+// ── PUT /api/v1/admin/queue/concurrency ──────────────────────────────────────
+// Applies to every worker process, and survives restarts until set to null
+router.put('/concurrency', async (req, res, next) => {
+  try {
+    const { queue, concurrency } = parseAdminRequest('concurrency', req.body);
+    const workerProcesses = await setConcurrency(queue, concurrency);
+    logger.warn({ msg: 'Queue concurrency changed by admin', queue, concurrency, workerProcesses });
+    res.json({ queue, concurrency, worker_processes: workerProcesses });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+'use strict';
+
+const express = require('express');
+const { getBatch, listBatchDocuments, getBatchResults } = require('../db/models');
+
+const router = express.Router();
+
+// Document status → batch counter
+const STATUS_BUCKETS = {
+  pending: 'queued',
+  processing: 'running',
+  done: 'succeeded',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
+/**
+ * Aggregate per-document statuses into batch counts, progress and overall status
+ */
+function summarizeBatch(batch, documents) {
+  const counts = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+  for (const doc of documents) {
+    const bucket = STATUS_BUCKETS[doc.status];
+    if (bucket) counts[bucket]++;
+  }
+
+  const total = documents.length;
+  const finished = counts.succeeded + counts.failed + counts.cancelled;
+  const progress = total > 0 ? Math.round((finished / total) * 100) : 0;
+
+  let status;
+  if (total > 0 && finished === total) {
+    status = counts.failed + counts.cancelled > 0 ? 'completed_with_errors' : 'completed';
+  } else if (counts.running > 0 || finished > 0) {
+    status = 'running';
+  } else {
+    status = 'queued';
+  }
+
+  return {
+    id: batch.id,
+    source: batch.source,
+    name: batch.name,
+    status,
+    total,
+    counts,
+    progress,
+    created_at: batch.created_at,
+  };
+}
+
+// ── GET /api/v1/batches/:id ───────────────────────────────────────────────────
+router.get('/:id', async (req, res, next) => {
+  try {
+    const batch = await getBatch(req.params.id);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+    const documents = await listBatchDocuments(req.params.id);
+
+    res.json({
+      ...summarizeBatch(batch, documents),
+      documents: documents.map(d => ({
+        document_id: d.document_id,
+        job_id: d.job_id,
+        filename: d.original_name,
+        status: STATUS_BUCKETS[d.status] || d.status,
+        duplicate_of: d.duplicate_of,
+      })),
+    });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/batches/:id/results ───────────────────────────────────────────
+router.get('/:id/results', async (req, res, next) => {
+  try {
+    const batch = await getBatch(req.params.id);
+    if (!batch) return res.status(404).json({ error: 'Batch not found' });
+
+    const [documents, results] = await Promise.all([
+      listBatchDocuments(req.params.id),
+      getBatchResults(req.params.id),
+    ]);
+
+    res.json({
+      ...summarizeBatch(batch, documents),
+      results: results.map(r => ({
+        document_id: r.document_id,
+        job_id: r.job_id,
+        filename: r.original_name,
+        result: r.json_result,
+      })),
+    });
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -1,91 +1,41 @@
 'use strict';
 
 const express = require('express');
-const multer = require('multer');
-const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const { insertDocument, getDocument, getResultByDocumentId, getJobByDocumentId } = require('../db/models');
-const { insertJob } = require('../db/models');
-const { addJob } = require('../workers/queue');
+const {
+  getDocument, listDocuments, getResultByDocumentId, getResultVersion, listResultVersions, getJobByDocumentId,
+  updateDocumentStatus, insertBatch,
+} = require('../db/models');
 const { createError } = require('../utils/errorHandler');
+const { UPLOAD_DIR, upload, zipUpload, shouldDedup, queueDocument, registerUpload } = require('../utils/upload');
+const { extractZipArchive } = require('../extractors/archive');
+const { parseProcessingOptions, resolveProcessingOptions, parseRerunMode, parsePriority } = require('../schemas/options');
+const { hasCachedPageTexts } = require('../workers/checkpoints');
+const { parseCallbackUrl } = require('../schemas/webhook');
+const { parseDocumentSearch, paginate } = require('../schemas/search');
+const { getClientId, getTenantId } = require('../utils/auth');
 
 const router = express.Router();
 
-// ── Multer Config ────────────────────────────────────────────────────────────
-const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../storage/uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, `${uuidv4()}${ext}`);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 52428800 },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || path.extname(file.originalname).toLowerCase() === '.pdf') {
-      cb(null, true);
-    } else {
-      cb(createError('Only PDF files are accepted', 400, 'INVALID_FILE_TYPE'));
-    }
-  },
-});
-
-// ── Helpers ──────────────────────────────────────────────────────────────────
-function checksumFile(filePath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('sha256');
-    const stream = fs.createReadStream(filePath);
-    stream.on('data', d => hash.update(d));
-    stream.on('end', () => resolve(hash.digest('hex')));
-    stream.on('error', reject);
-  });
-}
-
 // ── POST /api/v1/documents/upload ────────────────────────────────────────────
 // Register and queue a single document
 router.post('/upload', upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) throw createError('No file uploaded', 400, 'NO_FILE');
 
-    const documentId = uuidv4();
-    const jobId = uuidv4();
-    const checksum = await checksumFile(req.file.path);
-
-    await insertDocument({
-      id: documentId,
-      original_name: req.file.originalname,
-      stored_path: req.file.path,
-      mime_type: req.file.mimetype,
-      size_bytes: req.file.size,
-      checksum,
-      page_count: null,
+    const registered = await registerUpload(req.file, {
+      dedup: shouldDedup(req),
+      password: req.body?.password || undefined,
+      options: parseProcessingOptions(req.body),
+      priority: parsePriority(req.body?.priority, 'normal'),
+      clientId: getClientId(req),
+      tenantId: getTenantId(req),
+      callbackUrl: await parseCallbackUrl(req.body),
     });
 
-    const bullJob = await addJob({
-      jobId,
-      documentId,
-      filePath: req.file.path,
-      originalName: req.file.originalname,
-    });
-
-    await insertJob({ id: jobId, document_id: documentId, queue_job_id: String(bullJob.id) });
-
-    logger.info({ msg: 'Document uploaded and queued', documentId, jobId });
-
-    res.status(202).json({
-      document_id: documentId,
-      job_id: jobId,
-      status: 'queued',
-      message: 'Document accepted and queued for processing',
-    });
+    res.status(registered.duplicate ? 200 : 202).json(registered);
   } catch (err) {
     // Clean up file on error
     if (req.file) fs.unlink(req.file.path, () => {});
@@ -96,38 +46,118 @@ router.post('/upload', upload.single('file'), async (req, res, next) => {
 // ── POST /api/v1/documents/upload-batch ──────────────────────────────────────
 // Register and queue multiple documents
 router.post('/upload-batch', upload.array('files', 20), async (req, res, next) => {
+  let handedOver = 0; // files registerUpload has been given; their jobs need them
   try {
     if (!req.files || req.files.length === 0) throw createError('No files uploaded', 400, 'NO_FILES');
 
+    const dedup = shouldDedup(req);
+    const password = req.body?.password || undefined; // applies to every PDF in the batch
+    const options = parseProcessingOptions(req.body); // likewise for every file
+    const priority = parsePriority(req.body?.priority, 'low');
+    const clientId = getClientId(req);
+    const tenantId = getTenantId(req);
+    const callbackUrl = await parseCallbackUrl(req.body); // one callback per document
+    const batchId = uuidv4();
+    await insertBatch({ id: batchId, source: 'upload', total_documents: req.files.length });
+
     const results = [];
     for (const file of req.files) {
-      const documentId = uuidv4();
-      const jobId = uuidv4();
-      const checksum = await checksumFile(file.path);
-
-      await insertDocument({
-        id: documentId,
-        original_name: file.originalname,
-        stored_path: file.path,
-        mime_type: file.mimetype,
-        size_bytes: file.size,
-        checksum,
-        page_count: null,
+      handedOver++;
+      const { document_id, job_id, status, duplicate, duplicate_of } = await registerUpload(file, {
+        dedup, password, batchId, options, priority, clientId, tenantId, callbackUrl,
+      });
+      results.push({
+        document_id,
+        job_id,
+        filename: file.originalname,
+        status,
+        duplicate,
+        ...(duplicate ? { duplicate_of } : {}),
       });
+    }
 
-      const bullJob = await addJob({ jobId, documentId, filePath: file.path, originalName: file.originalname });
-      await insertJob({ id: jobId, document_id: documentId, queue_job_id: String(bullJob.id) });
+    res.status(202).json({
+      batch_id: batchId,
+      accepted: results.length,
+      duplicates: results.filter(r => r.duplicate).length,
+      documents: results,
+    });
+  } catch (err) {
+    // Earlier files are queued, and the one that failed may be; only the rest can go
+    if (req.files) req.files.slice(handedOver).forEach(f => fs.unlink(f.path, () => {}));
+    next(err);
+  }
+});
+
+// ── POST /api/v1/documents/upload-zip ────────────────────────────────────────
+// Expand a ZIP bundle and queue every supported document inside it
+router.post('/upload-zip', zipUpload.single('archive'), async (req, res, next) => {
+  let members = [];
+  let handedOver = 0; // as for /upload-batch
+  try {
+    if (!req.file) throw createError('No archive uploaded', 400, 'NO_FILE');
+    const options = parseProcessingOptions(req.body);
+    const priority = parsePriority(req.body?.priority, 'low');
+    const clientId = getClientId(req);
+    const tenantId = getTenantId(req);
+    const callbackUrl = await parseCallbackUrl(req.body);
+
+    const { files, skipped } = await extractZipArchive(req.file.path, UPLOAD_DIR);
+    members = files;
+    if (files.length === 0) throw createError('ZIP contains no supported documents', 400, 'EMPTY_ZIP');
+
+    const dedup = shouldDedup(req);
+    const password = req.body?.password || undefined;
+    const batchId = uuidv4();
+    await insertBatch({ id: batchId, source: 'zip', name: req.file.originalname, total_documents: files.length });
 
-      results.push({ document_id: documentId, job_id: jobId, filename: file.originalname, status: 'queued' });
+    const results = [];
+    for (const member of files) {
+      const file = { path: member.path, originalname: member.name, mimetype: member.mimetype, size: member.size };
+      handedOver++;
+      const { document_id, job_id, status, duplicate, duplicate_of } = await registerUpload(file, {
+        dedup, password, batchId, options, priority, clientId, tenantId, callbackUrl,
+      });
+      results.push({
+        document_id,
+        job_id,
+        filename: member.name,
+        status,
+        duplicate,
+        ...(duplicate ? { duplicate_of } : {}),
+      });
     }
 
-    res.status(202).json({ accepted: results.length, documents: results });
+    logger.info({ msg: 'ZIP archive queued', archive: req.file.originalname, accepted: results.length, skipped: skipped.length });
+
+    res.status(202).json({
+      batch_id: batchId,
+      archive: req.file.originalname,
+      accepted: results.length,
+      duplicates: results.filter(r => r.duplicate).length,
+      skipped: skipped.map(s => ({ filename: s.name, reason: s.reason })),
+      documents: results,
+    });
   } catch (err) {
-    if (req.files) req.files.forEach(f => fs.unlink(f.path, () => {}));
+    members.slice(handedOver).forEach(m => fs.unlink(m.path, () => {}));
     next(err);
+  } finally {
+    // Only the expanded members are kept
+    if (req.file) fs.unlink(req.file.path, () => {});
   }
 });
 
+// ── GET /api/v1/documents ─────────────────────────────────────────────────────
+// Same filters as GET /api/v1/jobs, applied to each document's latest job and result
+router.get('/', async (req, res, next) => {
+  try {
+    const { filter, limit, offset, cursor } = parseDocumentSearch(req.query);
+    const rows = await listDocuments({ ...filter, limit: limit + 1, offset, cursor });
+    const { page, next_cursor } = paginate(rows, limit);
+    res.json({ documents: page, limit, next_cursor });
+  } catch (err) { next(err); }
+});
+
 // ── GET /api/v1/documents/:id ─────────────────────────────────────────────────
 router.get('/:id', async (req, res, next) => {
   try {
@@ -143,9 +173,11 @@ router.get('/:id/result', async (req, res, next) => {
     const doc = await getDocument(req.params.id);
     if (!doc) return res.status(404).json({ error: 'Document not found' });
 
-    const result = await getResultByDocumentId(req.params.id);
+    // Deduplicated uploads share the original document's result
+    const sourceId = doc.duplicate_of || doc.id;
+    const result = await getResultByDocumentId(sourceId);
     if (!result) {
-      const job = await getJobByDocumentId(req.params.id);
+      const job = await getJobByDocumentId(sourceId);
       return res.status(202).json({
         status: job?.status || 'queued',
         message: 'Result not yet available. Check job status.',
@@ -157,4 +189,99 @@ router.get('/:id/result', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// ── POST /api/v1/documents/:id/reprocess ─────────────────────────────────────
+// Run the stored file through the pipeline again; the result becomes a new version
+router.post('/:id/reprocess', async (req, res, next) => {
+  try {
+    const doc = await getDocument(req.params.id);
+    if (!doc || doc.deleted_at) return res.status(404).json({ error: 'Document not found' });
+
+    if (doc.duplicate_of) {
+      throw createError(`Document is a duplicate; reprocess the original document ${doc.duplicate_of}`, 409, 'DUPLICATE_DOCUMENT');
+    }
+
+    const latestJob = await getJobByDocumentId(doc.id);
+    if (latestJob && ['queued', 'running'].includes(latestJob.status)) {
+      throw createError(`Document already has a ${latestJob.status} job (${latestJob.id})`, 409, 'DOCUMENT_BUSY');
+    }
+
+    const options = parseProcessingOptions(req.body);
+    const rerun = parseRerunMode(req.body?.rerun);
+    const priority = parsePriority(req.body?.priority, 'normal');
+
+    if (rerun === 'parse') {
+      // Runs on checkpointed page text only, so the stored file is not needed
+      if (!(await hasCachedPageTexts(doc.checksum, resolveProcessingOptions(options)))) {
+        throw createError('No checkpointed page text for these options; reprocess without rerun=parse', 409, 'CHECKPOINT_MISSING');
+      }
+    } else if (!fs.existsSync(doc.stored_path)) {
+      throw createError('Stored file is no longer available (removed by retention)', 410, 'FILE_NOT_AVAILABLE');
+    }
+
+    const callbackUrl = await parseCallbackUrl(req.body);
+    // Before queueing: a fast worker may move the document on before we could write it
+    await updateDocumentStatus(doc.id, 'pending');
+    let jobId;
+    try {
+      jobId = await queueDocument({
+        documentId: doc.id,
+        filePath: doc.stored_path,
+        originalName: doc.original_name,
+        password: req.body?.password || undefined, // passwords are never stored, so send it again
+        options,
+        rerun,
+        priority,
+        clientId: getClientId(req),
+        tenantId: getTenantId(req),
+        callbackUrl,
+      });
+    } catch (err) {
+      await updateDocumentStatus(doc.id, doc.status).catch(() => {});
+      throw err;
+    }
+
+    logger.info({ msg: 'Document queued for reprocessing', documentId: doc.id, jobId, options, rerun });
+
+    res.status(202).json({
+      document_id: doc.id,
+      job_id: jobId,
+      status: 'queued',
+      message: 'Document queued for reprocessing',
+    });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/documents/:id/results ────────────────────────────────────────
+// Result version history, newest first
+router.get('/:id/results', async (req, res, next) => {
+  try {
+    const doc = await getDocument(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const sourceId = doc.duplicate_of || doc.id;
+    const versions = await listResultVersions(sourceId);
+    res.json({
+      document_id: doc.id,
+      latest_version: versions[0]?.version ?? null,
+      versions,
+    });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/documents/:id/results/:version ───────────────────────────────
+router.get('/:id/results/:version', async (req, res, next) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (isNaN(version) || version < 1) throw createError('version must be a positive integer', 400, 'INVALID_VERSION');
+
+    const doc = await getDocument(req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+
+    const result = await getResultVersion(doc.duplicate_of || doc.id, version);
+    if (!result) return res.status(404).json({ error: 'Result version not found' });
+
+    res.json(result.json_result);
+  } catch (err) { next(err); }
+});
+
 module.exports = router;
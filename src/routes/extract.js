@@ -0,0 +1,91 @@
+'use strict';
+
+const express = require('express');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { getJob, getResultByJobId } = require('../db/models');
+const { waitForJob } = require('../workers/queue');
+const { createError } = require('../utils/errorHandler');
+const { upload, shouldDedup, registerUpload } = require('../utils/upload');
+const { parseProcessingOptions, parsePriority } = require('../schemas/options');
+const { parseCallbackUrl } = require('../schemas/webhook');
+const { getClientId, getTenantId } = require('../utils/auth');
+
+const router = express.Router();
+
+const DEFAULT_WAIT_SECONDS = 30;
+
+/**
+ * Seconds to hold the request open: ?wait=N, capped by SYNC_WAIT_MAX
+ */
+function parseWaitSeconds(raw) {
+  const max = parseInt(process.env.SYNC_WAIT_MAX) || 120;
+  const wait = raw === undefined ? DEFAULT_WAIT_SECONDS : parseInt(raw);
+  if (isNaN(wait) || wait < 0) throw createError('wait must be a non-negative number of seconds', 400, 'INVALID_WAIT');
+  return Math.min(wait, max);
+}
+
+// ── POST /api/v1/extract?wait=60 ──────────────────────────────────────────────
+// Queue a document and hold the request open until it finishes or `wait` expires
+router.post('/', upload.single('file'), async (req, res, next) => {
+  let registered = null;
+  try {
+    if (!req.file) throw createError('No file uploaded', 400, 'NO_FILE');
+    const waitSeconds = parseWaitSeconds(req.query.wait);
+    const options = parseProcessingOptions(req.body);
+
+    registered = await registerUpload(req.file, {
+      dedup: shouldDedup(req),
+      password: req.body?.password || undefined,
+      options,
+      priority: parsePriority(req.body?.priority, 'high'), // someone is waiting on the response
+      clientId: getClientId(req),
+      tenantId: getTenantId(req),
+      callbackUrl: await parseCallbackUrl(req.body),
+    });
+    const { document_id, job_id } = registered;
+
+    if (!registered.duplicate) {
+      const job = await getJob(job_id);
+      const outcome = await waitForJob(job.queue_job_id, waitSeconds * 1000);
+      logger.info({ msg: 'Sync extract wait finished', jobId: job_id, outcome: outcome.state, waitSeconds });
+
+      if (outcome.state === 'failed') {
+        const failed = await getJob(job_id);
+        return res.status(422).json({
+          document_id,
+          job_id,
+          status: failed?.status === 'cancelled' ? 'cancelled' : 'failed',
+          error_message: failed?.error_message || outcome.error,
+        });
+      }
+
+      if (outcome.state !== 'completed') {
+        // Timed out: fall back to the async contract
+        return res.status(202).json({
+          document_id,
+          job_id,
+          status: 'queued',
+          message: `Document still processing after ${waitSeconds}s. Poll /api/v1/jobs/${job_id} for the result.`,
+        });
+      }
+    }
+
+    const result = await getResultByJobId(job_id);
+    if (!result) throw createError('Result not found', 500, 'RESULT_MISSING');
+
+    res.json({
+      document_id,
+      job_id,
+      status: 'success',
+      duplicate: registered.duplicate,
+      result: result.json_result,
+    });
+  } catch (err) {
+    // Once registered, the stored file belongs to the queued job
+    if (req.file && !registered) fs.unlink(req.file.path, () => {});
+    next(err);
+  }
+});
+
+module.exports = router;
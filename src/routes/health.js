@@ -11,6 +11,7 @@ router.get('/', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     version: require('../../package.json').version,
+    mode: process.env.APP_MODE || 'all',
     checks: {},
   };
 
@@ -1,18 +1,116 @@
 'use strict';
 
 const express = require('express');
-const { getJob, listJobs, getResultByJobId, getArtifactsByJobId } = require('../db/models');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const {
+  getJob, listJobs, getResultByJobId, getArtifactsByJobId, cancelJob, updateDocumentStatus, listWebhookDeliveries,
+  listDeadLetterJobs, countDeadLetterJobs,
+} = require('../db/models');
+const { removeQueuedJob, getJobSnapshot, getQueuePosition } = require('../workers/queue');
+const { subscribeJobEvents } = require('../workers/jobEvents');
+const { removePageImages } = require('../extractors/imageProcessor');
+const { createError } = require('../utils/errorHandler');
+const { requeueJob, PASSWORD_ERROR_CODES } = require('../utils/upload');
+const { parseDeadLetterFilter } = require('../schemas/deadLetter');
+const { parseJobSearch, paginate } = require('../schemas/search');
 
 const router = express.Router();
 
+const SSE_HEARTBEAT_MS = 15000;
+
+const BULK_RETRY_DEFAULT = 100;
+const BULK_RETRY_MAX = 500;
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Why a job cannot be replayed from the dead-letter view, or null if it can.
+ * A password failure needs the password again; passwords are never stored.
+ */
+function retryBlocker(job, { password } = {}) {
+  if (job.status !== 'failed' || !job.dead_lettered_at) {
+    return createError(`Only dead-lettered jobs can be retried (job is ${job.status})`, 409, 'JOB_NOT_RETRYABLE');
+  }
+  if (!job.stored_path || !fs.existsSync(job.stored_path)) {
+    return createError('Stored file is no longer available (removed by retention)', 410, 'FILE_NOT_AVAILABLE');
+  }
+  if (PASSWORD_ERROR_CODES.includes(job.error_code) && !password) {
+    return createError(`Job failed with ${job.error_code}; retry it with the password field`, 400, 'PASSWORD_REQUIRED');
+  }
+  return null;
+}
+
 // ── GET /api/v1/jobs ──────────────────────────────────────────────────────────
+// Filters: status, document_type, min/max_confidence, created_/completed_since/until,
+// filename, warning_code, error_code. Page with next_cursor.
 router.get('/', async (req, res, next) => {
+  try {
+    const { filter, limit, offset, cursor } = parseJobSearch(req.query);
+    const rows = await listJobs({ ...filter, limit: limit + 1, offset, cursor });
+    const { page, next_cursor } = paginate(rows, limit);
+    res.json({ jobs: page, limit, next_cursor });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/jobs/dead-letter ──────────────────────────────────────────────
+// Permanently failed jobs: retries exhausted or a failure a retry cannot fix
+router.get('/dead-letter', async (req, res, next) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 20, 100);
     const offset = parseInt(req.query.offset) || 0;
-    const { status } = req.query;
-    const jobs = await listJobs({ limit, offset, status });
-    res.json({ jobs, limit, offset });
+    const filter = parseDeadLetterFilter(req.query);
+    const [jobs, total] = await Promise.all([
+      listDeadLetterJobs({ ...filter, limit, offset }),
+      countDeadLetterJobs(filter),
+    ]);
+    res.json({ jobs, total, limit, offset });
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/jobs/retry-failed ────────────────────────────────────────────
+// Replay every dead-lettered job matching the filter, up to `limit` per call.
+// Jobs that cannot be retried stay dead-lettered, so the scan pages past them
+// instead of stopping at the first `limit` rows.
+router.post('/retry-failed', async (req, res, next) => {
+  try {
+    const filter = parseDeadLetterFilter(req.body);
+    const limit = Math.min(parseInt(req.body?.limit) || BULK_RETRY_DEFAULT, BULK_RETRY_MAX);
+    const matched = await countDeadLetterJobs(filter);
+
+    const retried = [];
+    const skipped = [];
+    // Retried (or concurrently claimed) jobs leave the list; blocked ones keep their place
+    let offset = 0;
+    while (retried.length < limit) {
+      const jobs = await listDeadLetterJobs({ ...filter, limit, offset });
+      if (jobs.length === 0) break;
+      for (const job of jobs) {
+        if (retried.length === limit) break;
+        const blocker = retryBlocker(job);
+        if (blocker) {
+          skipped.push({ job_id: job.id, code: blocker.code, reason: blocker.message });
+          offset++;
+        } else if (await requeueJob(job)) {
+          retried.push(job.id);
+        } else {
+          skipped.push({ job_id: job.id, code: 'JOB_NOT_RETRYABLE', reason: 'Job was retried by another request' });
+        }
+      }
+      if (jobs.length < limit) break;
+    }
+
+    logger.info({ msg: 'Bulk retry of dead-lettered jobs', filter, matched, retried: retried.length, skipped: skipped.length });
+
+    res.status(202).json({
+      matched,
+      retried,
+      skipped,
+      // Jobs not looked at yet; the skipped ones will not get through on another call either
+      remaining: Math.max(matched - retried.length - skipped.length, 0),
+    });
   } catch (err) { next(err); }
 });
 
@@ -21,7 +119,157 @@ router.get('/:id', async (req, res, next) => {
   try {
     const job = await getJob(req.params.id);
     if (!job) return res.status(404).json({ error: 'Job not found' });
-    res.json(job);
+    // Place in line while waiting; Redis trouble must not hide the job itself
+    const queuePosition = job.status === 'queued' && job.queue_job_id
+      ? await getQueuePosition(job.queue_job_id).catch(() => null)
+      : null;
+    res.json({ ...job, queue_position: queuePosition });
+  } catch (err) { next(err); }
+});
+
+// ── GET /api/v1/jobs/:id/events ───────────────────────────────────────────────
+// Server-Sent Events: progress, stage and warnings until the job finishes.
+// Events: progress, warning, retrying, then one of completed | failed | cancelled.
+router.get('/:id/events', async (req, res, next) => {
+  let close = null;
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // nginx would otherwise buffer the stream
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let warningsSent = 0;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+    close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+    req.on('close', close);
+
+    const sendProgress = (progress) => {
+      // Older jobs report a bare percentage
+      const { warnings = [], ...rest } = typeof progress === 'number' ? { percent: progress } : (progress || {});
+      sendEvent(res, 'progress', rest);
+      warnings.slice(warningsSent).forEach(w => sendEvent(res, 'warning', w));
+      warningsSent = Math.max(warningsSent, warnings.length);
+    };
+
+    // MySQL is updated before Bull reports the outcome, so it has the final word
+    const sendOutcome = async () => {
+      const current = await getJob(job.id);
+      if (current.status === 'success') {
+        sendEvent(res, 'completed', { job_id: job.id, status: 'success', result_url: `/api/v1/jobs/${job.id}/result` });
+      } else if (current.status === 'cancelled') {
+        sendEvent(res, 'cancelled', { job_id: job.id, status: 'cancelled' });
+      } else {
+        sendEvent(res, 'failed', { job_id: job.id, status: 'failed', error_message: current.error_message });
+      }
+      close();
+    };
+
+    const onEvent = async (event) => {
+      if (closed) return;
+      try {
+        if (event.type === 'progress') return sendProgress(event.progress);
+        if (event.type === 'failed') {
+          // A failed attempt with a retry still to come does not end the stream
+          const snapshot = await getJobSnapshot(job.queue_job_id);
+          if (snapshot && ['delayed', 'waiting'].includes(snapshot.state)) {
+            return sendEvent(res, 'retrying', { job_id: job.id, error_message: event.error });
+          }
+        }
+        await sendOutcome();
+      } catch (err) {
+        logger.error({ msg: 'Job event stream error', jobId: job.id, error: err.message });
+        close();
+      }
+    };
+
+    // Subscribe before reading the current state so nothing falls in between
+    unsubscribe = subscribeJobEvents(job.queue_job_id, onEvent);
+
+    const snapshot = await getJobSnapshot(job.queue_job_id);
+    if (!snapshot || ['completed', 'failed'].includes(snapshot.state)) {
+      return await sendOutcome();
+    }
+    sendEvent(res, 'status', { job_id: job.id, status: job.status, state: snapshot.state });
+    if (snapshot.progress) sendProgress(snapshot.progress);
+  } catch (err) {
+    if (!close) return next(err);
+    logger.error({ msg: 'Job event stream error', jobId: req.params.id, error: err.message });
+    close();
+  }
+});
+
+// ── DELETE /api/v1/jobs/:id ───────────────────────────────────────────────────
+// Cancel a job: queued jobs are removed from Bull, running jobs stop after the current page
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    if (job.status === 'cancelled') {
+      return res.json({ job_id: job.id, status: 'cancelled', message: 'Job was already cancelled' });
+    }
+
+    const removed = await removeQueuedJob(job.queue_job_id);
+    // A failed attempt waiting on its retry is still 'failed' in MySQL
+    const cancellable = removed ? ['queued', 'running', 'failed'] : ['queued', 'running'];
+    if (!(await cancelJob(job.id, cancellable))) {
+      throw createError(`Job already finished with status ${job.status}`, 409, 'JOB_NOT_CANCELLABLE');
+    }
+    await updateDocumentStatus(job.document_id, 'cancelled');
+
+    logger.info({ msg: 'Job cancelled', jobId: job.id, removedFromQueue: removed });
+
+    if (removed) {
+      // A delayed retry may have left pages from its earlier attempt
+      removePageImages(job.stored_path);
+      return res.json({ job_id: job.id, status: 'cancelled', message: 'Job removed from the queue' });
+    }
+
+    // The worker sees the status, cleans up its page images and stops
+    res.status(202).json({
+      job_id: job.id,
+      status: 'cancelled',
+      message: 'Job is running; it will stop after the current page',
+    });
+  } catch (err) { next(err); }
+});
+
+// ── POST /api/v1/jobs/:id/retry ───────────────────────────────────────────────
+// Put one dead-lettered job back on the queue; it keeps its id and upload options
+router.post('/:id/retry', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const password = req.body?.password || undefined;
+    const blocker = retryBlocker(job, { password });
+    if (blocker) throw blocker;
+
+    if (!(await requeueJob(job, { password }))) {
+      throw createError('Job is no longer dead-lettered', 409, 'JOB_NOT_RETRYABLE');
+    }
+
+    res.status(202).json({
+      job_id: job.id,
+      document_id: job.document_id,
+      status: 'queued',
+      message: 'Job queued for retry',
+    });
   } catch (err) { next(err); }
 });
 
@@ -59,4 +307,16 @@ router.get('/:id/artifacts', async (req, res, next) => {
   } catch (err) { next(err); }
 });
 
+// ── GET /api/v1/jobs/:id/webhooks ─────────────────────────────────────────────
+// Webhook delivery attempts for this job, oldest first
+router.get('/:id/webhooks', async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const deliveries = await listWebhookDeliveries(req.params.id);
+    res.json({ job_id: job.id, callback_url: job.callback_url, deliveries });
+  } catch (err) { next(err); }
+});
+
 module.exports = router;
@@ -0,0 +1,45 @@
+'use strict';
+
+const express = require('express');
+const logger = require('../utils/logger');
+const { getClientWebhook, upsertClientWebhook, deleteClientWebhook } = require('../db/models');
+const { parseWebhookUrl } = require('../schemas/webhook');
+const { getClientId } = require('../utils/auth');
+
+const router = express.Router();
+
+/**
+ * Default webhook for the calling API key. Uploads without their own
+ * callback_url report their outcome here.
+ */
+
+// ── GET /api/v1/webhooks/default ──────────────────────────────────────────────
+router.get('/default', async (req, res, next) => {
+  try {
+    const webhook = await getClientWebhook(getClientId(req));
+    if (!webhook) return res.status(404).json({ error: 'No default webhook registered' });
+    res.json({ url: webhook.url, created_at: webhook.created_at, updated_at: webhook.updated_at });
+  } catch (err) { next(err); }
+});
+
+// ── PUT /api/v1/webhooks/default ──────────────────────────────────────────────
+router.put('/default', async (req, res, next) => {
+  try {
+    const url = await parseWebhookUrl(req.body?.url);
+    const clientId = getClientId(req);
+    await upsertClientWebhook({ client_id: clientId, url });
+    logger.info({ msg: 'Default webhook registered', clientId: clientId.slice(0, 12) });
+    res.json({ url });
+  } catch (err) { next(err); }
+});
+
+// ── DELETE /api/v1/webhooks/default ───────────────────────────────────────────
+router.delete('/default', async (req, res, next) => {
+  try {
+    const removed = await deleteClientWebhook(getClientId(req));
+    if (!removed) return res.status(404).json({ error: 'No default webhook registered' });
+    res.status(204).end();
+  } catch (err) { next(err); }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+'use strict';
+
+const Joi = require('joi');
+const { createError } = require('../utils/errorHandler');
+const { QUEUE_NAMES } = require('../workers/queue');
+const { JOB_STATES, CLEANABLE_STATES } = require('../workers/queueAdmin');
+
+const MAX_CONCURRENCY = 64;
+
+const queueName = Joi.string().valid(...Object.keys(QUEUE_NAMES)).default('extraction');
+
+// ── Queue admin requests ─────────────────────────────────────────────────────
+const schemas = {
+  queue: Joi.object({ queue: queueName }),
+  listJobs: Joi.object({
+    queue: queueName,
+    state: Joi.string().valid(...JOB_STATES).default('waiting'),
+    start: Joi.number().integer().min(0).default(0),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+  promote: Joi.object({
+    queue: queueName,
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+  }),
+  clean: Joi.object({
+    queue: queueName,
+    state: Joi.string().valid(...CLEANABLE_STATES).required(),
+    grace_ms: Joi.number().integer().min(0).default(0),
+    limit: Joi.number().integer().min(0).default(0),
+  }),
+  concurrency: Joi.object({
+    queue: queueName,
+    // null drops the override
+    concurrency: Joi.number().integer().min(1).max(MAX_CONCURRENCY).allow(null).required(),
+  }),
+};
+
+/**
+ * Validate an admin request (query or body) against one of the schemas above.
+ * Unknown fields are ignored; throws 400 INVALID_ADMIN_REQUEST.
+ */
+function parseAdminRequest(kind, source = {}) {
+  const { value, error } = schemas[kind].validate(source, { abortEarly: false, convert: true, stripUnknown: true });
+  if (error) {
+    throw createError(error.details.map(d => d.message).join('; '), 400, 'INVALID_ADMIN_REQUEST');
+  }
+  return value;
+}
+
+module.exports = { parseAdminRequest };
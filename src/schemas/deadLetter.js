@@ -0,0 +1,34 @@
+'use strict';
+
+const Joi = require('joi');
+const { createError } = require('../utils/errorHandler');
+
+// ── Dead-letter filters ──────────────────────────────────────────────────────
+// Shared by GET /api/v1/jobs/dead-letter (query) and POST /api/v1/jobs/retry-failed (body)
+const filterSchema = Joi.object({
+  error_code: Joi.string().max(64).pattern(/^[A-Z0-9_]+$/i, 'error code'),
+  failed_stage: Joi.string().max(32),
+  since: Joi.date().iso(),
+  until: Joi.date().iso().when('since', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('since')) }),
+});
+
+const FILTER_KEYS = Object.keys(filterSchema.describe().keys);
+
+/**
+ * Validate dead-letter filters. since/until bound dead_lettered_at (ISO 8601).
+ * Returns only the filters supplied; throws 400 INVALID_FILTER.
+ */
+function parseDeadLetterFilter(source = {}) {
+  const supplied = {};
+  for (const key of FILTER_KEYS) {
+    if (source[key] !== undefined && source[key] !== '') supplied[key] = source[key];
+  }
+
+  const { value, error } = filterSchema.validate(supplied, { abortEarly: false, convert: true });
+  if (error) {
+    throw createError(error.details.map(d => d.message).join('; '), 400, 'INVALID_FILTER');
+  }
+  return value;
+}
+
+module.exports = { parseDeadLetterFilter };
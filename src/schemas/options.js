@@ -0,0 +1,78 @@
+'use strict';
+
+const Joi = require('joi');
+const { createError } = require('../utils/errorHandler');
+const { PRIORITY_LEVELS } = require('../workers/priority');
+const { AUTO_LANG } = require('../utils/scripts');
+
+// Tesseract language codes joined with '+', e.g. eng, eng+hin, chi_sim, or
+// `auto` (languages chosen per page from the detected script).
+// Kept strict: node-tesseract-ocr passes lang to a shell command.
+const LANG_PATTERN = /^[a-z]{3}(_[a-z]+)*(\+[a-z]{3}(_[a-z]+)*)*$/i;
+
+// ── Per-upload processing options ────────────────────────────────────────────
+const optionsSchema = Joi.object({
+  document_type: Joi.string().valid('bank_statement', 'tax_statement'),
+  dpi: Joi.number().integer().min(72).max(600),
+  lang: Joi.string().max(64).pattern(LANG_PATTERN, 'tesseract language').allow(AUTO_LANG),
+  psm: Joi.number().integer().min(0).max(13),
+  oem: Joi.number().integer().min(0).max(3),
+});
+
+const OPTION_KEYS = Object.keys(optionsSchema.describe().keys);
+
+/**
+ * Validate the processing options sent with an upload (multipart fields).
+ * Returns only the options the client supplied; throws 400 INVALID_OPTIONS.
+ */
+function parseProcessingOptions(body = {}) {
+  const supplied = {};
+  for (const key of OPTION_KEYS) {
+    if (body[key] !== undefined && body[key] !== '') supplied[key] = body[key];
+  }
+
+  const { value, error } = optionsSchema.validate(supplied, { abortEarly: false, convert: true });
+  if (error) {
+    throw createError(error.details.map(d => d.message).join('; '), 400, 'INVALID_OPTIONS');
+  }
+  return value;
+}
+
+/**
+ * Fill in the process-wide defaults for anything the upload did not set.
+ * The result is what the worker actually runs with and is echoed in the output.
+ */
+function resolveProcessingOptions(options = {}) {
+  return {
+    document_type: options.document_type || null,
+    dpi: options.dpi ?? (parseInt(process.env.PDF_RENDER_DPI) || 200),
+    lang: options.lang || process.env.TESSERACT_LANG || AUTO_LANG,
+    psm: options.psm ?? parseInt(process.env.TESSERACT_PSM ?? '6'),
+    oem: options.oem ?? parseInt(process.env.TESSERACT_OEM ?? '3'),
+  };
+}
+
+// ── Reprocess mode ───────────────────────────────────────────────────────────
+// resume: reuse checkpointed stages; parse: parsers only, on checkpointed text; full: ignore checkpoints
+const RERUN_MODES = ['resume', 'parse', 'full'];
+
+function parseRerunMode(value) {
+  if (value === undefined || value === '') return 'resume';
+  if (!RERUN_MODES.includes(value)) {
+    throw createError(`rerun must be one of ${RERUN_MODES.join(', ')}`, 400, 'INVALID_RERUN');
+  }
+  return value;
+}
+
+// ── Job priority ─────────────────────────────────────────────────────────────
+// Each endpoint has its own default: sync extract high, single upload normal, batches low
+
+function parsePriority(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (!PRIORITY_LEVELS.includes(value)) {
+    throw createError(`priority must be one of ${PRIORITY_LEVELS.join(', ')}`, 400, 'INVALID_PRIORITY');
+  }
+  return value;
+}
+
+module.exports = { parseProcessingOptions, resolveProcessingOptions, parseRerunMode, parsePriority };
@@ -0,0 +1,94 @@
+'use strict';
+
+const Joi = require('joi');
+const { createError } = require('../utils/errorHandler');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const CODE_PATTERN = /^[A-Z0-9_]+$/i;
+
+// ── Search filters ───────────────────────────────────────────────────────────
+// Shared by GET /api/v1/jobs and GET /api/v1/documents (query string).
+// Result fields (document_type, confidence, warning_code) refer to the job's
+// result, or for a document to its latest result version.
+const baseFilters = {
+  document_type: Joi.string().max(64).pattern(/^[a-z_]+$/, 'document type'),
+  min_confidence: Joi.number().min(0).max(1),
+  max_confidence: Joi.number().min(0).max(1).when('min_confidence', {
+    is: Joi.exist(), then: Joi.number().min(Joi.ref('min_confidence')),
+  }),
+  created_since: Joi.date().iso(),
+  created_until: Joi.date().iso().when('created_since', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('created_since')) }),
+  completed_since: Joi.date().iso(),
+  completed_until: Joi.date().iso().when('completed_since', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('completed_since')) }),
+  filename: Joi.string().max(255),
+  warning_code: Joi.string().max(64).pattern(CODE_PATTERN, 'warning code'),
+  error_code: Joi.string().max(64).pattern(CODE_PATTERN, 'error code'),
+  limit: Joi.number().integer().min(1).default(DEFAULT_LIMIT),
+  cursor: Joi.string().max(256),
+  offset: Joi.number().integer().min(0), // superseded by cursor, kept for existing clients
+};
+
+const jobSearchSchema = Joi.object({
+  ...baseFilters,
+  status: Joi.string().valid('queued', 'running', 'success', 'failed', 'cancelled'),
+}).oxor('cursor', 'offset');
+
+const documentSearchSchema = Joi.object({
+  ...baseFilters,
+  status: Joi.string().valid('pending', 'processing', 'done', 'failed', 'cancelled'),
+}).oxor('cursor', 'offset');
+
+/**
+ * Cursors point just past the last row returned. They are opaque to clients:
+ * base64url of [created_at, id], the key every listing is ordered by, so
+ * pages stay stable while new rows are inserted at the head.
+ */
+function encodeCursor(row) {
+  const createdAt = row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at;
+  return Buffer.from(JSON.stringify([createdAt, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const created_at = new Date(createdAt);
+    if (typeof id !== 'string' || isNaN(created_at.getTime())) throw new Error('malformed');
+    return { created_at, id };
+  } catch {
+    throw createError('cursor is not valid; use next_cursor from the previous page', 400, 'INVALID_CURSOR');
+  }
+}
+
+function parseSearch(schema, source = {}) {
+  const supplied = {};
+  for (const key of Object.keys(schema.describe().keys)) {
+    if (source[key] !== undefined && source[key] !== '') supplied[key] = source[key];
+  }
+
+  const { value, error } = schema.validate(supplied, { abortEarly: false, convert: true });
+  if (error) {
+    throw createError(error.details.map(d => d.message).join('; '), 400, 'INVALID_FILTER');
+  }
+
+  const { limit, cursor, offset, ...filter } = value;
+  return { filter, limit: Math.min(limit, MAX_LIMIT), offset: offset ?? 0, cursor: cursor ? decodeCursor(cursor) : null };
+}
+
+/**
+ * Validate the filters and page parameters of a listing.
+ * Returns { filter, limit, offset, cursor }; throws 400 INVALID_FILTER / INVALID_CURSOR.
+ */
+const parseJobSearch = source => parseSearch(jobSearchSchema, source);
+const parseDocumentSearch = source => parseSearch(documentSearchSchema, source);
+
+/**
+ * Trim the extra row a listing fetched to learn whether another page exists.
+ */
+function paginate(rows, limit) {
+  const page = rows.slice(0, limit);
+  return { page, next_cursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null };
+}
+
+module.exports = { parseJobSearch, parseDocumentSearch, paginate };
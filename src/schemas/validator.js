@@ -17,6 +17,74 @@ const baseSchema = {
         is_scanned: { type: 'boolean' },
         page_count: { type: 'integer', minimum: 1 },
         ocr_applied: { type: 'boolean' },
+        page_methods: {
+          type: 'object',
+          properties: {
+            text_layer: { type: 'array', items: { type: 'integer', minimum: 1 } },
+            ocr: { type: 'array', items: { type: 'integer', minimum: 1 } },
+          },
+        },
+        ocr_quality: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer', minimum: 1 },
+              confidence: { type: 'number', minimum: 0, maximum: 1 },
+              words: { type: 'integer', minimum: 0 },
+              low_confidence_words: { type: 'integer', minimum: 0 },
+              strategy: { type: 'string', enum: ['standard', 'binarize', 'upscale', 'background', 'denoise'] },
+              psm: { type: ['integer', 'null'] },
+              attempts: { type: 'integer', minimum: 1 },
+            },
+          },
+        },
+        page_orientation: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer', minimum: 1 },
+              rotation: { type: 'integer', enum: [0, 90, 180, 270] },
+              skew: { type: 'number' },
+            },
+          },
+        },
+        tables: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer', minimum: 1 },
+              ruled: { type: 'boolean' },
+              rows: { type: 'integer', minimum: 0 },
+              columns: { type: 'integer', minimum: 0 },
+            },
+          },
+        },
+        languages: { type: 'array', items: { type: 'string' } },
+        page_languages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              page: { type: 'integer', minimum: 1 },
+              script: { type: ['string', 'null'] },
+              lang: { type: ['string', 'null'] },
+            },
+          },
+        },
+        options: {
+          type: 'object',
+          properties: {
+            document_type: { type: ['string', 'null'], enum: ['bank_statement', 'tax_statement', null] },
+            dpi: { type: 'integer' },
+            lang: { type: 'string' },
+            psm: { type: 'integer' },
+            oem: { type: 'integer' },
+          },
+        },
+        reused_stages: { type: 'array', items: { type: 'string', enum: ['layout', 'render', 'page_text', 'classify'] } },
       },
     },
     confidence: { type: 'number', minimum: 0, maximum: 1 },
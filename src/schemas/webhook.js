@@ -0,0 +1,43 @@
+'use strict';
+
+const Joi = require('joi');
+const { createError } = require('../utils/errorHandler');
+const { assertPublicHost } = require('../utils/network');
+
+const urlSchema = Joi.string().trim().max(2048).uri({ scheme: ['http', 'https'] });
+
+/**
+ * Webhook deliveries are signed with WEBHOOK_SECRET; without it receivers
+ * could not verify anything, so callbacks are refused.
+ */
+function assertWebhooksConfigured() {
+  if (!process.env.WEBHOOK_SECRET) {
+    throw createError('Webhooks are not configured on this server (WEBHOOK_SECRET is not set)', 503, 'WEBHOOKS_NOT_CONFIGURED');
+  }
+}
+
+/**
+ * Validate an http(s) webhook URL whose host resolves to public addresses
+ * only (see utils/network.js); throws 400 INVALID_CALLBACK_URL.
+ */
+async function parseWebhookUrl(url) {
+  const { value, error } = urlSchema.required().validate(url);
+  if (error) throw createError(`Invalid callback_url: ${error.details[0].message}`, 400, 'INVALID_CALLBACK_URL');
+  assertWebhooksConfigured();
+  try {
+    await assertPublicHost(new URL(value).hostname);
+  } catch (err) {
+    throw createError(`Invalid callback_url: ${err.code === 'WEBHOOK_TARGET_BLOCKED' ? err.message : 'host does not resolve'}`, 400, 'INVALID_CALLBACK_URL');
+  }
+  return value;
+}
+
+/**
+ * Optional `callback_url` field on uploads. Resolves to undefined when absent.
+ */
+async function parseCallbackUrl(body = {}) {
+  if (body.callback_url === undefined || body.callback_url === '') return undefined;
+  return parseWebhookUrl(body.callback_url);
+}
+
+module.exports = { parseWebhookUrl, parseCallbackUrl };
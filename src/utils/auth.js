@@ -1,5 +1,10 @@
 'use strict';
 
+const crypto = require('crypto');
+const { createError } = require('./errorHandler');
+
+const TENANT_PATTERN = /^[\w.:@-]{1,128}$/;
+
 function authMiddleware(req, res, next) {
   const apiKey = process.env.API_KEY;
   if (!apiKey) return next(); // disabled
@@ -10,4 +15,42 @@ function authMiddleware(req, res, next) {
   return res.status(401).json({ error: 'Unauthorized: invalid or missing API key' });
 }
 
-module.exports = { authMiddleware };
+/**
+ * Guards the admin API with ADMIN_API_KEY, sent as X-Admin-Key.
+ * The admin API is off (403) until the key is set. Not accepted as a
+ * query parameter, since request URLs are logged.
+ */
+function adminAuthMiddleware(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return res.status(403).json({ error: 'Admin API is disabled: set ADMIN_API_KEY' });
+
+  const provided = req.headers['x-admin-key'] || '';
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (crypto.timingSafeEqual(digest(provided), digest(adminKey))) return next();
+
+  return res.status(401).json({ error: 'Unauthorized: invalid or missing admin key' });
+}
+
+/**
+ * Stable, non-secret id for the API key a request used (SHA-256 of the key).
+ * Per-client settings such as the default webhook hang off it.
+ */
+function getClientId(req) {
+  const provided = req.headers['x-api-key'] || req.query.api_key;
+  return crypto.createHash('sha256').update(provided || 'anonymous').digest('hex');
+}
+
+/**
+ * Optional X-Tenant-Id: the end user or tenant a shared API key is acting for.
+ * Only used to schedule jobs fairly; it grants nothing.
+ */
+function getTenantId(req) {
+  const tenant = req.headers['x-tenant-id'];
+  if (tenant === undefined || tenant === '') return null;
+  if (!TENANT_PATTERN.test(tenant)) {
+    throw createError('X-Tenant-Id must be 1-128 letters, digits or . _ : @ -', 400, 'INVALID_TENANT');
+  }
+  return tenant;
+}
+
+module.exports = { authMiddleware, adminAuthMiddleware, getClientId, getTenantId };
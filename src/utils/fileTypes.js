@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Upload formats accepted by the engine, keyed by file extension.
+ */
+const SUPPORTED_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+};
+
+const SUPPORTED_MIME_TYPES = new Set(Object.values(SUPPORTED_TYPES));
+
+/**
+ * Check an upload against the supported formats by MIME type or extension
+ */
+function isSupportedFile(mimetype, filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  return SUPPORTED_MIME_TYPES.has(mimetype) || Object.prototype.hasOwnProperty.call(SUPPORTED_TYPES, ext);
+}
+
+/**
+ * Detect whether a stored file is a PDF or an image by its magic bytes.
+ * Returns 'pdf', 'image' or null when the content is not recognised.
+ */
+function detectFileKind(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  const header = Buffer.alloc(8);
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header.subarray(0, 4).toString('latin1') === '%PDF') return 'pdf';
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'image';             // JPEG
+  if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image'; // PNG
+  const tiffMagic = header.subarray(0, 4).toString('latin1');
+  if (tiffMagic === 'II*\0' || tiffMagic === 'MM\0*') return 'image';                             // TIFF
+  return null;
+}
+
+/**
+ * Whether a PDF is password-protected: its trailer (or cross-reference stream,
+ * which is never compressed) names an /Encrypt dictionary. Scans the raw
+ * bytes, so a stray "/Encrypt" elsewhere errs on the safe side.
+ */
+function isEncryptedPdf(filePath) {
+  const marker = Buffer.from('/Encrypt', 'latin1');
+  return new Promise((resolve, reject) => {
+    let tail = Buffer.alloc(0);
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', (chunk) => {
+      // Keep the end of the previous chunk in case the marker straddles two
+      const data = Buffer.concat([tail, chunk]);
+      if (data.includes(marker)) {
+        stream.destroy();
+        resolve(true);
+      }
+      tail = data.subarray(-(marker.length - 1));
+    });
+    stream.on('end', () => resolve(false));
+    stream.on('error', reject);
+  });
+}
+
+module.exports = { SUPPORTED_TYPES, isSupportedFile, detectFileKind, isEncryptedPdf };
@@ -0,0 +1,81 @@
+'use strict';
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outgoing requests to client-supplied URLs (webhooks) may only reach public
+ * addresses, so a callback_url cannot be used to probe the internal network
+ * or the cloud metadata endpoint. Hosts listed in WEBHOOK_ALLOWED_HOSTS
+ * (comma-separated) are exempt, for receivers that really are internal.
+ */
+
+// Loopback, private (RFC 1918, unique local), link-local (incl. 169.254.169.254),
+// shared CGNAT space, and the unspecified, multicast and reserved blocks.
+// IPv6 prefixes that embed an IPv4 address (NAT64, IPv4-compatible) are
+// blocked whole, since they can reach 127.0.0.1 or 10.x through a translator.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3],
+]) {
+  BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function allowedHosts() {
+  return (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Whether an IP address is outside every blocked range. IPv4-mapped IPv6
+ * addresses are judged by their IPv4 part.
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(hostname, address) {
+  return Object.assign(
+    new Error(`${hostname} resolves to ${address}, which is not a public address`),
+    { code: 'WEBHOOK_TARGET_BLOCKED' }
+  );
+}
+
+/**
+ * Resolve a URL's hostname and throw WEBHOOK_TARGET_BLOCKED unless every
+ * address it resolves to is public (or the host is allowlisted).
+ * A host that does not resolve throws the DNS error.
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts().includes(host)) return;
+
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) throw blockedError(host, blocked.address);
+}
+
+/**
+ * dns.lookup replacement for the HTTP client: the connection goes to the
+ * address checked here, so a host cannot pass assertPublicHost and then be
+ * re-pointed at an internal address before the request is made.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    if (allowedHosts().includes(hostname.toLowerCase())) return callback(null, address, family);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(blockedError(hostname, blocked.address));
+    callback(null, address, family);
+  });
+}
+
+module.exports = { isPublicAddress, assertPublicHost, publicLookup };
@@ -72,16 +72,24 @@ function extractAfterLabel(text, labelPattern, valuePattern = /(.+)/) {
   return match ? match[1].trim() : null;
 }
 
+// Decimal digits of the Indic scripts (Devanagari through Malayalam). Each
+// block keeps its zero at offset 0x66, so the low bits give the digit.
+const INDIC_DIGITS = /[\u0966-\u096F\u09E6-\u09EF\u0A66-\u0A6F\u0AE6-\u0AEF\u0B66-\u0B6F\u0BE6-\u0BEF\u0C66-\u0C6F\u0CE6-\u0CEF\u0D66-\u0D6F]/g;
+
 /**
- * Remove OCR artifacts (common misreads in financial docs)
+ * Remove OCR artifacts (common misreads in financial docs).
+ * Indic digits (e.g. Devanagari ०-९) become ASCII so dates and amounts parse.
+ * With keepLayout, line breaks and column gaps (runs of spaces) are kept
+ * so table rows can still be split into columns.
  */
-function cleanOCRArtifacts(text) {
-  return text
+function cleanOCRArtifacts(text, { keepLayout = false } = {}) {
+  const cleaned = text
+    .replace(INDIC_DIGITS, d => String((d.charCodeAt(0) & 0x7f) - 0x66))
     .replace(/[|]{2,}/g, ' ')
     .replace(/l(?=\d)/g, '1')   // common: l vs 1
     .replace(/O(?=\d)/g, '0')   // O vs 0
-    .replace(/\bI(?=\d)/g, '1')
-    .replace(/\s{2,}/g, ' ');
+    .replace(/\bI(?=\d)/g, '1');
+  return keepLayout ? cleaned.replace(/[ \t]+$/gm, '') : cleaned.replace(/\s{2,}/g, ' ');
 }
 
 /**
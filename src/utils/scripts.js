@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Writing scripts and the Tesseract languages that read them.
+ *
+ * With lang=auto every OCR'd page is read with English plus the language of
+ * the script Tesseract's orientation and script detection (OSD) found on it,
+ * e.g. hin+eng for a Devanagari page. English stays in because amounts,
+ * dates, IFSC codes and most column headers on Indian statements are in
+ * Latin script whatever the rest of the page is in.
+ */
+
+const AUTO_LANG = 'auto';
+const AUTO_BASE_LANG = 'eng';
+
+// OSD script names → Tesseract language data. Devanagari is also Marathi
+// and Nepali, and Bengali script also Assamese; the commonest is used.
+const SCRIPT_LANGUAGES = {
+  Latin: 'eng',
+  Devanagari: 'hin',
+  Bengali: 'ben',
+  Gujarati: 'guj',
+  Gurmukhi: 'pan',
+  Oriya: 'ori',
+  Tamil: 'tam',
+  Telugu: 'tel',
+  Kannada: 'kan',
+  Malayalam: 'mal',
+  Arabic: 'urd',
+};
+
+// Unicode blocks of the same scripts, for finding them in extracted text
+const SCRIPT_PATTERNS = {
+  Latin: /[A-Za-z]/,
+  Devanagari: /[\u0900-\u097F]/,
+  Bengali: /[\u0980-\u09FF]/,
+  Gurmukhi: /[\u0A00-\u0A7F]/,
+  Gujarati: /[\u0A80-\u0AFF]/,
+  Oriya: /[\u0B00-\u0B7F]/,
+  Tamil: /[\u0B80-\u0BFF]/,
+  Telugu: /[\u0C00-\u0C7F]/,
+  Kannada: /[\u0C80-\u0CFF]/,
+  Malayalam: /[\u0D00-\u0D7F]/,
+  Arabic: /[\u0600-\u06FF]/,
+};
+
+// OSD script confidence below which the script is not trusted
+const MIN_SCRIPT_CONFIDENCE = 1;
+
+/**
+ * Languages to OCR a page with under lang=auto, from its OSD result.
+ * `installed` is the list from `tesseract --list-langs`, or null when it is
+ * unknown (then every language is assumed to be there).
+ * Returns { script, lang, missing }: the detected script (null when unsure),
+ * the '+'-joined languages to use, and the language that would have been
+ * used for the script but is not installed (else null).
+ */
+function languagesForScript({ script, scriptConfidence } = {}, { installed = null } = {}) {
+  const sure = Boolean(script) && scriptConfidence >= MIN_SCRIPT_CONFIDENCE;
+  const lang = sure ? SCRIPT_LANGUAGES[script] : null;
+  const result = { script: sure ? script : null, lang: AUTO_BASE_LANG, missing: null };
+  if (!lang || lang === AUTO_BASE_LANG) return result;
+
+  if (installed && !installed.includes(lang)) return { ...result, missing: lang };
+  return { ...result, lang: `${lang}+${AUTO_BASE_LANG}` };
+}
+
+/**
+ * Scripts that appear in a piece of text, in SCRIPT_PATTERNS order
+ */
+function scriptsInText(text) {
+  return Object.keys(SCRIPT_PATTERNS).filter(script => SCRIPT_PATTERNS[script].test(text || ''));
+}
+
+module.exports = { AUTO_LANG, AUTO_BASE_LANG, SCRIPT_LANGUAGES, languagesForScript, scriptsInText };
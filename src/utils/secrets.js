@@ -0,0 +1,47 @@
+'use strict';
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Symmetric encryption for short-lived secrets (e.g. PDF passwords) that have
+ * to travel through Redis job data without being stored in plaintext.
+ * AES-256-GCM, keyed from JOB_SECRET_KEY.
+ */
+
+let ephemeralKey = null;
+
+function getKey() {
+  if (process.env.JOB_SECRET_KEY) {
+    return crypto.createHash('sha256').update(process.env.JOB_SECRET_KEY).digest();
+  }
+  // Without a configured key, secrets only survive within this process
+  if (!ephemeralKey) {
+    ephemeralKey = crypto.randomBytes(32);
+    logger.warn('JOB_SECRET_KEY not set; using a per-process key. Separate worker processes will not be able to decrypt job secrets.');
+  }
+  return ephemeralKey;
+}
+
+/**
+ * Encrypt a string → "iv.tag.ciphertext" (base64 parts)
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, ciphertext].map(b => b.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ */
+function decryptSecret(sealed) {
+  const [iv, tag, ciphertext] = String(sealed).split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = { encryptSecret, decryptSecret };
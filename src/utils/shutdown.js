@@ -0,0 +1,51 @@
+'use strict';
+
+const logger = require('./logger');
+const { closeQueue } = require('../workers/queue');
+const { closeDb } = require('../db/connection');
+
+/**
+ * Graceful shutdown shared by the API (src/index.js) and the worker (src/worker.js).
+ * On SIGTERM/SIGINT: run `beforeDrain` (e.g. stop accepting HTTP requests), let
+ * in-flight jobs finish for up to SHUTDOWN_TIMEOUT, then close the queue and DB pool.
+ * A second signal exits immediately.
+ */
+function handleShutdown({ beforeDrain = async () => {}, afterDrain = async () => {} } = {}) {
+  const drainTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT) || 60000;
+  let shuttingDown = false;
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) {
+      logger.warn(`${signal} received again, exiting now`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info({ msg: `${signal} received, shutting down`, drainTimeoutMs });
+
+    // Closing connections can hang on a dead peer; never outlive the drain by much
+    setTimeout(() => {
+      logger.error('Shutdown did not complete in time, exiting');
+      process.exit(1);
+    }, drainTimeoutMs + 10000).unref();
+
+    try {
+      await beforeDrain();
+      const drained = await closeQueue({ drainTimeoutMs });
+      if (!drained) {
+        logger.warn('Jobs still running at shutdown; Bull will hand them to another worker once their lock expires');
+      }
+      await afterDrain();
+      await closeDb();
+      logger.info('Shutdown complete');
+      process.exit(0);
+    } catch (err) {
+      logger.error({ msg: 'Error during shutdown', error: err.message });
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { handleShutdown };
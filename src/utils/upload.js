@@ -0,0 +1,234 @@
+'use strict';
+
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const {
+  insertDocument, findCompletedDocumentByChecksum, getResultByDocumentId, insertJob, updateDocumentStatus,
+  claimDeadLetterJob, updateJobQueueId, recordJobFailure, countOutstandingJobs,
+} = require('../db/models');
+const { addJob } = require('../workers/queue');
+const { queuePriority } = require('../workers/priority');
+const { createError } = require('./errorHandler');
+const { isSupportedFile, detectFileKind, isEncryptedPdf } = require('./fileTypes');
+const { encryptSecret } = require('./secrets');
+
+/**
+ * Shared upload handling for every route that accepts documents:
+ * multer storage, checksums, dedup and registration + queueing.
+ */
+
+// ── Multer Config ────────────────────────────────────────────────────────────
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../storage/uploads');
+if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `${uuidv4()}${ext}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 52428800 },
+  fileFilter: (req, file, cb) => {
+    if (isSupportedFile(file.mimetype, file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(createError('Only PDF, JPEG, PNG and TIFF files are accepted', 400, 'INVALID_FILE_TYPE'));
+    }
+  },
+});
+
+const zipUpload = multer({
+  storage,
+  limits: { fileSize: parseInt(process.env.MAX_ZIP_SIZE) || parseInt(process.env.MAX_FILE_SIZE) || 52428800 },
+  fileFilter: (req, file, cb) => {
+    const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+      path.extname(file.originalname).toLowerCase() === '.zip';
+    if (isZip) {
+      cb(null, true);
+    } else {
+      cb(createError('Only ZIP archives are accepted', 400, 'INVALID_FILE_TYPE'));
+    }
+  },
+});
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+function checksumFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', d => hash.update(d));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Dedup is opt-in (DEDUP_ENABLED=true); `force=true` on the request bypasses it.
+ */
+function shouldDedup(req) {
+  if (process.env.DEDUP_ENABLED !== 'true') return false;
+  const force = req.body?.force ?? req.query.force;
+  return String(force).toLowerCase() !== 'true';
+}
+
+/**
+ * Create a job for a registered document and put it on the queue.
+ * Used for new uploads and for reprocessing a stored file. Returns the job id.
+ * `rerun` is the reprocess mode (see parseRerunMode); uploads always resume.
+ * `priority` is weighed against the client's backlog (see workers/priority).
+ */
+async function queueDocument({
+  documentId, filePath, originalName, password, options = {}, rerun = 'resume', priority = 'normal', clientId, tenantId, callbackUrl,
+}) {
+  const jobId = uuidv4();
+  const effectivePriority = queuePriority(priority, await countOutstandingJobs(clientId, tenantId));
+
+  const bullJob = await addJob({
+    jobId,
+    documentId,
+    filePath,
+    originalName,
+    ...(Object.keys(options).length > 0 ? { options } : {}),
+    ...(rerun !== 'resume' ? { rerun } : {}),
+    ...(password ? { encryptedPassword: encryptSecret(password) } : {}),
+  }, { priority: effectivePriority });
+
+  await insertJob({
+    id: jobId,
+    document_id: documentId,
+    queue_job_id: String(bullJob.id),
+    client_id: clientId,
+    tenant_id: tenantId,
+    callback_url: callbackUrl,
+    options: Object.keys(options).length > 0 ? options : null,
+    priority,
+    queue_priority: effectivePriority,
+  });
+  return jobId;
+}
+
+// Failures that only a (new) password can fix
+const PASSWORD_ERROR_CODES = ['ENCRYPTED_PDF', 'INVALID_PDF_PASSWORD'];
+
+/**
+ * Put a dead-lettered job back on the queue under the same job id, with the
+ * options it was uploaded with. Returns false when the job is not dead-lettered
+ * (e.g. another retry claimed it first).
+ */
+async function requeueJob(job, { password } = {}) {
+  if (!(await claimDeadLetterJob(job.id))) return false;
+
+  try {
+    // The claimed job is queued again, so it counts towards its own client's backlog
+    const outstanding = await countOutstandingJobs(job.client_id, job.tenant_id);
+    const effectivePriority = queuePriority(job.priority || 'normal', Math.max(outstanding - 1, 0));
+    const bullJob = await addJob({
+      jobId: job.id,
+      documentId: job.document_id,
+      filePath: job.stored_path,
+      originalName: job.original_name,
+      ...(job.options ? { options: job.options } : {}),
+      ...(password ? { encryptedPassword: encryptSecret(password) } : {}),
+    }, { priority: effectivePriority });
+    await updateJobQueueId(job.id, String(bullJob.id), effectivePriority);
+  } catch (err) {
+    // Leave the job where it was so it can be retried again
+    await recordJobFailure(job.id, {
+      error_message: job.error_message,
+      error_code: job.error_code,
+      failed_stage: job.failed_stage,
+      dead_letter: true,
+    });
+    throw err;
+  }
+
+  await updateDocumentStatus(job.document_id, 'pending');
+  logger.info({ msg: 'Dead-lettered job queued for retry', jobId: job.id, errorCode: job.error_code });
+  return true;
+}
+
+/**
+ * Register an uploaded file as a document and queue it for processing.
+ * When dedup is on and the checksum matches a completed document, the upload is
+ * linked to that document's result instead of being queued.
+ * A PDF password travels to the worker encrypted and is never written to MySQL.
+ * Explicit processing options always get a fresh run, so dedup is skipped for them.
+ * So are password-protected PDFs: the stored result is only for whoever has the
+ * password, which the job checks before it reuses the checkpointed text.
+ */
+async function registerUpload(file, { dedup = false, password, batchId, options = {}, priority, clientId, tenantId, callbackUrl } = {}) {
+  const documentId = uuidv4();
+  const checksum = await checksumFile(file.path);
+  const hasOptions = Object.keys(options).length > 0;
+  const encrypted = detectFileKind(file.path) === 'pdf' && await isEncryptedPdf(file.path);
+
+  if (dedup && !hasOptions && !encrypted) {
+    const original = await findCompletedDocumentByChecksum(checksum);
+    if (original) {
+      const originalResult = await getResultByDocumentId(original.id);
+
+      await insertDocument({
+        id: documentId,
+        batch_id: batchId,
+        original_name: file.originalname,
+        stored_path: original.stored_path,
+        mime_type: file.mimetype,
+        size_bytes: file.size,
+        checksum,
+        page_count: original.page_count,
+        status: 'done',
+        duplicate_of: original.id,
+      });
+      // The original file already holds these bytes
+      fs.unlink(file.path, () => {});
+
+      logger.info({ msg: 'Duplicate upload linked to existing result', documentId, duplicateOf: original.id });
+
+      return {
+        document_id: documentId,
+        job_id: originalResult.job_id,
+        status: 'success',
+        duplicate: true,
+        duplicate_of: original.id,
+        message: 'Duplicate document detected; linked to existing extraction result',
+      };
+    }
+  }
+
+  await insertDocument({
+    id: documentId,
+    batch_id: batchId,
+    original_name: file.originalname,
+    stored_path: file.path,
+    mime_type: file.mimetype,
+    size_bytes: file.size,
+    checksum,
+    page_count: null,
+  });
+
+  const jobId = await queueDocument({
+    documentId, filePath: file.path, originalName: file.originalname, password, options, priority, clientId, tenantId, callbackUrl,
+  });
+
+  logger.info({ msg: 'Document uploaded and queued', documentId, jobId, ...(hasOptions ? { options } : {}) });
+
+  return {
+    document_id: documentId,
+    job_id: jobId,
+    status: 'queued',
+    duplicate: false,
+    message: 'Document accepted and queued for processing',
+  };
+}
+
+module.exports = {
+  UPLOAD_DIR, PASSWORD_ERROR_CODES, upload, zipUpload, checksumFile, shouldDedup, queueDocument, requeueJob, registerUpload,
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+require('dotenv').config();
+const logger = require('./utils/logger');
+const { initDb } = require('./db/connection');
+const { initQueue } = require('./workers/queue');
+const { handleShutdown } = require('./utils/shutdown');
+
+/**
+ * Standalone worker: consumes the extraction and webhook queues without Express.
+ * Run alongside the API in APP_MODE=api so each can be scaled on its own.
+ */
+async function start() {
+  try {
+    logger.info('Starting OCR extraction worker...');
+    await initDb();
+    logger.info('Database connected');
+    await initQueue({ processJobs: true });
+    logger.info({ msg: 'Worker consuming jobs', concurrency: parseInt(process.env.MAX_WORKERS) || 2 });
+
+    handleShutdown();
+  } catch (err) {
+    logger.error({ msg: 'Failed to start worker', error: err.message });
+    process.exit(1);
+  }
+}
+
+start();
@@ -0,0 +1,123 @@
+'use strict';
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { saveCheckpoint, getCheckpoint, listPageCheckpoints } = require('../db/models');
+
+/**
+ * Stage checkpoints: the outputs of the expensive pipeline stages, stored per
+ * file (SHA-256 checksum) and per the options each stage depends on, so a
+ * retried or reprocessed job picks up whatever an earlier run produced.
+ *
+ *   layout     { isImage, isScanned, pageCount, textLayerPages, isEncrypted }
+ *                                                                 depends on the file only
+ *   render     { imagePaths }                                      PDF render DPI
+ *   page_text  { text, items, tables?, quality?, orientation?, language? }
+ *                                                                 per page; text layer, or OCR dpi/lang/psm/oem
+ *   classify   { documentType, confidence }                        same as page_text
+ */
+
+// Layouts from before per-page text-layer detection, or without the
+// isEncrypted flag that guards a password-protected file's checkpoints, are not reused
+const LAYOUT_PARTS = { detection: 'per-page', encryption: 'recorded' };
+
+function stageKey(parts = {}) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// What the rendered page images depend on
+function renderParts(layout, options) {
+  return layout.isImage ? { source: 'image' } : { source: 'pdf', dpi: options.dpi };
+}
+
+// Pages without a usable text layer, which have to be OCR'd
+function ocrPageNumbers(layout) {
+  const textLayer = new Set(layout.textLayerPages);
+  return Array.from({ length: layout.pageCount }, (_, i) => i + 1).filter(page => !textLayer.has(page));
+}
+
+// Bump whenever the page_text payload of OCR'd documents changes shape or
+// meaning, so pages saved by an older worker are OCR'd again instead of
+// quietly turning off the parsing that needs the newer fields
+const OCR_PAGE_TEXT_VERSION = 1;
+
+// What the page texts (and so the classification) depend on. Once any page
+// is OCR'd the document text as a whole depends on the OCR options.
+function textParts(layout, options) {
+  if (ocrPageNumbers(layout).length === 0) return { method: 'text-layer', layout: 'positioned' };
+  return {
+    method: 'ocr', version: OCR_PAGE_TEXT_VERSION, dpi: layout.isImage ? null : options.dpi, lang: options.lang, psm: options.psm, oem: options.oem,
+  };
+}
+
+/**
+ * Checkpoint access for one job. With reuse=false (a full rerun) nothing is
+ * read, but fresh outputs still replace the stored ones.
+ * A checkpoint that cannot be written is logged, never fatal.
+ */
+function checkpointStore({ checksum, jobId, reuse = true }) {
+  return {
+    async get(stage, parts) {
+      if (!reuse) return null;
+      return getCheckpoint(checksum, stage, stageKey(parts));
+    },
+
+    async save(stage, parts, payload, pageNumber = 0) {
+      await saveCheckpoint({
+        id: uuidv4(), checksum, stage, stage_key: stageKey(parts), page_number: pageNumber, job_id: jobId, payload,
+      }).catch(err => logger.warn({ msg: 'Could not save checkpoint', jobId, stage, page: pageNumber, error: err.message }));
+    },
+
+    // Checkpointed pages → { texts, items, tables, quality, orientation, language }, each a Map by page number.
+    // items are text-layer words or OCR word boxes; the others are set for OCR'd pages
+    async pages(parts) {
+      const texts = new Map();
+      const items = new Map();
+      const tables = new Map();
+      const quality = new Map();
+      const orientation = new Map();
+      const language = new Map();
+      if (!reuse) return { texts, items, tables, quality, orientation, language };
+      for (const row of await listPageCheckpoints(checksum, 'page_text', stageKey(parts))) {
+        texts.set(row.page_number, row.payload.text);
+        if (row.payload.items) items.set(row.page_number, row.payload.items);
+        if (row.payload.tables) tables.set(row.page_number, row.payload.tables);
+        if (row.payload.quality) quality.set(row.page_number, row.payload.quality);
+        if (row.payload.orientation) orientation.set(row.page_number, row.payload.orientation);
+        if (row.payload.language) language.set(row.page_number, row.payload.language);
+      }
+      return { texts, items, tables, quality, orientation, language };
+    },
+
+    // Handed to page-ocr jobs so each page is checkpointed as soon as it is done
+    pageTarget(parts) {
+      return { checksum, stageKey: stageKey(parts) };
+    },
+  };
+}
+
+/**
+ * Called by the page worker with the target from checkpointStore().pageTarget()
+ */
+async function savePageText({ checksum, stageKey: key }, { jobId, page, text, items, tables, quality, orientation, language }) {
+  await saveCheckpoint({
+    id: uuidv4(), checksum, stage: 'page_text', stage_key: key, page_number: page, job_id: jobId,
+    payload: { text, items, tables, quality, orientation, language },
+  }).catch(err => logger.warn({ msg: 'Could not save page checkpoint', jobId, page, error: err.message }));
+}
+
+/**
+ * Whether every page of this file has checkpointed text for these (resolved)
+ * options, i.e. a parser-only rerun can go ahead without OCR.
+ */
+async function hasCachedPageTexts(checksum, options) {
+  const layout = await getCheckpoint(checksum, 'layout', stageKey(LAYOUT_PARTS));
+  if (!layout) return false;
+  const pages = await listPageCheckpoints(checksum, 'page_text', stageKey(textParts(layout, options)));
+  return pages.length >= layout.pageCount;
+}
+
+module.exports = {
+  LAYOUT_PARTS, ocrPageNumbers, renderParts, textParts, checkpointStore, savePageText, hasCachedPageTexts,
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * In-process fan-out of Bull's global job events, keyed by Bull job id.
+ * Global events travel over Redis pub/sub, so subscribers here also see
+ * progress from workers running in other processes.
+ *
+ * Events: { type: 'progress', progress } | { type: 'completed' } | { type: 'failed', error }
+ */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open SSE stream
+
+function publishJobEvent(queueJobId, event) {
+  emitter.emit(String(queueJobId), event);
+}
+
+/**
+ * Listen for one job's events. Returns the unsubscribe function.
+ */
+function subscribeJobEvents(queueJobId, listener) {
+  const key = String(queueJobId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+module.exports = { publishJobEvent, subscribeJobEvents };
@@ -0,0 +1,143 @@
+'use strict';
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { isJobCancelled } = require('../db/models');
+const { UPSCALE_FACTOR, preprocessImage, straightenImage } = require('../extractors/imageProcessor');
+const { runOCR, scaleWords, ocrQuality, detectOrientation, installedLanguages } = require('../extractors/ocr');
+const { extractTables, scaleTables } = require('../extractors/tableDetector');
+const { AUTO_LANG, languagesForScript } = require('../utils/scripts');
+const { savePageText } = require('./checkpoints');
+
+// A page OCR'd with fewer words than this is retried, like one below OCR_RETRY_MIN_CONFIDENCE
+const MIN_PAGE_WORDS = 20;
+
+// Tried in order on a poor page until one is good enough. An entry with only
+// a psm re-reads the best image so far with that page segmentation mode.
+const RETRY_ATTEMPTS = [
+  { strategy: 'binarize' },
+  { strategy: 'background' },
+  { strategy: 'upscale' },
+  { strategy: 'denoise' },
+  { psm: 4 },   // single column of text of variable sizes
+  { psm: 11 },  // sparse text, no particular order
+];
+
+// Words Tesseract is reasonably sure of: the better attempt has more
+const score = quality => quality.words - quality.low_confidence_words;
+
+async function attemptOCR(imagePath, strategy, options) {
+  const ocr = await runOCR(imagePath, options);
+  return { ocr, quality: ocrQuality(ocr), processedImagePath: imagePath, strategy, psm: options?.psm ?? null };
+}
+
+/**
+ * Preprocess and OCR a straightened page. When the result is poor (mean
+ * confidence below OCR_RETRY_MIN_CONFIDENCE, or under MIN_PAGE_WORDS words)
+ * the page is OCR'd again with RETRY_ATTEMPTS until one is good enough, and
+ * the best-scoring attempt is kept. OCR_RETRY_MIN_CONFIDENCE=0 turns retries off.
+ */
+async function recognizePage(imagePath, options) {
+  const minConfidence = parseFloat(process.env.OCR_RETRY_MIN_CONFIDENCE ?? '0.7');
+  const isPoor = quality => quality.confidence < minConfidence || quality.words < MIN_PAGE_WORDS;
+
+  let best = await attemptOCR(await preprocessImage(imagePath), 'standard', options);
+  let attempts = 1;
+  if (!minConfidence || !isPoor(best.quality)) return { ...best, attempts };
+
+  for (const retry of RETRY_ATTEMPTS) {
+    if (retry.psm !== undefined && retry.psm === best.psm) continue;
+    const processed = retry.strategy ? await preprocessImage(imagePath, { strategy: retry.strategy }) : best.processedImagePath;
+    if (!processed) continue;
+
+    try {
+      const candidate = await attemptOCR(processed, retry.strategy ?? best.strategy, retry.psm !== undefined ? { ...options, psm: retry.psm } : options);
+      attempts++;
+      if (score(candidate.quality) > score(best.quality)) best = candidate;
+    } catch (err) {
+      logger.warn({ msg: 'OCR retry failed', image: processed, ...retry, error: err.message });
+      continue;
+    }
+
+    if (!isPoor(best.quality)) break;
+    // Nothing found with two different images: a blank page, not a hard one
+    if (best.quality.words === 0) break;
+  }
+
+  return { ...best, attempts };
+}
+
+/**
+ * Languages for one page: with lang=auto, English plus the language of the
+ * script OSD found (see utils/scripts.js); otherwise the requested ones.
+ * Returns { script, lang, missing }.
+ */
+async function pageLanguages(osd, options) {
+  if (options?.lang !== AUTO_LANG) return { script: osd.script ?? null, lang: options?.lang ?? null, missing: null };
+  return languagesForScript(osd, { installed: await installedLanguages() });
+}
+
+/**
+ * Bull processor for the page-ocr queue: straighten (orientation + skew),
+ * pick the page's languages, preprocess and OCR one rendered page, retrying
+ * poor pages (recognizePage), then read any tables on it cell by cell
+ * (unless TABLE_DETECTION=false).
+ * Page images live under ARTIFACTS_DIR, which every worker must share.
+ * The text, word boxes, tables, quality, orientation and language are also
+ * written as a page_text checkpoint (see checkpoints.js). Returns { page, text,
+ * items, tables, quality, orientation, language, processedImagePath, textPath,
+ * layoutPath } to the parent job.
+ */
+async function processPage(bullJob) {
+  const { jobId, page, imagePath, options, checkpoint } = bullJob.data;
+
+  try {
+    if (await isJobCancelled(jobId)) {
+      await bullJob.discard();
+      throw Object.assign(new Error('Job was cancelled'), { code: 'JOB_CANCELLED' });
+    }
+
+    const osd = await detectOrientation(imagePath);
+    const straight = await straightenImage(imagePath, { rotate: osd.upright ? 0 : osd.rotate });
+    const orientation = { rotation: straight.rotation, skew: straight.skew };
+    const language = await pageLanguages(osd, options);
+    if (language.missing) {
+      logger.warn({ msg: 'Language data for the detected script is not installed', jobId, page, script: language.script, lang: language.missing });
+    }
+    const ocrOptions = options?.lang === AUTO_LANG ? { ...options, lang: language.lang } : options;
+
+    const { ocr, quality: ocrScores, processedImagePath, strategy, psm, attempts } = await recognizePage(straight.imagePath, ocrOptions);
+    // Boxes read off an upscaled image go back to the render's pixels, so
+    // every page of a document shares one coordinate space
+    const scale = strategy === 'upscale' ? 1 / UPSCALE_FACTOR : 1;
+    const { text } = ocr;
+    const items = scaleWords(ocr.words, scale);
+    const quality = { ...ocrScores, strategy, psm, attempts };
+    // Cells are filled from this OCR's words, which share the processed image's pixels
+    const tables = process.env.TABLE_DETECTION === 'false'
+      ? null
+      : scaleTables(await extractTables(processedImagePath, ocr.words), scale);
+
+    let textPath = null;
+    let layoutPath = null;
+    if (process.env.DEBUG_ARTIFACTS === 'true') {
+      textPath = processedImagePath.replace(/\.(png|jpg)$/, '_ocr.txt');
+      fs.writeFileSync(textPath, text, 'utf8');
+      layoutPath = processedImagePath.replace(/\.(png|jpg)$/, '_ocr.json');
+      const { image, blocks, lines, words } = ocr;
+      fs.writeFileSync(layoutPath, JSON.stringify({ image, confidence: ocr.confidence, blocks, lines, words }), 'utf8');
+    }
+
+    // Checkpointed right away, so a retry of the document skips this page
+    if (checkpoint) await savePageText(checkpoint, { jobId, page, text, items, tables, quality, orientation, language });
+
+    logger.debug({ msg: 'Page OCR complete', jobId, page, chars: text.length, confidence: quality.confidence, tables: tables?.length ?? null, lang: language.lang, ...orientation });
+    return { page, text, items, tables, quality, orientation, language, processedImagePath, textPath, layoutPath };
+  } catch (err) {
+    // Bull only keeps the message; the parent job reads the code from here
+    await bullJob.update({ ...bullJob.data, errorCode: err.code }).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = { processPage };
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Fair scheduling on top of Bull priorities (lower runs first).
+ *
+ * A job's Bull priority is its position among its client's unfinished jobs
+ * times the stride of its priority level: a client's 1st job gets 1 × stride,
+ * its 300th gets 300 × stride. Clients with a backlog are thereby
+ * interleaved with everyone else instead of running first-come-first-served,
+ * and a high-priority job counts as four low-priority ones.
+ *
+ * Clients are API keys, or (API key, X-Tenant-Id) when the caller passes one.
+ */
+const PRIORITY_STRIDE = { high: 1, normal: 2, low: 4 };
+
+const PRIORITY_LEVELS = Object.keys(PRIORITY_STRIDE);
+
+// Bull keeps priorities in a sorted set; stay well inside its integer range
+const MAX_QUEUE_PRIORITY = 2 ** 21;
+
+/**
+ * Bull priority for a job of `level` from a client that already has
+ * `outstanding` queued or running jobs.
+ */
+function queuePriority(level, outstanding) {
+  return Math.min((outstanding + 1) * PRIORITY_STRIDE[level], MAX_QUEUE_PRIORITY);
+}
+
+module.exports = { PRIORITY_LEVELS, queuePriority };
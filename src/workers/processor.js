@@ -1,118 +1,363 @@
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const { updateJobStatus, insertResult, updateDocumentStatus, insertArtifact } = require('../db/models');
+const {
+  getDocument, updateJobStatus, recordJobFailure, completeJob, isJobCancelled, insertResult, deleteResult,
+  updateDocumentStatus, insertArtifact,
+} = require('../db/models');
 const { detectTextLayer, extractTextFromLayer, renderPagesToImages } = require('../extractors/pdfProcessor');
-const { preprocessImage } = require('../extractors/imageProcessor');
-const { runOCR } = require('../extractors/ocr');
+const { splitImagePages, removePageImages } = require('../extractors/imageProcessor');
+const { scaleWords } = require('../extractors/ocr');
 const { classifyDocument } = require('../parsers/classifier');
 const { extractBankStatement } = require('../parsers/bankParser');
 const { extractTaxStatement } = require('../parsers/taxParser');
 const { validateResult } = require('../schemas/validator');
+const { detectFileKind } = require('../utils/fileTypes');
+const { SCRIPT_LANGUAGES, scriptsInText } = require('../utils/scripts');
+const { decryptSecret } = require('../utils/secrets');
+const { resolveProcessingOptions } = require('../schemas/options');
+const { notifyJobFinished } = require('./webhooks');
+const { addPageJob, waitForPageJob, removeQueuedPageJobs } = require('./queue');
+const {
+  LAYOUT_PARTS, checkpointStore, ocrPageNumbers, renderParts, textParts,
+} = require('./checkpoints');
 
 const SCHEMA_VERSION = '1.0';
 
+// Failures that will not change on retry
+const NON_RETRYABLE_CODES = ['ENCRYPTED_PDF', 'INVALID_PDF_PASSWORD', 'CHECKPOINT_MISSING'];
+
+/**
+ * Drop the sealed PDF password from the Bull job once it is no longer needed,
+ * so it does not outlive the job in Redis.
+ */
+async function forgetPassword(bullJob) {
+  if (!bullJob.data.encryptedPassword) return;
+  const { encryptedPassword, ...data } = bullJob.data;
+  await bullJob.update(data).catch(err =>
+    logger.warn({ msg: 'Could not clear job password', jobId: data.jobId, error: err.message })
+  );
+}
+
+/**
+ * Report progress for live clients (GET /api/v1/jobs/:id/events).
+ * `warnings` is the list raised so far; it only ever grows, so the stream
+ * can push each new warning as it appears.
+ */
+async function reportProgress(bullJob, percent, stage, warnings, extra = {}) {
+  await bullJob.progress({ percent, stage, ...extra, warnings: [...warnings] });
+}
+
+/**
+ * Stop work on a job the client cancelled (DELETE /api/v1/jobs/:id).
+ * Checked between pages, so a running OCR page always finishes first.
+ */
+async function assertNotCancelled(jobId) {
+  if (await isJobCancelled(jobId)) throw cancelledError();
+}
+
+function cancelledError() {
+  return Object.assign(new Error('Job was cancelled'), { code: 'JOB_CANCELLED' });
+}
+
+/**
+ * OCR rendered pages as page-ocr jobs so idle workers share a long scan,
+ * then collect the results in page order. Each page job checkpoints its own
+ * text. `onPageDone(count)` runs as each page finishes; the job is checked
+ * for cancellation at the same points.
+ */
+async function ocrPages(jobId, pages, { options, checkpoint }, onPageDone) {
+  await assertNotCancelled(jobId);
+  await onPageDone(0);
+  const pageJobs = await Promise.all(pages.map(({ page, imagePath }) =>
+    addPageJob({ jobId, page, imagePath, options, checkpoint })
+  ));
+
+  let done = 0;
+  try {
+    return await Promise.all(pageJobs.map(async (pageJob) => {
+      const outcome = await waitForPageJob(pageJob);
+      if (outcome.state !== 'completed') {
+        const { page } = pageJob.data;
+        throw Object.assign(new Error(`Page ${page}: ${outcome.error}`), { code: outcome.code || 'PAGE_OCR_FAILED' });
+      }
+      await assertNotCancelled(jobId);
+      done += 1;
+      await onPageDone(done);
+      return outcome.value;
+    }));
+  } catch (err) {
+    // Don't leave the remaining pages for other workers
+    await removeQueuedPageJobs(pageJobs);
+    throw err;
+  }
+}
+
+function encryptedPdfError() {
+  return Object.assign(new Error('PDF is encrypted/password-protected; upload it again with the password field'), { code: 'ENCRYPTED_PDF' });
+}
+
+/**
+ * Checkpoints of a password-protected PDF hold its decrypted text, so they
+ * are only used once this job has opened the file itself. Throws
+ * ENCRYPTED_PDF without a password (or without the file to check it
+ * against) and INVALID_PDF_PASSWORD for a wrong one.
+ */
+async function assertCanOpen(filePath, password) {
+  if (!fs.existsSync(filePath)) {
+    throw Object.assign(new Error('The PDF is password-protected and its file was removed by retention; upload it again with the password field'), { code: 'ENCRYPTED_PDF' });
+  }
+  const { isEncrypted } = await detectTextLayer(filePath, { password });
+  if (isEncrypted) throw encryptedPdfError();
+}
+
+function checkpointMissing(stage) {
+  return Object.assign(
+    new Error(`Parser-only rerun needs checkpointed ${stage} output for these options; reprocess without rerun=parse`),
+    { code: 'CHECKPOINT_MISSING' }
+  );
+}
+
 async function processJob(bullJob) {
-  const { jobId, documentId, filePath, originalName } = bullJob.data;
+  const { jobId, documentId, filePath, originalName, encryptedPassword, rerun = 'resume' } = bullJob.data;
+  const options = resolveProcessingOptions(bullJob.data.options);
+
+  logger.info({ msg: 'Processing job', jobId, documentId, file: originalName, ...(rerun !== 'resume' ? { rerun } : {}) });
 
-  logger.info({ msg: 'Processing job', jobId, documentId, file: originalName });
+  // Stage in progress, reported as it begins; recorded on the job if this attempt fails
+  let stage = 'start';
+  const report = (percent, name, warnings, extra) => {
+    stage = name;
+    return reportProgress(bullJob, percent, name, warnings, extra);
+  };
 
   try {
     // ── 1. Update status to running ────────────────────────────────────────
+    await assertNotCancelled(jobId);
     await updateJobStatus(jobId, 'running');
     await updateDocumentStatus(documentId, 'processing');
-    await bullJob.progress(5);
 
     const warnings = [];
     const artifacts = [];
-
-    // ── 2. Check for text layer ────────────────────────────────────────────
-    let pageTexts = [];
-    let isScanned = false;
-    let pageCount = 1;
-
-    const { hasTextLayer, pageCount: pc, isEncrypted } = await detectTextLayer(filePath);
-    pageCount = pc;
-    await updateDocumentStatus(documentId, 'processing', pageCount);
-    await bullJob.progress(15);
-
-    if (isEncrypted) {
-      throw Object.assign(new Error('PDF is encrypted/password-protected'), { code: 'ENCRYPTED_PDF' });
+    await report(5, 'start', warnings);
+
+    // Held in memory only for the life of this job
+    const password = encryptedPassword ? decryptSecret(encryptedPassword) : undefined;
+
+    // ── 2. Layout: which pages have a text layer? ──────────────────────────
+    // Stage outputs are checkpointed per file + options; a retry or reprocess
+    // resumes from them (rerun=full ignores them, rerun=parse requires them)
+    const { checksum } = await getDocument(documentId);
+    const checkpoints = checkpointStore({ checksum, jobId, reuse: rerun !== 'full' });
+    const reusedStages = [];
+    let rawImages = null;
+
+    let layout = await checkpoints.get('layout', LAYOUT_PARTS);
+    if (layout) {
+      if (layout.isEncrypted) {
+        await report(15, 'text-layer', warnings);
+        await assertCanOpen(filePath, password);
+      }
+      reusedStages.push('layout');
+    } else if (rerun === 'parse') {
+      throw checkpointMissing('layout');
+    } else if (detectFileKind(filePath) === 'image') {
+      // Photos and fax TIFFs have no text layer: every frame goes to OCR
+      stage = 'render';
+      rawImages = await splitImagePages(filePath);
+      layout = { isImage: true, isScanned: true, pageCount: rawImages.length, textLayerPages: [], isEncrypted: false };
+      await checkpoints.save('render', renderParts(layout, options), { imagePaths: rawImages });
+      await checkpoints.save('layout', LAYOUT_PARTS, layout);
+    } else {
+      await report(15, 'text-layer', warnings);
+      const { hasTextLayer, pageCount, isEncrypted, textLayerPages } = await detectTextLayer(filePath, { password });
+      if (isEncrypted) throw encryptedPdfError();
+      // A PDF that opened with a password counts as encrypted: detectTextLayer
+      // only reports isEncrypted when it could not open the file
+      layout = { isImage: false, isScanned: !hasTextLayer, pageCount, textLayerPages, isEncrypted: Boolean(password) };
+      await checkpoints.save('layout', LAYOUT_PARTS, layout);
     }
 
-    if (hasTextLayer) {
-      logger.info({ msg: 'Extracting from text layer', jobId });
-      pageTexts = await extractTextFromLayer(filePath);
-    } else {
-      // ── 3. Scanned PDF: render → preprocess → OCR ──────────────────────
-      isScanned = true;
+    const { isScanned } = layout;
+    let pageCount = layout.pageCount;
+    let scannedPages = ocrPageNumbers(layout);
+    await updateDocumentStatus(documentId, 'processing', pageCount);
+    if (layout.isImage) {
+      warnings.push({ code: 'IMAGE_DOCUMENT', message: 'Document is an image upload. OCR applied.' });
+    } else if (isScanned) {
       warnings.push({ code: 'SCANNED_PDF', message: 'Document appears to be scanned. OCR applied.' });
-      logger.info({ msg: 'Scanned PDF detected, starting OCR pipeline', jobId });
+    } else if (scannedPages.length > 0) {
+      warnings.push({ code: 'MIXED_PDF', message: `Pages ${scannedPages.join(', ')} have no text layer. OCR applied to those pages.` });
+    }
 
-      const dpi = parseInt(process.env.PDF_RENDER_DPI) || 200;
-      const rawImages = await renderPagesToImages(filePath, dpi);
-      await bullJob.progress(35);
+    // ── 3. Page texts: text layer, or render → preprocess → OCR ────────────
+    const textStage = textParts(layout, options);
+    const {
+      texts: cachedTexts, items: pageItems, tables: pageTables, quality: pageQuality, orientation: pageOrientation,
+      language: pageLanguage,
+    } = await checkpoints.pages(textStage);
+    const pageNumbers = () => Array.from({ length: pageCount }, (_, i) => i + 1);
+    const missing = pages => pages.filter(n => !cachedTexts.has(n));
+    if (cachedTexts.size > 0) reusedStages.push('page_text');
+    if (missing(pageNumbers()).length > 0 && rerun === 'parse') throw checkpointMissing('page_text');
+
+    // The text-layer probe can miscount pages of a damaged PDF; trust what was rendered
+    const correctPageCount = async (actual) => {
+      if (actual === pageCount) return;
+      pageCount = actual;
+      layout = { ...layout, pageCount };
+      scannedPages = ocrPageNumbers(layout);
+      await checkpoints.save('layout', LAYOUT_PARTS, layout);
+      await updateDocumentStatus(documentId, 'processing', pageCount);
+    };
 
-      const saveArtifacts = process.env.DEBUG_ARTIFACTS === 'true';
+    const missingTextPages = missing(layout.textLayerPages);
+    if (missingTextPages.length > 0) {
+      if (stage !== 'text-layer') await report(15, 'text-layer', warnings);
+      logger.info({ msg: 'Extracting from text layer', jobId, pages: missingTextPages.length });
+      const extracted = await extractTextFromLayer(filePath, { password });
+      for (const page of missingTextPages) {
+        const { text = '', items = [] } = extracted[page - 1] ?? {};
+        cachedTexts.set(page, text);
+        pageItems.set(page, items);
+        await checkpoints.save('page_text', textStage, { text, items }, page);
+      }
+    }
 
-      for (let i = 0; i < rawImages.length; i++) {
-        const rawImagePath = rawImages[i];
-        // Preprocess
-        const processedImagePath = await preprocessImage(rawImagePath);
+    let missingOcrPages = missing(scannedPages);
+    if (missingOcrPages.length > 0) {
+      logger.info({ msg: 'Pages without a text layer, starting OCR pipeline', jobId, pages: missingOcrPages.length, cached: cachedTexts.size });
+      await report(35, 'render', warnings);
+
+      const rendered = rawImages ? null : await checkpoints.get('render', renderParts(layout, options));
+      if (rendered && missingOcrPages.every(n => rendered.imagePaths[n - 1] && fs.existsSync(rendered.imagePaths[n - 1]))) {
+        rawImages = rendered.imagePaths;
+        reusedStages.push('render');
+      } else if (!rawImages) {
+        // Only the pages that need OCR are rendered
+        rawImages = layout.isImage
+          ? await splitImagePages(filePath)
+          : await renderPagesToImages(filePath, options.dpi, { password, pages: isScanned ? undefined : missingOcrPages });
+        await checkpoints.save('render', renderParts(layout, options), { imagePaths: rawImages });
+      }
+      if (isScanned) {
+        await correctPageCount(rawImages.length);
+        missingOcrPages = missing(scannedPages);
+      }
 
-        if (saveArtifacts) {
-          const artifactId = uuidv4();
-          artifacts.push({ id: artifactId, document_id: documentId, job_id: jobId, artifact_type: 'processed_image', file_path: processedImagePath, page_number: i + 1 });
+      const saveArtifacts = process.env.DEBUG_ARTIFACTS === 'true';
+      const ocrTotal = scannedPages.length;
+      const pages = await ocrPages(
+        jobId,
+        missingOcrPages.map(page => ({ page, imagePath: rawImages[page - 1] })),
+        { options, checkpoint: checkpoints.pageTarget(textStage) },
+        (done) => {
+          const finished = ocrTotal - missingOcrPages.length + done;
+          return report(35 + Math.round((finished / ocrTotal) * 35), 'ocr', warnings, { pages_done: finished, pages: ocrTotal });
         }
-
-        // OCR
-        const text = await runOCR(processedImagePath);
-        pageTexts.push(text);
-
+      );
+
+      for (const { page, text, items, tables, quality, orientation, language, processedImagePath, textPath, layoutPath } of pages) {
+        cachedTexts.set(page, text);
+        if (items) pageItems.set(page, items);
+        if (tables) pageTables.set(page, tables);
+        if (quality) pageQuality.set(page, quality);
+        if (orientation) pageOrientation.set(page, orientation);
+        if (language) pageLanguage.set(page, language);
         if (saveArtifacts) {
-          const txtPath = processedImagePath.replace(/\.(png|jpg)$/, '_ocr.txt');
-          require('fs').writeFileSync(txtPath, text, 'utf8');
-          const artifactId = uuidv4();
-          artifacts.push({ id: artifactId, document_id: documentId, job_id: jobId, artifact_type: 'ocr_text', file_path: txtPath, page_number: i + 1 });
+          artifacts.push({ id: uuidv4(), document_id: documentId, job_id: jobId, artifact_type: 'processed_image', file_path: processedImagePath, page_number: page });
+          if (textPath) {
+            artifacts.push({ id: uuidv4(), document_id: documentId, job_id: jobId, artifact_type: 'ocr_text', file_path: textPath, page_number: page });
+          }
+          if (layoutPath) {
+            artifacts.push({ id: uuidv4(), document_id: documentId, job_id: jobId, artifact_type: 'ocr_layout', file_path: layoutPath, page_number: page });
+          }
         }
-
-        const progress = 35 + Math.round(((i + 1) / rawImages.length) * 35);
-        await bullJob.progress(progress);
       }
     }
 
+    const pageTexts = pageNumbers().map(n => cachedTexts.get(n) ?? '');
     const fullText = pageTexts.join('\n\n--- PAGE BREAK ---\n\n');
 
     // Check if OCR returned mostly garbage
-    if (isScanned) {
-      const wordCount = fullText.split(/\s+/).filter(w => w.length > 2).length;
+    if (scannedPages.length > 0) {
+      const ocrText = scannedPages.map(n => cachedTexts.get(n) ?? '').join('\n');
+      const wordCount = ocrText.split(/\s+/).filter(w => w.length > 2).length;
       if (wordCount < 20) {
         warnings.push({ code: 'LOW_OCR_QUALITY', message: 'OCR produced very little readable text. The scan quality may be too poor to extract data reliably.' });
       }
     }
 
+    // Pages in a script whose language data is not installed were read as English
+    const unavailable = new Map();
+    for (const page of scannedPages) {
+      const language = pageLanguage.get(page);
+      if (!language?.missing) continue;
+      if (!unavailable.has(language.missing)) unavailable.set(language.missing, { script: language.script, pages: [] });
+      unavailable.get(language.missing).pages.push(page);
+    }
+    for (const [lang, { script, pages }] of unavailable) {
+      warnings.push({
+        code: 'OCR_LANGUAGE_UNAVAILABLE',
+        message: `Pages ${pages.join(', ')} are in ${script} script, but Tesseract language data '${lang}' is not installed. Those pages were read as English only.`,
+      });
+    }
+
+    // Languages of the scripts that occur anywhere in the text
+    const languages = [...new Set(pageTexts.flatMap(text => scriptsInText(text).map(script => SCRIPT_LANGUAGES[script])))];
+
     // ── 4. Classify document ───────────────────────────────────────────────
-    await bullJob.progress(75);
-    const { documentType, confidence: classifyConfidence } = classifyDocument(fullText, originalName);
-    logger.info({ msg: 'Document classified', jobId, documentType, classifyConfidence });
+    await report(75, 'classify', warnings);
+    let documentType;
+    let classifyConfidence;
+    if (options.document_type) {
+      // Client told us what this is; trust it
+      documentType = options.document_type;
+      classifyConfidence = 1;
+      logger.info({ msg: 'Document type supplied with upload, skipping classifier', jobId, documentType });
+    } else {
+      // A parser-only rerun classifies again: the classifier is part of the parsers
+      const classified = rerun === 'parse' ? null : await checkpoints.get('classify', textStage);
+      if (classified) {
+        ({ documentType, confidence: classifyConfidence } = classified);
+        reusedStages.push('classify');
+      } else {
+        ({ documentType, confidence: classifyConfidence } = classifyDocument(fullText, originalName));
+        await checkpoints.save('classify', textStage, { documentType, confidence: classifyConfidence });
+      }
+      logger.info({ msg: 'Document classified', jobId, documentType, classifyConfidence, fromCheckpoint: Boolean(classified) });
+    }
 
     if (documentType === 'unknown') {
       warnings.push({ code: 'UNKNOWN_DOCUMENT_TYPE', message: 'Could not confidently classify document type. Attempting generic extraction.' });
     }
 
     // ── 5. Extract structured data ─────────────────────────────────────────
+    await report(80, 'extract', warnings);
+    // OCR word boxes are pixels of a render at options.dpi; the parser lays
+    // them against text-layer words, which are in PDF points
+    const ocrScale = layout.isImage ? 1 : 72 / options.dpi;
+    const parserItems = page => (pageItems.has(page) && scannedPages.includes(page)
+      ? scaleWords(pageItems.get(page), ocrScale)
+      : pageItems.get(page) ?? null);
     let extractionResult;
     if (documentType === 'bank_statement') {
-      extractionResult = await extractBankStatement(pageTexts, fullText);
+      extractionResult = await extractBankStatement(pageTexts, fullText, {
+        pageItems: pageNumbers().map(parserItems),
+        pageTables: pageNumbers().map(n => pageTables.get(n) ?? null),
+      });
     } else if (documentType === 'tax_statement') {
-      extractionResult = await extractTaxStatement(pageTexts, fullText);
+      extractionResult = await extractTaxStatement(pageTexts, fullText, {
+        pageTables: pageNumbers().map(n => pageTables.get(n) ?? null),
+      });
     } else {
       extractionResult = { fields: {}, tables: [], confidence: 0.1 };
     }
 
-    await bullJob.progress(90);
+    await report(90, 'validate', [...warnings, ...(extractionResult.warnings || [])]);
 
     // ── 6. Build final JSON output ─────────────────────────────────────────
     const overallConfidence = Math.round(
@@ -126,7 +371,22 @@ async function processJob(bullJob) {
       processing: {
         is_scanned: isScanned,
         page_count: pageCount,
-        ocr_applied: isScanned,
+        ocr_applied: scannedPages.length > 0,
+        page_methods: {
+          text_layer: layout.textLayerPages.filter(page => page <= pageCount),
+          ocr: scannedPages,
+        },
+        ocr_quality: scannedPages.filter(page => pageQuality.has(page)).map(page => ({ page, ...pageQuality.get(page) })),
+        page_orientation: scannedPages.filter(page => pageOrientation.has(page)).map(page => ({ page, ...pageOrientation.get(page) })),
+        tables: scannedPages.filter(page => pageTables.has(page)).flatMap(page => pageTables.get(page).map(table => ({
+          page, ruled: table.ruled, rows: table.rows.length, columns: table.columns.length,
+        }))),
+        languages,
+        page_languages: scannedPages.filter(page => pageLanguage.has(page)).map(page => ({
+          page, script: pageLanguage.get(page).script, lang: pageLanguage.get(page).lang,
+        })),
+        options,
+        reused_stages: reusedStages,
       },
       confidence: overallConfidence,
       warnings: [...warnings, ...(extractionResult.warnings || [])],
@@ -141,6 +401,8 @@ async function processJob(bullJob) {
     }
 
     // ── 8. Persist result ──────────────────────────────────────────────────
+    await assertNotCancelled(jobId);
+    await report(95, 'save', finalResult.warnings);
     const resultId = uuidv4();
     await insertResult({
       id: resultId,
@@ -152,25 +414,68 @@ async function processJob(bullJob) {
       document_type: documentType,
     });
 
+    // A cancel may have landed since the last check: succeed only if the job is still running
+    if (!(await completeJob(jobId))) {
+      await deleteResult(resultId);
+      throw cancelledError();
+    }
+
     // Save debug artifacts
     for (const art of artifacts) {
       await insertArtifact(art);
     }
 
     await updateDocumentStatus(documentId, 'done');
-    await updateJobStatus(jobId, 'success');
-    await bullJob.progress(100);
+    await report(100, 'done', finalResult.warnings);
+    await forgetPassword(bullJob);
+    await notifyJobFinished(jobId, { status: 'success', documentType, confidence: overallConfidence });
 
     logger.info({ msg: 'Job completed successfully', jobId, documentType, confidence: overallConfidence });
     return { resultId, documentType, confidence: overallConfidence };
 
   } catch (err) {
+    const stopCancelled = async () => {
+      // The API already marked the job and document cancelled; don't overwrite that
+      logger.info({ msg: 'Job cancelled, stopping', jobId, documentId });
+      await bullJob.discard();
+      await forgetPassword(bullJob);
+      removePageImages(filePath);
+    };
+    if (err.code === 'JOB_CANCELLED') {
+      await stopCancelled();
+      throw err;
+    }
+
     const errorMsg = err.message || 'Unknown error';
-    const errorCode = err.code || 'PROCESSING_ERROR';
-    logger.error({ msg: 'Job failed', jobId, documentId, error: errorMsg, code: errorCode });
+    // Child processes report numeric exit codes; only symbolic codes are useful to filter on
+    const errorCode = typeof err.code === 'string' ? err.code : 'PROCESSING_ERROR';
+    logger.error({ msg: 'Job failed', jobId, documentId, error: errorMsg, code: errorCode, stage });
+
+    const finalAttempt = bullJob.attemptsMade + 1 >= (bullJob.opts.attempts || 1);
+    const permanent = finalAttempt || NON_RETRYABLE_CODES.includes(errorCode);
+
+    // Permanent failures land in the dead-letter view (GET /api/v1/jobs/dead-letter)
+    const recorded = await recordJobFailure(jobId, {
+      error_message: `[${errorCode}] ${errorMsg}`,
+      error_code: errorCode,
+      failed_stage: stage,
+      dead_letter: permanent,
+    });
+    // Cancelled while this attempt was failing: no retry, no failure report
+    if (!recorded) {
+      await stopCancelled();
+      throw err;
+    }
 
-    await updateJobStatus(jobId, 'failed', `[${errorCode}] ${errorMsg}`);
-    await updateDocumentStatus(documentId, 'failed');
+    if (NON_RETRYABLE_CODES.includes(errorCode)) {
+      await bullJob.discard();
+    }
+    // Only report a failure once no retry is coming; until then the document stays in progress
+    if (permanent) {
+      await updateDocumentStatus(documentId, 'failed');
+      await forgetPassword(bullJob);
+      await notifyJobFinished(jobId, { status: 'failed', errorMessage: `[${errorCode}] ${errorMsg}` });
+    }
     throw err;
   }
 }
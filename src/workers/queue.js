@@ -2,11 +2,44 @@
 
 const Bull = require('bull');
 const logger = require('../utils/logger');
+const { publishJobEvent } = require('./jobEvents');
 
 let extractionQueue = null;
+let webhookQueue = null;
+let pageQueue = null;
 
-async function initQueue() {
-  const redisConfig = {
+// Names the admin API uses for the Bull queues
+const QUEUE_NAMES = { extraction: 'document-extraction', pages: 'page-ocr', webhooks: 'webhook-delivery' };
+
+const PROCESSORS = {
+  extraction: () => require('./processor').processJob,
+  pages: () => require('./pageProcessor').processPage,
+  webhooks: () => require('./webhooks').deliverWebhook,
+};
+
+// Concurrency set through the admin API: a Redis hash (queue name → concurrency)
+// read by workers at startup, and a channel that tells running workers to apply it
+const CONCURRENCY_KEY = 'ocr-engine:concurrency';
+const CONCURRENCY_CHANNEL = 'ocr-engine:concurrency';
+
+let redisConfig = null;
+let workers = {}; // queue name → { queue, concurrency }: the Bull instances processing jobs here
+let retiringWorkers = new Set();
+let concurrencySubscriber = null;
+
+function defaultConcurrency(name) {
+  const maxWorkers = parseInt(process.env.MAX_WORKERS) || 2;
+  if (name === 'pages') return parseInt(process.env.PAGE_WORKERS) || maxWorkers;
+  if (name === 'webhooks') return parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+  return maxWorkers;
+}
+
+/**
+ * Connect to the queues. With processJobs=false (APP_MODE=api) this process
+ * only enqueues and follows events; standalone workers (src/worker.js) do the work.
+ */
+async function initQueue({ processJobs = true } = {}) {
+  redisConfig = {
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT) || 6379,
   };
@@ -14,33 +47,165 @@ async function initQueue() {
     redisConfig.password = process.env.REDIS_PASSWORD;
   }
 
-  extractionQueue = new Bull('document-extraction', { redis: redisConfig });
+  extractionQueue = new Bull(QUEUE_NAMES.extraction, { redis: redisConfig });
 
   extractionQueue.on('error', (err) => {
     logger.error({ msg: 'Queue error', error: err.message });
   });
 
-  extractionQueue.on('completed', (job) => {
-    logger.info({ msg: 'Job completed', jobId: job.id });
+  // Relayed to live progress streams; global events arrive from workers in any process
+  extractionQueue.on('global:progress', (id, progress) => publishJobEvent(id, { type: 'progress', progress }));
+  extractionQueue.on('global:completed', (id) => publishJobEvent(id, { type: 'completed' }));
+  extractionQueue.on('global:failed', (id, reason) => publishJobEvent(id, { type: 'failed', error: reason }));
+
+  // Webhook deliveries get their own queue so slow receivers never hold up extraction
+  webhookQueue = new Bull(QUEUE_NAMES.webhooks, { redis: redisConfig });
+  webhookQueue.on('error', (err) => {
+    logger.error({ msg: 'Webhook queue error', error: err.message });
   });
 
-  extractionQueue.on('failed', (job, err) => {
-    logger.error({ msg: 'Job failed', jobId: job.id, error: err.message });
+  // Pages of scanned documents are OCR'd as separate jobs so any idle worker can take one
+  pageQueue = new Bull(QUEUE_NAMES.pages, { redis: redisConfig });
+  pageQueue.on('error', (err) => {
+    logger.error({ msg: 'Page queue error', error: err.message });
   });
 
-  // Start the processor in the same process (or separate worker)
-  const { processJob } = require('./processor');
-  extractionQueue.process(parseInt(process.env.MAX_WORKERS) || 2, processJob);
+  if (processJobs) {
+    const overrides = await extractionQueue.client.hgetall(CONCURRENCY_KEY);
+    for (const name of Object.keys(QUEUE_NAMES)) {
+      await startWorker(name, parseInt(overrides[name]) || defaultConcurrency(name));
+    }
+    await followConcurrencyChanges();
+  }
 
-  logger.info('Bull queue initialized');
+  logger.info({ msg: 'Bull queue initialized', processJobs });
   return extractionQueue;
 }
 
+/**
+ * Process one queue in this process with the given concurrency. Bull fixes
+ * concurrency when process() is called, so a change starts a new instance and
+ * retires the old one, which stops taking jobs and closes once its active ones finish.
+ */
+async function startWorker(name, concurrency) {
+  const previous = workers[name];
+  if (previous?.concurrency === concurrency) return;
+
+  const queue = new Bull(QUEUE_NAMES[name], { redis: redisConfig });
+  queue.on('error', (err) => {
+    logger.error({ msg: 'Worker queue error', queue: name, error: err.message });
+  });
+  if (name === 'extraction') {
+    queue.on('completed', (job) => {
+      logger.info({ msg: 'Job completed', jobId: job.id });
+    });
+    queue.on('failed', (job, err) => {
+      logger.error({ msg: 'Job failed', jobId: job.id, error: err.message });
+    });
+  }
+  queue.process(concurrency, PROCESSORS[name]());
+  workers[name] = { queue, concurrency };
+
+  if (previous) {
+    logger.info({ msg: 'Worker concurrency changed', queue: name, from: previous.concurrency, to: concurrency });
+    retiringWorkers.add(previous.queue);
+    previous.queue.close()
+      .catch(err => logger.warn({ msg: 'Could not close retired worker', queue: name, error: err.message }))
+      .finally(() => retiringWorkers.delete(previous.queue));
+  }
+}
+
+// Apply concurrency changes published by the admin API (setConcurrency)
+async function followConcurrencyChanges() {
+  concurrencySubscriber = extractionQueue.client.duplicate();
+  concurrencySubscriber.on('error', (err) => {
+    logger.error({ msg: 'Concurrency subscriber error', error: err.message });
+  });
+  concurrencySubscriber.on('message', (channel, message) => {
+    const { queue: name, concurrency } = JSON.parse(message);
+    if (!QUEUE_NAMES[name]) return;
+    startWorker(name, concurrency || defaultConcurrency(name))
+      .catch(err => logger.error({ msg: 'Could not change worker concurrency', queue: name, error: err.message }));
+  });
+  await concurrencySubscriber.subscribe(CONCURRENCY_CHANNEL);
+}
+
+/**
+ * Stop taking new jobs in this process, give in-flight ones up to drainTimeoutMs
+ * to finish, then disconnect. Jobs still running after that are left to Bull's
+ * stalled-job check, which hands them to another worker once their lock expires.
+ * Returns true when everything finished in time.
+ */
+async function closeQueue({ drainTimeoutMs = 0 } = {}) {
+  const queues = [
+    extractionQueue, pageQueue, webhookQueue,
+    ...Object.values(workers).map(w => w.queue), ...retiringWorkers,
+  ].filter(Boolean);
+  if (queues.length === 0) return true;
+
+  if (concurrencySubscriber) {
+    concurrencySubscriber.disconnect();
+    concurrencySubscriber = null;
+  }
+
+  // Local pause only: workers in other processes keep consuming
+  await Promise.all(queues.map(q => q.pause(true, true)));
+
+  let timer;
+  const drained = await Promise.race([
+    Promise.all(queues.map(q => q.whenCurrentJobsFinished())).then(() => true),
+    new Promise(resolve => { timer = setTimeout(() => resolve(false), drainTimeoutMs); }),
+  ]);
+  clearTimeout(timer);
+
+  await Promise.all(queues.map(q => q.close(!drained)));
+  extractionQueue = null;
+  pageQueue = null;
+  webhookQueue = null;
+  workers = {};
+  retiringWorkers = new Set();
+  return drained;
+}
+
 function getQueue() {
   if (!extractionQueue) throw new Error('Queue not initialized');
   return extractionQueue;
 }
 
+/**
+ * The Bull queue behind an admin-facing name (extraction | pages | webhooks)
+ */
+function getQueueByName(name) {
+  const queue = { extraction: extractionQueue, pages: pageQueue, webhooks: webhookQueue }[name];
+  if (!queue) throw new Error(`Queue ${name} not initialized`);
+  return queue;
+}
+
+/**
+ * Set the concurrency of a queue on every worker process, now and after
+ * restarts. null drops the override, back to MAX_WORKERS and friends.
+ * Returns the number of worker processes that received the change.
+ */
+async function setConcurrency(name, concurrency) {
+  const { client } = getQueueByName(name);
+  if (concurrency === null) await client.hdel(CONCURRENCY_KEY, name);
+  else await client.hset(CONCURRENCY_KEY, name, concurrency);
+  return client.publish(CONCURRENCY_CHANNEL, JSON.stringify({ queue: name, concurrency }));
+}
+
+/**
+ * Concurrency overrides per queue (null where the env default applies) and
+ * the number of worker processes listening for changes.
+ */
+async function getConcurrency() {
+  const { client } = getQueue();
+  const overrides = await client.hgetall(CONCURRENCY_KEY);
+  const [, workerProcesses] = await client.pubsub('NUMSUB', CONCURRENCY_CHANNEL);
+  const concurrency = {};
+  for (const name of Object.keys(QUEUE_NAMES)) concurrency[name] = parseInt(overrides[name]) || null;
+  return { concurrency, workerProcesses: Number(workerProcesses) };
+}
+
 async function addJob(data, opts = {}) {
   const queue = getQueue();
   const job = await queue.add(data, {
@@ -54,4 +219,189 @@ async function addJob(data, opts = {}) {
   return job;
 }
 
-module.exports = { initQueue, getQueue, addJob };
+/**
+ * Queue one webhook delivery; retried with exponential backoff
+ * (10s, 20s, 40s, ...) up to WEBHOOK_MAX_ATTEMPTS.
+ */
+async function addWebhookDelivery(data) {
+  if (!webhookQueue) throw new Error('Webhook queue not initialized');
+  return webhookQueue.add(data, {
+    attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    backoff: { type: 'exponential', delay: 10000 },
+    removeOnComplete: { age: parseInt(process.env.JOB_RETENTION) || 604800 },
+    removeOnFail: { age: parseInt(process.env.JOB_RETENTION) || 604800 },
+  });
+}
+
+/**
+ * OCR one page of a scanned document (see pageProcessor). Completed page jobs
+ * are dropped after an hour; their text has been collected by then.
+ */
+async function addPageJob(data) {
+  if (!pageQueue) throw new Error('Page queue not initialized');
+  return pageQueue.add(data, {
+    attempts: 2,
+    backoff: { type: 'exponential', delay: 2000 },
+    timeout: parseInt(process.env.PAGE_TIMEOUT) || 120000,
+    removeOnComplete: { age: 3600 },
+    removeOnFail: { age: parseInt(process.env.JOB_RETENTION) || 604800 },
+  });
+}
+
+// How often a wait re-reads the job's state, in case it missed the event
+const FINISH_POLL_MS = 5000;
+
+/**
+ * The next outcome of a Bull job: { state: 'completed', value },
+ * { state: 'failed', error } or, after timeoutMs (null = no limit),
+ * { state: 'timeout' }. Unlike Bull's job.finished(), every listener and
+ * timer is dropped as soon as the wait ends, so a wait that times out leaves
+ * nothing attached to the queue.
+ */
+function nextOutcome(job, timeoutMs) {
+  const { queue } = job;
+  return new Promise((resolve) => {
+    let settled = false;
+    let timer = null;
+    let poll = null;
+
+    const isThisJob = jobId => String(jobId) === String(job.id);
+    const onCompleted = (jobId, value) => {
+      if (!isThisJob(jobId)) return;
+      let parsed;
+      try { parsed = typeof value === 'string' ? JSON.parse(value) : value; } catch { parsed = undefined; }
+      finish({ state: 'completed', value: parsed });
+    };
+    const onFailed = (jobId, reason) => {
+      if (isThisJob(jobId)) finish({ state: 'failed', error: reason });
+    };
+    // The job may have finished before the listeners were subscribed
+    const checkState = async () => {
+      try {
+        const state = await job.getState();
+        if (state !== 'completed' && state !== 'failed') return;
+        const fresh = await queue.getJob(job.id);
+        finish(state === 'completed'
+          ? { state: 'completed', value: fresh?.returnvalue }
+          : { state: 'failed', error: fresh?.failedReason });
+      } catch (err) {
+        logger.debug({ msg: 'Could not read job state while waiting', jobId: job.id, error: err.message });
+      }
+    };
+
+    function finish(outcome) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearInterval(poll);
+      queue.removeListener('global:completed', onCompleted);
+      queue.removeListener('global:failed', onFailed);
+      resolve(outcome);
+    }
+
+    queue.on('global:completed', onCompleted);
+    queue.on('global:failed', onFailed);
+    if (timeoutMs !== null) timer = setTimeout(() => finish({ state: 'timeout' }), timeoutMs);
+    poll = setInterval(checkState, FINISH_POLL_MS);
+    checkState();
+  });
+}
+
+/**
+ * Wait for a Bull job, for at most timeoutMs (no limit when omitted).
+ * Resolves { state: 'completed', value } | { state: 'failed', error } | { state: 'timeout' }.
+ * A failed attempt that Bull will retry does not end the wait.
+ */
+async function waitForFinish(job, timeoutMs = null) {
+  const deadline = timeoutMs === null ? null : Date.now() + timeoutMs;
+  for (;;) {
+    const remaining = deadline === null ? null : deadline - Date.now();
+    if (remaining !== null && remaining <= 0) return { state: 'timeout' };
+
+    const outcome = await nextOutcome(job, remaining);
+    if (outcome.state !== 'failed') return outcome;
+    const state = await job.getState();
+    if (state === 'failed' || state === 'stuck') return outcome;
+    // Retry scheduled (delayed/waiting): keep waiting for the next attempt
+  }
+}
+
+/**
+ * Wait for an extraction job to finish, for at most timeoutMs.
+ * Resolves { state: 'completed' | 'failed' | 'timeout' | 'missing', error? }.
+ */
+async function waitForJob(queueJobId, timeoutMs) {
+  const job = await getQueue().getJob(queueJobId);
+  if (!job) return { state: 'missing' };
+  return waitForFinish(job, timeoutMs);
+}
+
+/**
+ * Wait for a page job to finish. A failure carries the error code the page
+ * worker recorded, since Bull itself only keeps the message.
+ */
+async function waitForPageJob(pageJob) {
+  const outcome = await waitForFinish(pageJob);
+  if (outcome.state !== 'failed') return outcome;
+  const failed = await pageQueue.getJob(pageJob.id);
+  return { ...outcome, code: failed?.data.errorCode };
+}
+
+/**
+ * Current Bull state and last reported progress of a job, or null once Bull has removed it
+ */
+async function getJobSnapshot(queueJobId) {
+  const job = await getQueue().getJob(queueJobId);
+  if (!job) return null;
+  return { state: await job.getState(), progress: job.progress() };
+}
+
+/**
+ * 1-based place of a waiting extraction job in line (1 = starts next), or null
+ * when it is not waiting (active, delayed for a retry, finished or removed).
+ * Workers take jobs from the tail of Bull's wait list, or of the paused list
+ * while the queue is paused.
+ */
+async function getQueuePosition(queueJobId) {
+  const queue = getQueue();
+  for (const key of [queue.keys.wait, queue.keys.paused]) {
+    const index = await queue.client.lpos(key, String(queueJobId));
+    if (index !== null) return (await queue.client.llen(key)) - index;
+  }
+  return null;
+}
+
+/**
+ * Remove a job that no worker has picked up yet (waiting, delayed or paused).
+ * Returns false when the job is already active or finished; a running job
+ * has to be stopped by the worker itself.
+ */
+async function removeQueuedJob(queueJobId, queue = getQueue()) {
+  const job = await queue.getJob(queueJobId);
+  if (!job) return false;
+
+  const state = await job.getState();
+  if (!['waiting', 'delayed', 'paused'].includes(state)) return false;
+
+  try {
+    await job.remove();
+    return true;
+  } catch (err) {
+    // Picked up by a worker between getState() and remove()
+    logger.warn({ msg: 'Could not remove queued job', queueJobId, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Drop the page jobs of a document that no worker has started yet
+ */
+async function removeQueuedPageJobs(pageJobs) {
+  if (!pageQueue) return;
+  await Promise.all(pageJobs.map(job => removeQueuedJob(job.id, pageQueue)));
+}
+
+module.exports = {
+  QUEUE_NAMES, initQueue, closeQueue, getQueue, getQueueByName, setConcurrency, getConcurrency, addJob, addPageJob, addWebhookDelivery,
+  waitForJob, waitForPageJob, getJobSnapshot, getQueuePosition, removeQueuedJob, removeQueuedPageJobs,
+};
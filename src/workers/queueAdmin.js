@@ -0,0 +1,86 @@
+'use strict';
+
+const { QUEUE_NAMES, getQueueByName, getConcurrency } = require('./queue');
+
+// Bull states the admin API can list; `paused` holds waiting jobs while the queue is paused
+const JOB_STATES = ['waiting', 'active', 'delayed', 'paused', 'failed', 'completed'];
+
+// States that can be cleaned out of Redis
+const CLEANABLE_STATES = ['completed', 'failed'];
+
+const isoTime = ms => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * Admin view of a Bull job. The sealed PDF password (encryptedPassword)
+ * is left out of the payload.
+ */
+function describeJob(job, state = null) {
+  const { encryptedPassword, ...data } = job.data;
+  return {
+    id: String(job.id),
+    state,
+    data,
+    progress: job.progress(),
+    attempts_made: job.attemptsMade,
+    attempts: job.opts.attempts ?? 1,
+    delay_until: job.opts.delay ? isoTime(job.timestamp + job.opts.delay) : null,
+    failed_reason: job.failedReason ?? null,
+    created_at: isoTime(job.timestamp),
+    processed_at: isoTime(job.processedOn),
+    finished_at: isoTime(job.finishedOn),
+  };
+}
+
+/**
+ * Counts and paused flag of every queue, plus concurrency overrides
+ */
+async function getQueueOverview() {
+  const { concurrency, workerProcesses } = await getConcurrency();
+  const queues = {};
+  for (const name of Object.keys(QUEUE_NAMES)) {
+    const queue = getQueueByName(name);
+    const [counts, paused] = await Promise.all([queue.getJobCounts(), queue.isPaused()]);
+    queues[name] = { bull_name: QUEUE_NAMES[name], paused, counts, concurrency_override: concurrency[name] };
+  }
+  return { queues, worker_processes: workerProcesses };
+}
+
+async function listQueueJobs(name, state, { start = 0, limit = 20 } = {}) {
+  const jobs = await getQueueByName(name).getJobs([state], start, start + limit - 1, state !== 'completed' && state !== 'failed');
+  return jobs.filter(Boolean).map(job => describeJob(job, state));
+}
+
+async function getQueueJob(name, id) {
+  const job = await getQueueByName(name).getJob(id);
+  if (!job) return null;
+  return describeJob(job, await job.getState());
+}
+
+/**
+ * Move delayed jobs to waiting now: one job by id, else up to `limit` of them.
+ * Returns the ids promoted.
+ */
+async function promoteDelayedJobs(name, { id = null, limit = 100 } = {}) {
+  const queue = getQueueByName(name);
+  const jobs = id ? [await queue.getJob(id)] : await queue.getDelayed(0, limit - 1);
+  const promoted = [];
+  for (const job of jobs) {
+    if (!job || (await job.getState()) !== 'delayed') continue;
+    await job.promote();
+    promoted.push(String(job.id));
+  }
+  return promoted;
+}
+
+/**
+ * Remove completed or failed entries older than graceMs from Redis.
+ * MySQL job rows (and the dead-letter view) are not touched.
+ */
+async function cleanQueue(name, state, { graceMs = 0, limit = 0 } = {}) {
+  const removed = await getQueueByName(name).clean(graceMs, state, limit);
+  return removed.length;
+}
+
+module.exports = {
+  JOB_STATES, CLEANABLE_STATES, getQueueOverview, listQueueJobs, getQueueJob, promoteDelayedJobs, cleanQueue,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { assertPublicHost, publicLookup } = require('../utils/network');
+const { getJob, getClientWebhook, insertWebhookDelivery } = require('../db/models');
+const { addWebhookDelivery } = require('./queue');
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", keyed by WEBHOOK_SECRET.
+ * The timestamp is signed too so receivers can reject replays.
+ * Header value: t=<unix seconds>,v1=<hex digest>
+ */
+function signPayload(body, timestamp, secret = process.env.WEBHOOK_SECRET) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Queue the outcome webhook for a finished job. The target is the upload's
+ * callback_url, else the default webhook of the API key that queued it.
+ * Never throws: a webhook problem must not fail the extraction job.
+ */
+async function notifyJobFinished(jobId, { status, documentType, confidence, errorMessage } = {}) {
+  try {
+    const job = await getJob(jobId);
+    if (!job) return;
+
+    let url = job.callback_url;
+    if (!url && job.client_id) url = (await getClientWebhook(job.client_id))?.url;
+    if (!url) return;
+
+    if (!process.env.WEBHOOK_SECRET) {
+      logger.warn({ msg: 'Skipping webhook: WEBHOOK_SECRET is not set', jobId });
+      return;
+    }
+
+    const event = status === 'success' ? 'job.completed' : 'job.failed';
+    const payload = {
+      event,
+      job_id: jobId,
+      document_id: job.document_id,
+      status,
+      document_type: documentType ?? null,
+      confidence: confidence ?? null,
+      result_url: `${process.env.PUBLIC_BASE_URL || ''}/api/v1/jobs/${jobId}/result`,
+      ...(errorMessage ? { error_message: errorMessage } : {}),
+      occurred_at: new Date().toISOString(),
+    };
+
+    await addWebhookDelivery({ jobId, event, url, payload });
+    logger.info({ msg: 'Webhook queued', jobId, event });
+  } catch (err) {
+    logger.error({ msg: 'Could not queue webhook', jobId, error: err.message });
+  }
+}
+
+/**
+ * Bull processor for the webhook-delivery queue. Any non-2xx response or
+ * network error throws so Bull retries with exponential backoff; a target
+ * that now resolves to a non-public address is not retried.
+ * Every attempt is recorded in webhook_deliveries.
+ */
+async function deliverWebhook(bullJob) {
+  const { jobId, event, url, payload } = bullJob.data;
+  const body = JSON.stringify(payload);
+  const attempt = bullJob.attemptsMade + 1;
+  const started = Date.now();
+  let responseStatus = null;
+  let errorMessage = null;
+  let errorCode = 'WEBHOOK_DELIVERY_FAILED';
+
+  try {
+    // Checked again on every attempt: DNS may have changed since the URL was stored
+    await assertPublicHost(new URL(url).hostname);
+    const response = await axios.post(url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ocr-extraction-engine-webhook/1.0',
+        'X-OCR-Event': event,
+        'X-OCR-Delivery': String(bullJob.id),
+        'X-OCR-Signature': signPayload(body, Math.floor(Date.now() / 1000)),
+      },
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: () => true,
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Receiver responded with HTTP ${response.status}`);
+    }
+  } catch (err) {
+    errorMessage = err.message;
+    if (err.code === 'WEBHOOK_TARGET_BLOCKED' || err.cause?.code === 'WEBHOOK_TARGET_BLOCKED') errorCode = 'WEBHOOK_TARGET_BLOCKED';
+  }
+
+  await insertWebhookDelivery({
+    id: uuidv4(),
+    job_id: jobId,
+    event,
+    url,
+    attempt,
+    success: !errorMessage,
+    response_status: responseStatus,
+    error_message: errorMessage ? errorMessage.slice(0, 1024) : null,
+    duration_ms: Date.now() - started,
+  }).catch(err => logger.error({ msg: 'Could not record webhook delivery', jobId, error: err.message }));
+
+  if (errorMessage) {
+    logger.warn({ msg: 'Webhook delivery failed', jobId, event, attempt, error: errorMessage, code: errorCode });
+    if (errorCode === 'WEBHOOK_TARGET_BLOCKED') await bullJob.discard();
+    throw Object.assign(new Error(errorMessage), { code: errorCode });
+  }
+  logger.info({ msg: 'Webhook delivered', jobId, event, attempt, status: responseStatus });
+}
+
+module.exports = { signPayload, notifyJobFinished, deliverWebhook };
@@ -22,22 +22,52 @@ jest.mock('../src/workers/queue', () => ({
   initQueue: jest.fn().mockResolvedValue({}),
   getQueue: jest.fn().mockReturnValue({ add: jest.fn().mockResolvedValue({ id: '1' }) }),
   addJob: jest.fn().mockResolvedValue({ id: '1' }),
+  waitForJob: jest.fn().mockResolvedValue({ state: 'timeout' }),
+  removeQueuedJob: jest.fn().mockResolvedValue(false),
+  getJobSnapshot: jest.fn().mockResolvedValue(null),
+  getQueuePosition: jest.fn().mockResolvedValue(null),
+  QUEUE_NAMES: { extraction: 'document-extraction', pages: 'page-ocr', webhooks: 'webhook-delivery' },
+  getQueueByName: jest.fn(),
+  setConcurrency: jest.fn().mockResolvedValue(2),
+  getConcurrency: jest.fn().mockResolvedValue({ concurrency: { extraction: null, pages: null, webhooks: null }, workerProcesses: 2 }),
 }));
 
 jest.mock('../src/db/models', () => ({
   insertDocument: jest.fn().mockResolvedValue(),
   getDocument: jest.fn().mockResolvedValue(null),
+  findCompletedDocumentByChecksum: jest.fn().mockResolvedValue(null),
+  insertBatch: jest.fn().mockResolvedValue(),
+  getBatch: jest.fn().mockResolvedValue(null),
+  listBatchDocuments: jest.fn().mockResolvedValue([]),
+  getBatchResults: jest.fn().mockResolvedValue([]),
   updateDocumentStatus: jest.fn().mockResolvedValue(),
   insertJob: jest.fn().mockResolvedValue(),
+  countOutstandingJobs: jest.fn().mockResolvedValue(0),
   getJob: jest.fn().mockResolvedValue(null),
   getJobByDocumentId: jest.fn().mockResolvedValue(null),
   updateJobStatus: jest.fn().mockResolvedValue(),
+  recordJobFailure: jest.fn().mockResolvedValue(),
+  listDeadLetterJobs: jest.fn().mockResolvedValue([]),
+  countDeadLetterJobs: jest.fn().mockResolvedValue(0),
+  claimDeadLetterJob: jest.fn().mockResolvedValue(true),
+  updateJobQueueId: jest.fn().mockResolvedValue(),
+  cancelJob: jest.fn().mockResolvedValue(true),
   listJobs: jest.fn().mockResolvedValue([]),
+  listDocuments: jest.fn().mockResolvedValue([]),
   insertResult: jest.fn().mockResolvedValue(),
   getResultByJobId: jest.fn().mockResolvedValue(null),
   getResultByDocumentId: jest.fn().mockResolvedValue(null),
+  getResultVersion: jest.fn().mockResolvedValue(null),
+  listResultVersions: jest.fn().mockResolvedValue([]),
+  getClientWebhook: jest.fn().mockResolvedValue(null),
+  upsertClientWebhook: jest.fn().mockResolvedValue(),
+  deleteClientWebhook: jest.fn().mockResolvedValue(false),
+  listWebhookDeliveries: jest.fn().mockResolvedValue([]),
   insertArtifact: jest.fn().mockResolvedValue(),
   getArtifactsByJobId: jest.fn().mockResolvedValue([]),
+  saveCheckpoint: jest.fn().mockResolvedValue(),
+  getCheckpoint: jest.fn().mockResolvedValue(null),
+  listPageCheckpoints: jest.fn().mockResolvedValue([]),
 }));
 
 let app;
@@ -54,6 +84,11 @@ describe('GET /health', () => {
     expect(res.body).toHaveProperty('status');
     expect(res.body).toHaveProperty('timestamp');
   });
+
+  it('reports the process mode', async () => {
+    const res = await request(app).get('/health');
+    expect(res.body.mode).toBe('all');
+  });
 });
 
 describe('POST /api/v1/documents/upload', () => {
@@ -70,20 +105,979 @@ describe('POST /api/v1/documents/upload', () => {
       .attach('file', txtFile);
     expect(res.status).toBe(400);
   });
+
+  it('accepts PNG image uploads', async () => {
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .attach('file', png, { filename: 'statement-photo.png', contentType: 'image/png' });
+    expect(res.status).toBe(202);
+    expect(res.body).toHaveProperty('job_id');
+  });
+});
+
+describe('POST /api/v1/documents/upload with a PDF password', () => {
+  const { addJob } = require('../src/workers/queue');
+  const { decryptSecret } = require('../src/utils/secrets');
+
+  it('passes the password to the job encrypted, never in plaintext', async () => {
+    addJob.mockClear();
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('password', 'ABCDE1234F')
+      .attach('file', Buffer.from('%PDF-1.4\n%%EOF\n'), { filename: 'estatement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(202);
+
+    const jobData = addJob.mock.calls[0][0];
+    expect(JSON.stringify(jobData)).not.toContain('ABCDE1234F');
+    expect(decryptSecret(jobData.encryptedPassword)).toBe('ABCDE1234F');
+  });
+});
+
+describe('POST /api/v1/documents/upload with processing options', () => {
+  const { addJob } = require('../src/workers/queue');
+  const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+  beforeEach(() => addJob.mockClear());
+
+  it('validates the options and carries them in the job data', async () => {
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('document_type', 'bank_statement')
+      .field('dpi', '300')
+      .field('lang', 'eng+hin')
+      .field('psm', '4')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(202);
+    expect(addJob.mock.calls[0][0].options).toEqual({ document_type: 'bank_statement', dpi: 300, lang: 'eng+hin', psm: 4 });
+  });
+
+  it('returns 400 INVALID_OPTIONS for out-of-range or unsafe values', async () => {
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('dpi', '5000')
+      .field('lang', 'eng; rm -rf /')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_OPTIONS');
+    expect(addJob).not.toHaveBeenCalled();
+  });
+
+  it('omits options from the job data when none are sent', async () => {
+    await request(app)
+      .post('/api/v1/documents/upload')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(addJob.mock.calls[0][0]).not.toHaveProperty('options');
+  });
+});
+
+describe('Job priority and fair scheduling', () => {
+  const models = require('../src/db/models');
+  const { addJob } = require('../src/workers/queue');
+  const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+  const uploadPdf = req => req.attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+
+  beforeEach(() => {
+    addJob.mockClear();
+    models.insertJob.mockClear();
+    models.countOutstandingJobs.mockClear();
+  });
+
+  it('queues single uploads at normal priority, weighted by the client backlog', async () => {
+    models.countOutstandingJobs.mockResolvedValueOnce(5);
+    const res = await uploadPdf(request(app).post('/api/v1/documents/upload').set('X-Tenant-Id', 'acme-42'));
+    expect(res.status).toBe(202);
+    expect(models.countOutstandingJobs).toHaveBeenCalledWith(expect.any(String), 'acme-42');
+    expect(addJob.mock.calls[0][1]).toEqual({ priority: 12 });
+    expect(models.insertJob).toHaveBeenCalledWith(expect.objectContaining({ priority: 'normal', queue_priority: 12, tenant_id: 'acme-42' }));
+  });
+
+  it('lets the client raise or lower the priority', async () => {
+    await uploadPdf(request(app).post('/api/v1/documents/upload').field('priority', 'high'));
+    expect(addJob.mock.calls[0][1]).toEqual({ priority: 1 });
+  });
+
+  it('defaults sync extract requests to high priority', async () => {
+    await uploadPdf(request(app).post('/api/v1/extract?wait=0'));
+    expect(models.insertJob).toHaveBeenCalledWith(expect.objectContaining({ priority: 'high', queue_priority: 1 }));
+  });
+
+  it('defaults batch uploads to low priority', async () => {
+    await request(app)
+      .post('/api/v1/documents/upload-batch')
+      .attach('files', pdf, { filename: 'a.pdf', contentType: 'application/pdf' });
+    expect(models.insertJob).toHaveBeenCalledWith(expect.objectContaining({ priority: 'low', queue_priority: 4 }));
+  });
+
+  it('rejects an unknown priority or a malformed tenant id', async () => {
+    const badPriority = await uploadPdf(request(app).post('/api/v1/documents/upload').field('priority', 'urgent'));
+    expect(badPriority.status).toBe(400);
+    expect(badPriority.body.code).toBe('INVALID_PRIORITY');
+
+    const badTenant = await uploadPdf(request(app).post('/api/v1/documents/upload').set('X-Tenant-Id', 'a b'));
+    expect(badTenant.status).toBe(400);
+    expect(badTenant.body.code).toBe('INVALID_TENANT');
+    expect(addJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/documents/upload with dedup enabled', () => {
+  const models = require('../src/db/models');
+  const { addJob } = require('../src/workers/queue');
+  const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+  beforeEach(() => {
+    process.env.DEDUP_ENABLED = 'true';
+    addJob.mockClear();
+  });
+
+  afterEach(() => {
+    delete process.env.DEDUP_ENABLED;
+  });
+
+  it('links a duplicate upload to the existing result', async () => {
+    models.findCompletedDocumentByChecksum.mockResolvedValueOnce({ id: 'original-doc', stored_path: '/tmp/original.pdf', page_count: 2 });
+    models.getResultByDocumentId.mockResolvedValueOnce({ job_id: 'original-job' });
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ duplicate: true, duplicate_of: 'original-doc', job_id: 'original-job' });
+    expect(addJob).not.toHaveBeenCalled();
+  });
+
+  it('queues the upload anyway when force=true', async () => {
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('force', 'true')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(202);
+    expect(res.body.duplicate).toBe(false);
+    expect(addJob).toHaveBeenCalled();
+  });
+
+  it('does not dedup password-protected PDFs, with or without the password', async () => {
+    const encryptedPdf = Buffer.from('%PDF-1.4\ntrailer\n<< /Root 1 0 R /Encrypt 5 0 R >>\n%%EOF\n');
+    models.findCompletedDocumentByChecksum.mockClear();
+    for (const password of [null, 'ABCDE1234F']) {
+      const req = request(app).post('/api/v1/documents/upload');
+      if (password) req.field('password', password);
+      const res = await req.attach('file', encryptedPdf, { filename: 'estatement.pdf', contentType: 'application/pdf' });
+      expect(res.status).toBe(202);
+      expect(res.body.duplicate).toBe(false);
+    }
+    expect(models.findCompletedDocumentByChecksum).not.toHaveBeenCalled();
+    expect(addJob).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not dedup uploads that carry processing options', async () => {
+    models.findCompletedDocumentByChecksum.mockClear();
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('dpi', '400')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(202);
+    expect(models.findCompletedDocumentByChecksum).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/v1/documents/:id/reprocess', () => {
+  const models = require('../src/db/models');
+  const { addJob } = require('../src/workers/queue');
+  const storedPath = '/tmp/ocr-test-uploads/stored.pdf';
+  const doc = { id: 'doc-1', original_name: 'statement.pdf', stored_path: storedPath, status: 'done', duplicate_of: null, deleted_at: null };
+
+  beforeAll(() => fs.writeFileSync(storedPath, '%PDF-1.4\n%%EOF\n'));
+  beforeEach(() => addJob.mockClear());
+
+  it('queues a new job against the stored file with the overrides', async () => {
+    models.getDocument.mockResolvedValueOnce(doc);
+    models.getJobByDocumentId.mockResolvedValueOnce({ id: 'old-job', status: 'success' });
+    const res = await request(app)
+      .post('/api/v1/documents/doc-1/reprocess')
+      .send({ document_type: 'tax_statement', dpi: 300 });
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ document_id: 'doc-1', status: 'queued' });
+    expect(addJob.mock.calls[0][0]).toMatchObject({
+      documentId: 'doc-1',
+      filePath: storedPath,
+      options: { document_type: 'tax_statement', dpi: 300 },
+    });
+    expect(models.updateDocumentStatus).toHaveBeenCalledWith('doc-1', 'pending');
+  });
+
+  it('marks the document pending before its job can start', async () => {
+    models.getDocument.mockResolvedValueOnce(doc);
+    models.updateDocumentStatus.mockClear();
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess');
+    expect(res.status).toBe(202);
+    expect(models.updateDocumentStatus.mock.invocationCallOrder[0]).toBeLessThan(addJob.mock.invocationCallOrder[0]);
+  });
+
+  it('puts the document status back when the job cannot be queued', async () => {
+    models.getDocument.mockResolvedValueOnce(doc);
+    models.updateDocumentStatus.mockClear();
+    addJob.mockRejectedValueOnce(new Error('Redis unavailable'));
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess');
+    expect(res.status).toBe(500);
+    expect(models.updateDocumentStatus.mock.calls).toEqual([['doc-1', 'pending'], ['doc-1', 'done']]);
+  });
+
+  it('returns 409 while the document already has an unfinished job', async () => {
+    models.getDocument.mockResolvedValueOnce(doc);
+    models.getJobByDocumentId.mockResolvedValueOnce({ id: 'job-2', status: 'running' });
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DOCUMENT_BUSY');
+    expect(addJob).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 for a deduplicated document', async () => {
+    models.getDocument.mockResolvedValueOnce({ ...doc, duplicate_of: 'original-doc' });
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('DUPLICATE_DOCUMENT');
+  });
+
+  it('returns 410 when the stored file was removed', async () => {
+    models.getDocument.mockResolvedValueOnce({ ...doc, stored_path: '/tmp/ocr-test-uploads/gone.pdf' });
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess');
+    expect(res.status).toBe(410);
+    expect(res.body.code).toBe('FILE_NOT_AVAILABLE');
+  });
+
+  it('rejects an unknown rerun mode', async () => {
+    models.getDocument.mockResolvedValueOnce(doc);
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess').send({ rerun: 'ocr' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RERUN');
+  });
+
+  it('returns 409 for rerun=parse when no page text is checkpointed', async () => {
+    models.getDocument.mockResolvedValueOnce({ ...doc, checksum: 'abc' });
+    models.getJobByDocumentId.mockResolvedValueOnce({ id: 'old-job', status: 'success' });
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess').send({ rerun: 'parse' });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('CHECKPOINT_MISSING');
+    expect(addJob).not.toHaveBeenCalled();
+  });
+
+  it('queues a parser-only rerun from checkpoints after the file was removed', async () => {
+    models.getDocument.mockResolvedValueOnce({ ...doc, checksum: 'abc', stored_path: '/tmp/ocr-test-uploads/gone.pdf' });
+    models.getJobByDocumentId.mockResolvedValueOnce({ id: 'old-job', status: 'success' });
+    models.getCheckpoint.mockResolvedValueOnce({ isImage: false, isScanned: false, pageCount: 2 });
+    models.listPageCheckpoints.mockResolvedValueOnce([
+      { page_number: 1, payload: { text: 'a' } },
+      { page_number: 2, payload: { text: 'b' } },
+    ]);
+    const res = await request(app).post('/api/v1/documents/doc-1/reprocess').send({ rerun: 'parse' });
+    expect(res.status).toBe(202);
+    expect(addJob.mock.calls[0][0]).toMatchObject({ documentId: 'doc-1', rerun: 'parse' });
+  });
+});
+
+describe('GET /api/v1/documents/:id/results', () => {
+  const models = require('../src/db/models');
+
+  it('lists the result versions, newest first', async () => {
+    models.getDocument.mockResolvedValueOnce({ id: 'doc-1', duplicate_of: null });
+    models.listResultVersions.mockResolvedValueOnce([
+      { id: 'r2', job_id: 'j2', version: 2, document_type: 'bank_statement' },
+      { id: 'r1', job_id: 'j1', version: 1, document_type: 'bank_statement' },
+    ]);
+    const res = await request(app).get('/api/v1/documents/doc-1/results');
+    expect(res.status).toBe(200);
+    expect(res.body.latest_version).toBe(2);
+    expect(res.body.versions.map(v => v.version)).toEqual([2, 1]);
+  });
+
+  it('returns a specific version', async () => {
+    models.getDocument.mockResolvedValueOnce({ id: 'doc-1', duplicate_of: null });
+    models.getResultVersion.mockResolvedValueOnce({ version: 1, json_result: { document_type: 'bank_statement' } });
+    const res = await request(app).get('/api/v1/documents/doc-1/results/1');
+    expect(res.status).toBe(200);
+    expect(models.getResultVersion).toHaveBeenCalledWith('doc-1', 1);
+  });
+});
+
+describe('POST /api/v1/documents/upload-batch', () => {
+  const models = require('../src/db/models');
+  const { addJob } = require('../src/workers/queue');
+  const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+  it('keeps the files that are already queued when a later one fails', async () => {
+    const before = new Set(fs.readdirSync('/tmp/ocr-test-uploads'));
+    models.insertDocument.mockClear();
+    addJob.mockResolvedValueOnce({ id: '1' }).mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    const res = await request(app)
+      .post('/api/v1/documents/upload-batch')
+      .attach('files', pdf, { filename: 'a.pdf', contentType: 'application/pdf' })
+      .attach('files', pdf, { filename: 'b.pdf', contentType: 'application/pdf' })
+      .attach('files', pdf, { filename: 'c.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(500);
+    await new Promise(resolve => setTimeout(resolve, 50)); // unlinks are not awaited
+
+    const registered = models.insertDocument.mock.calls.map(([doc]) => doc.stored_path);
+    const left = fs.readdirSync('/tmp/ocr-test-uploads').filter(name => !before.has(name)).map(name => path.join('/tmp/ocr-test-uploads', name));
+    expect(left.sort()).toEqual([...registered].sort());
+    expect(left).toHaveLength(2);
+    left.forEach(file => fs.unlinkSync(file));
+  });
+});
+
+describe('POST /api/v1/documents/upload-zip', () => {
+  const yazl = require('yazl');
+
+  function zipBuffer(entries) {
+    return new Promise((resolve) => {
+      const zip = new yazl.ZipFile();
+      for (const [name, content] of entries) zip.addBuffer(Buffer.from(content), name);
+      zip.end();
+      const chunks = [];
+      zip.outputStream.on('data', c => chunks.push(c));
+      zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+  }
+
+  it('queues each supported member and returns a manifest', async () => {
+    const archive = await zipBuffer([['jan.pdf', '%PDF-1.4'], ['feb/scan.jpg', 'jpeg'], ['readme.txt', 'hi']]);
+    const res = await request(app)
+      .post('/api/v1/documents/upload-zip')
+      .attach('archive', archive, { filename: 'bundle.zip', contentType: 'application/zip' });
+    expect(res.status).toBe(202);
+    expect(res.body).toHaveProperty('batch_id');
+    expect(res.body.accepted).toBe(2);
+    expect(res.body.documents.map(d => d.filename)).toEqual(['jan.pdf', 'feb/scan.jpg']);
+    expect(res.body.documents[0]).toHaveProperty('job_id');
+    expect(res.body.skipped).toEqual([{ filename: 'readme.txt', reason: 'UNSUPPORTED_FILE_TYPE' }]);
+  });
+
+  it('keeps the files of members already queued when a later one fails', async () => {
+    const models = require('../src/db/models');
+    const { addJob } = require('../src/workers/queue');
+    const before = new Set(fs.readdirSync('/tmp/ocr-test-uploads'));
+    models.insertDocument.mockClear();
+    addJob.mockResolvedValueOnce({ id: '1' }).mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    const archive = await zipBuffer([['jan.pdf', '%PDF-1.4'], ['feb.pdf', '%PDF-1.4'], ['mar.pdf', '%PDF-1.4']]);
+    const res = await request(app)
+      .post('/api/v1/documents/upload-zip')
+      .attach('archive', archive, { filename: 'bundle.zip', contentType: 'application/zip' });
+    expect(res.status).toBe(500);
+    await new Promise(resolve => setTimeout(resolve, 50)); // unlinks are not awaited
+
+    // jan.pdf is queued and feb.pdf may be; mar.pdf never reached the queue
+    const registered = models.insertDocument.mock.calls.map(([doc]) => doc.stored_path);
+    expect(registered).toHaveLength(2);
+    const left = fs.readdirSync('/tmp/ocr-test-uploads').filter(name => !before.has(name)).map(name => path.join('/tmp/ocr-test-uploads', name));
+    expect(left.sort()).toEqual([...registered].sort());
+    left.forEach(file => fs.unlinkSync(file));
+  });
+
+  it('returns 400 for a non-ZIP upload', async () => {
+    const res = await request(app)
+      .post('/api/v1/documents/upload-zip')
+      .attach('archive', Buffer.from('%PDF-1.4'), { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/v1/batches/:id', () => {
+  const models = require('../src/db/models');
+
+  it('returns 404 for missing batch', async () => {
+    const res = await request(app).get('/api/v1/batches/non-existent-id');
+    expect(res.status).toBe(404);
+  });
+
+  it('aggregates document statuses into counts and progress', async () => {
+    models.getBatch.mockResolvedValueOnce({ id: 'b1', source: 'upload', name: null });
+    models.listBatchDocuments.mockResolvedValueOnce([
+      { document_id: 'd1', job_id: 'j1', original_name: 'a.pdf', status: 'done' },
+      { document_id: 'd2', job_id: 'j2', original_name: 'b.pdf', status: 'failed' },
+      { document_id: 'd3', job_id: 'j3', original_name: 'c.pdf', status: 'processing' },
+      { document_id: 'd4', job_id: 'j4', original_name: 'd.pdf', status: 'pending' },
+    ]);
+    const res = await request(app).get('/api/v1/batches/b1');
+    expect(res.status).toBe(200);
+    expect(res.body.counts).toEqual({ queued: 1, running: 1, succeeded: 1, failed: 1, cancelled: 0 });
+    expect(res.body.progress).toBe(50);
+    expect(res.body.status).toBe('running');
+    expect(res.body.documents).toHaveLength(4);
+  });
+});
+
+describe('POST /api/v1/extract', () => {
+  const models = require('../src/db/models');
+  const { waitForJob } = require('../src/workers/queue');
+  const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+  it('returns the result inline when the job completes within the wait', async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'j1', queue_job_id: '1', status: 'queued' });
+    waitForJob.mockResolvedValueOnce({ state: 'completed' });
+    models.getResultByJobId.mockResolvedValueOnce({ json_result: { document_type: 'bank_statement', confidence: 0.9 } });
+
+    const res = await request(app)
+      .post('/api/v1/extract?wait=10')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('success');
+    expect(res.body.result.document_type).toBe('bank_statement');
+    expect(waitForJob).toHaveBeenLastCalledWith('1', 10000);
+  });
+
+  it('falls back to 202 + job_id when the wait expires', async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'j1', queue_job_id: '1', status: 'running' });
+    waitForJob.mockResolvedValueOnce({ state: 'timeout' });
+
+    const res = await request(app)
+      .post('/api/v1/extract?wait=1')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(202);
+    expect(res.body).toHaveProperty('job_id');
+  });
+
+  it('returns 400 for an invalid wait', async () => {
+    const res = await request(app)
+      .post('/api/v1/extract?wait=soon')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(400);
+  });
 });
 
 describe('GET /api/v1/jobs', () => {
+  const models = require('../src/db/models');
+  const job = (id, created_at) => ({ id, status: 'success', created_at });
+
   it('returns job list', async () => {
     const res = await request(app).get('/api/v1/jobs');
     expect(res.status).toBe(200);
     expect(res.body).toHaveProperty('jobs');
     expect(Array.isArray(res.body.jobs)).toBe(true);
+    expect(res.body.next_cursor).toBeNull();
+  });
+
+  it('passes the validated filters to the query', async () => {
+    models.listJobs.mockClear();
+    const res = await request(app).get('/api/v1/jobs').query({
+      document_type: 'bank_statement', min_confidence: '0.5', max_confidence: '0.9',
+      created_since: '2024-01-01T00:00:00Z', filename: 'hdfc', warning_code: 'NO_TRANSACTIONS', limit: '10',
+    });
+    expect(res.status).toBe(200);
+    expect(models.listJobs).toHaveBeenCalledWith(expect.objectContaining({
+      document_type: 'bank_statement', min_confidence: 0.5, max_confidence: 0.9,
+      created_since: new Date('2024-01-01T00:00:00Z'), filename: 'hdfc', warning_code: 'NO_TRANSACTIONS',
+      limit: 11, cursor: null,
+    }));
+  });
+
+  it('returns a cursor that continues after the last job of the page', async () => {
+    models.listJobs.mockResolvedValueOnce([
+      job('job-3', '2024-01-03T00:00:00.000Z'), job('job-2', '2024-01-02T00:00:00.000Z'), job('job-1', '2024-01-01T00:00:00.000Z'),
+    ]);
+    const first = await request(app).get('/api/v1/jobs?limit=2');
+    expect(first.body.jobs.map(j => j.id)).toEqual(['job-3', 'job-2']);
+    expect(first.body.next_cursor).toEqual(expect.any(String));
+
+    models.listJobs.mockClear();
+    const second = await request(app).get('/api/v1/jobs').query({ limit: 2, cursor: first.body.next_cursor });
+    expect(second.status).toBe(200);
+    expect(models.listJobs.mock.calls[0][0].cursor).toEqual({ created_at: new Date('2024-01-02T00:00:00.000Z'), id: 'job-2' });
+  });
+
+  it('rejects invalid filters and cursors', async () => {
+    const badRange = await request(app).get('/api/v1/jobs?min_confidence=0.8&max_confidence=0.2');
+    expect(badRange.status).toBe(400);
+    expect(badRange.body.code).toBe('INVALID_FILTER');
+
+    const badStatus = await request(app).get('/api/v1/jobs?status=done');
+    expect(badStatus.body.code).toBe('INVALID_FILTER');
+
+    const badCursor = await request(app).get('/api/v1/jobs?cursor=not-a-cursor');
+    expect(badCursor.status).toBe(400);
+    expect(badCursor.body.code).toBe('INVALID_CURSOR');
+  });
+});
+
+describe('GET /api/v1/documents', () => {
+  const models = require('../src/db/models');
+
+  it('lists documents with document statuses and the shared filters', async () => {
+    models.listDocuments.mockClear();
+    models.listDocuments.mockResolvedValueOnce([{ id: 'doc-1', status: 'done', created_at: '2024-01-01T00:00:00.000Z' }]);
+    const res = await request(app).get('/api/v1/documents?status=done&error_code=OCR_ERROR');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ documents: [{ id: 'doc-1' }], limit: 20, next_cursor: null });
+    expect(models.listDocuments).toHaveBeenCalledWith(expect.objectContaining({ status: 'done', error_code: 'OCR_ERROR', limit: 21 }));
+  });
+
+  it('filters cancelled documents', async () => {
+    models.listDocuments.mockClear();
+    models.listDocuments.mockResolvedValueOnce([]);
+    const res = await request(app).get('/api/v1/documents?status=cancelled');
+    expect(res.status).toBe(200);
+    expect(models.listDocuments).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }));
+  });
+
+  it('rejects job statuses', async () => {
+    const res = await request(app).get('/api/v1/documents?status=success');
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_FILTER');
   });
 });
 
 describe('GET /api/v1/jobs/:id', () => {
+  const models = require('../src/db/models');
+  const { getQueuePosition } = require('../src/workers/queue');
+
   it('returns 404 for missing job', async () => {
     const res = await request(app).get('/api/v1/jobs/non-existent-id');
     expect(res.status).toBe(404);
   });
+
+  it('reports the priority and place in line of a queued job', async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'job-1', queue_job_id: '31', status: 'queued', priority: 'high', queue_priority: 3 });
+    getQueuePosition.mockResolvedValueOnce(4);
+    const res = await request(app).get('/api/v1/jobs/job-1');
+    expect(res.body).toMatchObject({ priority: 'high', queue_priority: 3, queue_position: 4 });
+    expect(getQueuePosition).toHaveBeenCalledWith('31');
+  });
+
+  it('has no queue position once the job has started', async () => {
+    getQueuePosition.mockClear();
+    models.getJob.mockResolvedValueOnce({ id: 'job-1', queue_job_id: '31', status: 'running', priority: 'normal', queue_priority: 2 });
+    const res = await request(app).get('/api/v1/jobs/job-1');
+    expect(res.body.queue_position).toBeNull();
+    expect(getQueuePosition).not.toHaveBeenCalled();
+  });
+});
+
+describe('DELETE /api/v1/jobs/:id', () => {
+  const models = require('../src/db/models');
+  const { removeQueuedJob } = require('../src/workers/queue');
+  const job = { id: 'job-1', document_id: 'doc-1', queue_job_id: '7', status: 'queued', stored_path: '/tmp/ocr-test-uploads/doc.pdf' };
+
+  beforeEach(() => {
+    models.cancelJob.mockClear();
+    models.updateDocumentStatus.mockClear();
+  });
+
+  it('returns 404 for missing job', async () => {
+    const res = await request(app).delete('/api/v1/jobs/non-existent-id');
+    expect(res.status).toBe(404);
+  });
+
+  it('removes a queued job from the queue and marks it cancelled', async () => {
+    models.getJob.mockResolvedValueOnce(job);
+    removeQueuedJob.mockResolvedValueOnce(true);
+    const res = await request(app).delete('/api/v1/jobs/job-1');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ job_id: 'job-1', status: 'cancelled' });
+    expect(removeQueuedJob).toHaveBeenCalledWith('7');
+    expect(models.cancelJob).toHaveBeenCalledWith('job-1', ['queued', 'running', 'failed']);
+    expect(models.updateDocumentStatus).toHaveBeenCalledWith('doc-1', 'cancelled');
+  });
+
+  it('flags a running job for the worker to stop', async () => {
+    models.getJob.mockResolvedValueOnce({ ...job, status: 'running' });
+    const res = await request(app).delete('/api/v1/jobs/job-1');
+    expect(res.status).toBe(202);
+    expect(res.body.status).toBe('cancelled');
+    expect(models.cancelJob).toHaveBeenCalledWith('job-1', ['queued', 'running']);
+  });
+
+  it('returns 409 for a job that already finished', async () => {
+    models.getJob.mockResolvedValueOnce({ ...job, status: 'success' });
+    models.cancelJob.mockResolvedValueOnce(false);
+    const res = await request(app).delete('/api/v1/jobs/job-1');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('JOB_NOT_CANCELLABLE');
+    expect(models.updateDocumentStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('Dead-letter jobs', () => {
+  const models = require('../src/db/models');
+  const { addJob } = require('../src/workers/queue');
+  const storedPath = '/tmp/ocr-test-uploads/dead-letter.pdf';
+  const deadJob = {
+    id: 'job-9', document_id: 'doc-9', queue_job_id: '12', status: 'failed', stored_path: storedPath,
+    original_name: 'statement.pdf', options: { lang: 'eng+hin' }, attempts: 2,
+    error_code: 'OCR_LANGUAGE_MISSING', failed_stage: 'ocr', error_message: '[OCR_LANGUAGE_MISSING] ...',
+    dead_lettered_at: '2024-01-15T10:31:10Z',
+  };
+
+  beforeAll(() => fs.writeFileSync(storedPath, '%PDF-1.4'));
+  afterAll(() => fs.unlinkSync(storedPath));
+  beforeEach(() => {
+    addJob.mockClear();
+    models.claimDeadLetterJob.mockClear();
+    models.updateJobQueueId.mockClear();
+    models.listDeadLetterJobs.mockClear();
+  });
+
+  it('lists dead-lettered jobs with filters', async () => {
+    models.listDeadLetterJobs.mockResolvedValueOnce([deadJob]);
+    models.countDeadLetterJobs.mockResolvedValueOnce(1);
+    const res = await request(app).get('/api/v1/jobs/dead-letter?error_code=OCR_LANGUAGE_MISSING&since=2024-01-15T00:00:00Z');
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.jobs[0].id).toBe('job-9');
+    expect(models.listDeadLetterJobs).toHaveBeenCalledWith(expect.objectContaining({
+      error_code: 'OCR_LANGUAGE_MISSING', since: new Date('2024-01-15T00:00:00Z'), limit: 20, offset: 0,
+    }));
+  });
+
+  it('rejects an invalid filter', async () => {
+    const res = await request(app).get('/api/v1/jobs/dead-letter?since=yesterday');
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_FILTER');
+  });
+
+  it('requeues one dead-lettered job with its original options', async () => {
+    models.getJob.mockResolvedValueOnce(deadJob);
+    addJob.mockResolvedValueOnce({ id: '40' });
+    const res = await request(app).post('/api/v1/jobs/job-9/retry');
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ job_id: 'job-9', status: 'queued' });
+    expect(addJob).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: 'job-9', filePath: storedPath, options: { lang: 'eng+hin' } }),
+      { priority: 2 }
+    );
+    expect(models.updateJobQueueId).toHaveBeenCalledWith('job-9', '40', 2);
+  });
+
+  it('returns 409 for a job that is not dead-lettered', async () => {
+    models.getJob.mockResolvedValueOnce({ ...deadJob, status: 'success', dead_lettered_at: null });
+    const res = await request(app).post('/api/v1/jobs/job-9/retry');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('JOB_NOT_RETRYABLE');
+    expect(addJob).not.toHaveBeenCalled();
+  });
+
+  it('requires the password to retry a password failure', async () => {
+    models.getJob.mockResolvedValueOnce({ ...deadJob, error_code: 'ENCRYPTED_PDF' });
+    const res = await request(app).post('/api/v1/jobs/job-9/retry');
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PASSWORD_REQUIRED');
+  });
+
+  it('bulk retries matching jobs and reports the ones it skipped', async () => {
+    const locked = { ...deadJob, id: 'job-10', error_code: 'INVALID_PDF_PASSWORD' };
+    models.listDeadLetterJobs.mockResolvedValueOnce([deadJob, locked]);
+    models.countDeadLetterJobs.mockResolvedValueOnce(2);
+    const res = await request(app)
+      .post('/api/v1/jobs/retry-failed')
+      .send({ error_code: 'OCR_LANGUAGE_MISSING', limit: 1000 });
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({ matched: 2, retried: ['job-9'], remaining: 0 });
+    expect(res.body.skipped).toEqual([expect.objectContaining({ job_id: 'job-10', code: 'PASSWORD_REQUIRED' })]);
+    expect(models.listDeadLetterJobs).toHaveBeenCalledWith({ error_code: 'OCR_LANGUAGE_MISSING', limit: 500, offset: 0 });
+  });
+
+  it('pages past jobs it cannot retry to reach the ones behind them', async () => {
+    const locked = [1, 2].map(n => ({ ...deadJob, id: `job-locked-${n}`, error_code: 'ENCRYPTED_PDF' }));
+    const retryable = [1, 2].map(n => ({ ...deadJob, id: `job-ok-${n}` }));
+    // The locked jobs stay at the head of the list; retried ones drop out of it
+    models.listDeadLetterJobs
+      .mockResolvedValueOnce(locked)
+      .mockResolvedValueOnce(retryable)
+      .mockResolvedValueOnce([]);
+    models.countDeadLetterJobs.mockResolvedValueOnce(4);
+    addJob.mockResolvedValueOnce({ id: '41' }).mockResolvedValueOnce({ id: '42' });
+
+    const res = await request(app).post('/api/v1/jobs/retry-failed').send({ limit: 2 });
+
+    expect(res.status).toBe(202);
+    expect(res.body.retried).toEqual(['job-ok-1', 'job-ok-2']);
+    expect(res.body.skipped.map(s => s.job_id)).toEqual(['job-locked-1', 'job-locked-2']);
+    expect(res.body.remaining).toBe(0);
+    expect(models.listDeadLetterJobs.mock.calls.map(([args]) => args.offset)).toEqual([0, 2]);
+  });
+});
+
+describe('GET /api/v1/jobs/:id/events', () => {
+  const models = require('../src/db/models');
+  const { getJobSnapshot } = require('../src/workers/queue');
+  const { publishJobEvent } = require('../src/workers/jobEvents');
+  const job = { id: 'job-1', document_id: 'doc-1', queue_job_id: '7', status: 'running' };
+
+  // [{ event, data }] from an SSE body
+  function parseEvents(text) {
+    return text.split('\n\n').filter(b => b.startsWith('event:')).map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+  }
+
+  it('returns 404 for missing job', async () => {
+    const res = await request(app).get('/api/v1/jobs/non-existent-id/events');
+    expect(res.status).toBe(404);
+  });
+
+  it('streams progress and new warnings until the job completes', async () => {
+    models.getJob
+      .mockResolvedValueOnce(job)
+      .mockResolvedValueOnce({ ...job, status: 'success' });
+    getJobSnapshot.mockImplementationOnce(async () => {
+      setImmediate(() => {
+        const scanned = { code: 'SCANNED_PDF', message: 'Document appears to be scanned. OCR applied.' };
+        publishJobEvent('7', { type: 'progress', progress: { percent: 47, stage: 'ocr', page: 2, pages: 3, warnings: [scanned] } });
+        publishJobEvent('7', { type: 'progress', progress: { percent: 58, stage: 'ocr', page: 3, pages: 3, warnings: [scanned] } });
+        publishJobEvent('7', { type: 'completed' });
+      });
+      return { state: 'active', progress: { percent: 35, stage: 'render', warnings: [] } };
+    });
+
+    const res = await request(app).get('/api/v1/jobs/job-1/events');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = parseEvents(res.text);
+    expect(events.map(e => e.event)).toEqual(['status', 'progress', 'progress', 'warning', 'progress', 'completed']);
+    expect(events[2].data).toEqual({ percent: 47, stage: 'ocr', page: 2, pages: 3 });
+    expect(events[3].data.code).toBe('SCANNED_PDF');
+    expect(events[5].data).toMatchObject({ job_id: 'job-1', status: 'success' });
+  });
+
+  it('keeps streaming through a failed attempt that will be retried', async () => {
+    models.getJob
+      .mockResolvedValueOnce(job)
+      .mockResolvedValueOnce({ ...job, status: 'failed', error_message: '[OCR_ERROR] boom' });
+    getJobSnapshot
+      .mockImplementationOnce(async () => {
+        setImmediate(() => publishJobEvent('7', { type: 'failed', error: 'timeout' }));
+        return { state: 'active', progress: null };
+      })
+      .mockImplementationOnce(async () => {
+        setImmediate(() => publishJobEvent('7', { type: 'failed', error: 'boom' }));
+        return { state: 'delayed' };
+      })
+      .mockResolvedValueOnce({ state: 'failed' });
+
+    const res = await request(app).get('/api/v1/jobs/job-1/events');
+    const events = parseEvents(res.text);
+    expect(events.map(e => e.event)).toEqual(['status', 'retrying', 'failed']);
+    expect(events[2].data.error_message).toBe('[OCR_ERROR] boom');
+  });
+
+  it('sends the outcome straight away for a finished job', async () => {
+    models.getJob
+      .mockResolvedValueOnce({ ...job, status: 'cancelled' })
+      .mockResolvedValueOnce({ ...job, status: 'cancelled' });
+    const res = await request(app).get('/api/v1/jobs/job-1/events');
+    expect(parseEvents(res.text)).toEqual([{ event: 'cancelled', data: { job_id: 'job-1', status: 'cancelled' } }]);
+  });
+});
+
+describe('Webhooks', () => {
+  const models = require('../src/db/models');
+  const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+
+  const dns = require('dns');
+
+  beforeEach(() => {
+    process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+    // backend.example.com is a public host
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+  afterEach(() => {
+    delete process.env.WEBHOOK_SECRET;
+    dns.promises.lookup.mockRestore();
+  });
+
+  it('stores a per-upload callback_url and the client id on the job', async () => {
+    models.insertJob.mockClear();
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('callback_url', 'https://backend.example.com/ocr-hook')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(202);
+    expect(models.insertJob.mock.calls[0][0]).toMatchObject({
+      callback_url: 'https://backend.example.com/ocr-hook',
+      client_id: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+  });
+
+  it('rejects a callback_url that is not http(s)', async () => {
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('callback_url', 'file:///etc/passwd')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_CALLBACK_URL');
+  });
+
+  it('rejects a callback_url on the internal network', async () => {
+    dns.promises.lookup.mockResolvedValueOnce([{ address: '10.0.3.7', family: 4 }]);
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:6379/', 'https://intranet.example.com/hook']) {
+      const res = await request(app)
+        .post('/api/v1/documents/upload')
+        .field('callback_url', url)
+        .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_CALLBACK_URL');
+    }
+
+    const put = await request(app).put('/api/v1/webhooks/default').set('x-api-key', 'client-key').send({ url: 'http://[::1]/hook' });
+    expect(put.status).toBe(400);
+  });
+
+  it('refuses callbacks when WEBHOOK_SECRET is not set', async () => {
+    delete process.env.WEBHOOK_SECRET;
+    const res = await request(app)
+      .post('/api/v1/documents/upload')
+      .field('callback_url', 'https://backend.example.com/ocr-hook')
+      .attach('file', pdf, { filename: 'statement.pdf', contentType: 'application/pdf' });
+    expect(res.status).toBe(503);
+    expect(res.body.code).toBe('WEBHOOKS_NOT_CONFIGURED');
+  });
+
+  it('registers, reads and removes the default webhook for the API key', async () => {
+    const put = await request(app)
+      .put('/api/v1/webhooks/default')
+      .set('x-api-key', 'client-key')
+      .send({ url: 'https://backend.example.com/default-hook' });
+    expect(put.status).toBe(200);
+    const [{ client_id: clientId }] = models.upsertClientWebhook.mock.calls.slice(-1)[0];
+    expect(clientId).toBe(require('crypto').createHash('sha256').update('client-key').digest('hex'));
+
+    models.getClientWebhook.mockResolvedValueOnce({ url: 'https://backend.example.com/default-hook' });
+    const get = await request(app).get('/api/v1/webhooks/default').set('x-api-key', 'client-key');
+    expect(get.body.url).toBe('https://backend.example.com/default-hook');
+
+    models.deleteClientWebhook.mockResolvedValueOnce(true);
+    const del = await request(app).delete('/api/v1/webhooks/default').set('x-api-key', 'client-key');
+    expect(del.status).toBe(204);
+  });
+
+  it('lists delivery attempts for a job', async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'job-1', callback_url: 'https://backend.example.com/ocr-hook' });
+    models.listWebhookDeliveries.mockResolvedValueOnce([
+      { attempt: 1, success: false, response_status: 502 },
+      { attempt: 2, success: true, response_status: 200 },
+    ]);
+    const res = await request(app).get('/api/v1/jobs/job-1/webhooks');
+    expect(res.status).toBe(200);
+    expect(res.body.deliveries).toHaveLength(2);
+  });
+});
+
+describe('/api/v1/admin/queue', () => {
+  const queueModule = require('../src/workers/queue');
+  const bullJob = (id, data, opts = {}) => ({
+    id, data, opts, attemptsMade: 0, timestamp: Date.parse('2024-01-15T10:30:00Z'),
+    progress: () => 0, getState: jest.fn().mockResolvedValue('delayed'), promote: jest.fn().mockResolvedValue(),
+  });
+  let fakeQueue;
+  const admin = req => req.set('X-Admin-Key', 'admin-secret');
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'admin-secret';
+    fakeQueue = {
+      pause: jest.fn().mockResolvedValue(),
+      resume: jest.fn().mockResolvedValue(),
+      isPaused: jest.fn().mockResolvedValue(false),
+      getJobCounts: jest.fn().mockResolvedValue({ waiting: 1, active: 0, delayed: 1, failed: 0, completed: 3 }),
+      getJobs: jest.fn().mockResolvedValue([]),
+      getJob: jest.fn().mockResolvedValue(null),
+      getDelayed: jest.fn().mockResolvedValue([]),
+      clean: jest.fn().mockResolvedValue(['1', '2']),
+    };
+    queueModule.getQueueByName.mockReset().mockReturnValue(fakeQueue);
+    queueModule.setConcurrency.mockClear();
+  });
+  afterAll(() => { delete process.env.ADMIN_API_KEY; });
+
+  it('is disabled until ADMIN_API_KEY is set', async () => {
+    delete process.env.ADMIN_API_KEY;
+    const res = await request(app).get('/api/v1/admin/queue');
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects a wrong admin key', async () => {
+    const res = await request(app).get('/api/v1/admin/queue').set('X-Admin-Key', 'nope');
+    expect(res.status).toBe(401);
+  });
+
+  it('reports counts, paused state and concurrency overrides per queue', async () => {
+    const res = await admin(request(app).get('/api/v1/admin/queue'));
+    expect(res.status).toBe(200);
+    expect(res.body.queues.extraction).toMatchObject({ paused: false, counts: { waiting: 1 }, concurrency_override: null });
+    expect(Object.keys(res.body.queues)).toEqual(['extraction', 'pages', 'webhooks']);
+    expect(res.body.worker_processes).toBe(2);
+  });
+
+  it('pauses and resumes a queue globally', async () => {
+    const paused = await admin(request(app).post('/api/v1/admin/queue/pause').send({ queue: 'pages' }));
+    expect(paused.body).toEqual({ queue: 'pages', paused: true });
+    expect(queueModule.getQueueByName).toHaveBeenCalledWith('pages');
+    expect(fakeQueue.pause).toHaveBeenCalledWith();
+
+    const resumed = await admin(request(app).post('/api/v1/admin/queue/resume'));
+    expect(resumed.body).toEqual({ queue: 'extraction', paused: false });
+    expect(fakeQueue.resume).toHaveBeenCalled();
+  });
+
+  it('lists jobs in a state with their payload, without the password', async () => {
+    fakeQueue.getJobs.mockResolvedValueOnce([bullJob('7', { jobId: 'job-1', encryptedPassword: 'enc:abc' }, { attempts: 2 })]);
+    const res = await admin(request(app).get('/api/v1/admin/queue/jobs?state=delayed&limit=5'));
+    expect(res.status).toBe(200);
+    expect(fakeQueue.getJobs).toHaveBeenCalledWith(['delayed'], 0, 4, true);
+    expect(res.body.jobs[0]).toMatchObject({ id: '7', state: 'delayed', attempts: 2, data: { jobId: 'job-1' } });
+    expect(res.body.jobs[0].data).not.toHaveProperty('encryptedPassword');
+    expect(JSON.stringify(res.body)).not.toContain('enc:abc');
+  });
+
+  it('shows one job without the password', async () => {
+    const job = bullJob('8', { jobId: 'job-2', encryptedPassword: 'enc:abc' });
+    job.getState = jest.fn().mockResolvedValue('waiting');
+    fakeQueue.getJob.mockResolvedValueOnce(job);
+    const res = await admin(request(app).get('/api/v1/admin/queue/jobs/8'));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: '8', state: 'waiting', data: { jobId: 'job-2' } });
+    expect(JSON.stringify(res.body)).not.toContain('enc:abc');
+  });
+
+  it('rejects an unknown state or queue', async () => {
+    const badState = await admin(request(app).get('/api/v1/admin/queue/jobs?state=stuck'));
+    expect(badState.status).toBe(400);
+    expect(badState.body.code).toBe('INVALID_ADMIN_REQUEST');
+    const badQueue = await admin(request(app).post('/api/v1/admin/queue/pause').send({ queue: 'emails' }));
+    expect(badQueue.status).toBe(400);
+  });
+
+  it('promotes a delayed job and reports jobs that are not delayed', async () => {
+    const job = bullJob('9', {});
+    fakeQueue.getJob.mockResolvedValueOnce(job);
+    const res = await admin(request(app).post('/api/v1/admin/queue/jobs/9/promote'));
+    expect(res.body.promoted).toEqual(['9']);
+    expect(job.promote).toHaveBeenCalled();
+
+    const missing = await admin(request(app).post('/api/v1/admin/queue/jobs/10/promote'));
+    expect(missing.status).toBe(409);
+    expect(missing.body.code).toBe('JOB_NOT_DELAYED');
+  });
+
+  it('cleans completed or failed entries only', async () => {
+    const res = await admin(request(app).post('/api/v1/admin/queue/clean').send({ state: 'failed', grace_ms: 60000 }));
+    expect(res.body).toEqual({ queue: 'extraction', state: 'failed', removed: 2 });
+    expect(fakeQueue.clean).toHaveBeenCalledWith(60000, 'failed', 0);
+
+    const active = await admin(request(app).post('/api/v1/admin/queue/clean').send({ state: 'active' }));
+    expect(active.status).toBe(400);
+  });
+
+  it('sets and clears the concurrency override', async () => {
+    const res = await admin(request(app).put('/api/v1/admin/queue/concurrency').send({ queue: 'pages', concurrency: 6 }));
+    expect(res.body).toEqual({ queue: 'pages', concurrency: 6, worker_processes: 2 });
+    expect(queueModule.setConcurrency).toHaveBeenCalledWith('pages', 6);
+
+    await admin(request(app).put('/api/v1/admin/queue/concurrency').send({ concurrency: null }));
+    expect(queueModule.setConcurrency).toHaveBeenLastCalledWith('extraction', null);
+
+    const zero = await admin(request(app).put('/api/v1/admin/queue/concurrency').send({ concurrency: 0 }));
+    expect(zero.status).toBe(400);
+  });
 });
@@ -0,0 +1,91 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yazl = require('yazl');
+const { extractZipArchive } = require('../src/extractors/archive');
+
+const limits = { maxEntries: 10, maxEntrySize: 1024 * 1024, maxTotalSize: 2 * 1024 * 1024, maxRatio: 100 };
+
+function buildZip(entries, { compress = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const zip = new yazl.ZipFile();
+    for (const [name, content] of entries) zip.addBuffer(Buffer.from(content), name, { compress });
+    zip.end();
+    const chunks = [];
+    zip.outputStream.on('data', c => chunks.push(c));
+    zip.outputStream.on('end', () => resolve(Buffer.concat(chunks)));
+    zip.outputStream.on('error', reject);
+  });
+}
+
+let workDir;
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-zip-test-'));
+});
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+async function writeZip(entries, opts) {
+  const zipPath = path.join(workDir, 'bundle.zip');
+  fs.writeFileSync(zipPath, await buildZip(entries, opts));
+  return zipPath;
+}
+
+describe('extractZipArchive', () => {
+  test('extracts supported members under random names and skips the rest', async () => {
+    const zipPath = await writeZip([
+      ['march/statement.pdf', '%PDF-1.4 march'],
+      ['scans/page.PNG', 'png bytes'],
+      ['notes.txt', 'hello'],
+      ['__MACOSX/._statement.pdf', 'resource fork'],
+    ]);
+
+    const { files, skipped } = await extractZipArchive(zipPath, workDir, limits);
+
+    expect(files.map(f => f.name)).toEqual(['march/statement.pdf', 'scans/page.PNG']);
+    expect(files[0].mimetype).toBe('application/pdf');
+    expect(files[1].mimetype).toBe('image/png');
+    for (const f of files) {
+      expect(path.dirname(f.path)).toBe(workDir);
+      expect(fs.readFileSync(f.path).length).toBe(f.size);
+    }
+    expect(skipped).toEqual([{ name: 'notes.txt', reason: 'UNSUPPORTED_FILE_TYPE' }]);
+  });
+
+  test('rejects entries that traverse out of the extraction directory', async () => {
+    // yazl refuses '..' paths, so patch a same-length name in the finished archive
+    const zip = await buildZip([['xx/evil.pdf', '%PDF-1.4']]);
+    const patched = Buffer.from(zip.toString('latin1').split('xx/evil.pdf').join('../evil.pdf'), 'latin1');
+    const zipPath = path.join(workDir, 'evil.zip');
+    fs.writeFileSync(zipPath, patched);
+
+    await expect(extractZipArchive(zipPath, workDir, limits)).rejects.toMatchObject({ code: 'ZIP_UNSAFE_ENTRY', status: 400 });
+    expect(fs.existsSync(path.join(path.dirname(workDir), 'evil.pdf'))).toBe(false);
+  });
+
+  test('rejects members with a zip-bomb compression ratio', async () => {
+    const zipPath = await writeZip([['bomb.pdf', Buffer.alloc(512 * 1024)]]);
+    await expect(extractZipArchive(zipPath, workDir, limits)).rejects.toMatchObject({ code: 'ZIP_SUSPICIOUS_RATIO' });
+  });
+
+  test('rejects archives with too many entries', async () => {
+    const entries = Array.from({ length: 11 }, (_, i) => [`doc${i}.pdf`, '%PDF-1.4']);
+    const zipPath = await writeZip(entries);
+    await expect(extractZipArchive(zipPath, workDir, limits)).rejects.toMatchObject({ code: 'ZIP_TOO_MANY_ENTRIES' });
+  });
+
+  test('rejects members larger than the per-file limit', async () => {
+    const zipPath = await writeZip([['big.pdf', Buffer.alloc(2 * 1024 * 1024, 7)]], { compress: false });
+    await expect(extractZipArchive(zipPath, workDir, limits)).rejects.toMatchObject({ code: 'ZIP_TOO_LARGE' });
+    expect(fs.readdirSync(workDir)).toEqual(['bundle.zip']);
+  });
+
+  test('rejects files that are not ZIP archives', async () => {
+    const zipPath = path.join(workDir, 'fake.zip');
+    fs.writeFileSync(zipPath, 'not a zip');
+    await expect(extractZipArchive(zipPath, workDir, limits)).rejects.toMatchObject({ code: 'INVALID_ZIP' });
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Minimal PDF writer for tests: Helvetica text placed at given positions,
+ * optionally encrypted with the standard security handler (RC4, 40-bit,
+ * revision 2) so pdf.js asks for the user password.
+ *
+ * pages: array of pages, each an array of [x, y, text] in PDF points.
+ */
+
+// Padding string of the standard security handler (PDF 1.7, 7.6.3.3)
+const PASSWORD_PAD = Buffer.from('28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A', 'hex');
+const PERMISSIONS = -44;
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+function rc4(key, data) {
+  const s = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) % 256;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) % 256;
+    j = (j + s[i]) % 256;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[n] = data[n] ^ s[(s[i] + s[j]) % 256];
+  }
+  return out;
+}
+
+function padPassword(password) {
+  return Buffer.concat([Buffer.from(password, 'latin1'), PASSWORD_PAD]).subarray(0, 32);
+}
+
+// /O and /U entries plus the file key for a user password and an empty owner password
+function securityEntries(password, fileId) {
+  const owner = rc4(md5(PASSWORD_PAD).subarray(0, 5), padPassword(password));
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(PERMISSIONS);
+  const key = md5(padPassword(password), owner, permissions, fileId).subarray(0, 5);
+  return { owner, user: rc4(key, PASSWORD_PAD), key };
+}
+
+function objectKey(fileKey, objectNumber) {
+  const suffix = Buffer.from([objectNumber & 0xff, (objectNumber >> 8) & 0xff, (objectNumber >> 16) & 0xff, 0, 0]);
+  return md5(fileKey, suffix).subarray(0, 10);
+}
+
+function buildPdf(pages, { password } = {}) {
+  const fileId = md5(Buffer.from('test-fixture'));
+  const security = password === undefined ? null : securityEntries(password, fileId);
+
+  // 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  pages.forEach((items, i) => {
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    const content = items.map(([x, y, text]) => `BT /F1 10 Tf ${x} ${y} Td (${text}) Tj ET\n`).join('');
+    objects.push({ stream: Buffer.from(content, 'latin1') });
+  });
+  if (security) {
+    objects.push(`<< /Filter /Standard /V 1 /R 2 /O <${security.owner.toString('hex')}> /U <${security.user.toString('hex')}> /P ${PERMISSIONS} >>`);
+  }
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  let length = chunks[0].length;
+  const push = (buffer) => { chunks.push(buffer); length += buffer.length; };
+  const offsets = objects.map((object, i) => {
+    const number = i + 1;
+    const offset = length;
+    if (object.stream) {
+      const data = security ? rc4(objectKey(security.key, number), object.stream) : object.stream;
+      push(Buffer.from(`${number} 0 obj\n<< /Length ${data.length} >>\nstream\n`));
+      push(data);
+      push(Buffer.from('\nendstream\nendobj\n'));
+    } else {
+      push(Buffer.from(`${number} 0 obj\n${object}\nendobj\n`));
+    }
+    return offset;
+  });
+
+  const xref = length;
+  const id = fileId.toString('hex');
+  const encrypt = security ? ` /Encrypt ${objects.length} 0 R` : '';
+  push(Buffer.from([
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /ID [<${id}> <${id}>]${encrypt} >>`,
+    'startxref',
+    String(xref),
+    '%%EOF',
+    '',
+  ].join('\n')));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { buildPdf };
@@ -0,0 +1,117 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { estimateSkew, straightenImage, preprocessImage } = require('../src/extractors/imageProcessor');
+const { parseOsd } = require('../src/extractors/ocr');
+
+// A page of "text lines" (black bars) turned clockwise by `angle` degrees
+function skewedPage(angle) {
+  let bars = '';
+  for (let row = 0; row < 20; row++) {
+    for (let col = 0; col < 8; col++) bars += `<rect x="${100 + col * 110}" y="${100 + row * 60}" width="${80 + (row * col) % 25}" height="14"/>`;
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1100" height="1400">
+    <rect width="100%" height="100%" fill="white"/><g transform="rotate(${angle} 550 700)">${bars}</g></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+let workDir;
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-image-test-'));
+});
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('estimateSkew', () => {
+  test.each([0, 3, -2.4])('measures a %s degree slope', async (angle) => {
+    expect(await estimateSkew(await skewedPage(angle))).toBeCloseTo(angle, 1);
+  });
+
+  test('returns 0 for a blank page', async () => {
+    const blank = await sharp({ create: { width: 400, height: 500, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    expect(await estimateSkew(blank)).toBe(0);
+  });
+});
+
+describe('straightenImage', () => {
+  test('levels a skewed page', async () => {
+    const pagePath = path.join(workDir, 'page.1.png');
+    fs.writeFileSync(pagePath, await skewedPage(4));
+
+    const result = await straightenImage(pagePath);
+
+    expect(result).toEqual({ imagePath: path.join(workDir, 'page.1_straight.png'), rotation: 0, skew: 4 });
+    expect(Math.abs(await estimateSkew(result.imagePath))).toBeLessThan(0.3);
+  });
+
+  test('applies the quarter turn from orientation detection', async () => {
+    const pagePath = path.join(workDir, 'page.1.png');
+    fs.writeFileSync(pagePath, await skewedPage(0));
+
+    const result = await straightenImage(pagePath, { rotate: 90 });
+
+    expect(result.rotation).toBe(90);
+    const { width, height } = await sharp(result.imagePath).metadata();
+    expect([width, height]).toEqual([1400, 1100]);
+  });
+
+  test('leaves a straight page alone', async () => {
+    const pagePath = path.join(workDir, 'page.1.png');
+    fs.writeFileSync(pagePath, await skewedPage(0));
+    expect(await straightenImage(pagePath)).toEqual({ imagePath: pagePath, rotation: 0, skew: 0 });
+    expect(fs.existsSync(path.join(workDir, 'page.1_straight.png'))).toBe(false);
+  });
+});
+
+describe('preprocessImage strategies', () => {
+  // Dark text on tinted paper with a pale watermark across it
+  async function watermarkedPage(width = 1100) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="1400">
+      <rect width="100%" height="100%" fill="#eeddcc"/>
+      <rect x="100" y="150" width="500" height="6" fill="#333333"/>
+      <rect x="100" y="600" width="800" height="200" fill="#dddddd"/></svg>`;
+    const pagePath = path.join(workDir, 'page.1.png');
+    fs.writeFileSync(pagePath, await sharp(Buffer.from(svg)).png().toBuffer());
+    return pagePath;
+  }
+  const pixel = async (file, x, y) => {
+    const { data, info } = await sharp(file).raw().toBuffer({ resolveWithObject: true });
+    return data[(y * info.width + x) * info.channels];
+  };
+
+  test('keeps the standard output name', async () => {
+    const pagePath = await watermarkedPage();
+    expect(await preprocessImage(pagePath)).toBe(path.join(workDir, 'page.1_processed.png'));
+  });
+
+  test.each(['binarize', 'background'])('%s drops the watermark and keeps the text', async (strategy) => {
+    const output = await preprocessImage(await watermarkedPage(), { strategy });
+    expect(output).toBe(path.join(workDir, `page.1_${strategy}.png`));
+    expect(await pixel(output, 300, 153)).toBeLessThan(100);
+    expect(await pixel(output, 500, 700)).toBe(255);
+  });
+
+  test('upscales only low-resolution renders', async () => {
+    const small = await preprocessImage(await watermarkedPage(), { strategy: 'upscale' });
+    expect((await sharp(small).metadata()).width).toBe(2200);
+    expect(await preprocessImage(await watermarkedPage(2400), { strategy: 'upscale' })).toBeNull();
+  });
+});
+
+describe('parseOsd', () => {
+  test('reads the rotation and script', () => {
+    const osd = parseOsd([
+      'Page number: 0',
+      'Orientation in degrees: 270',
+      'Rotate: 90',
+      'Orientation confidence: 6.21',
+      'Script: Latin',
+      'Script confidence: 3.05',
+    ].join('\n'));
+    expect(osd).toEqual({ rotate: 90, confidence: 6.21, script: 'Latin', scriptConfidence: 3.05 });
+  });
+});
@@ -1,7 +1,12 @@
 'use strict';
 
-const { normalizeDate, normalizeAmount, calcConfidence } = require('../src/utils/normalize');
+const { normalizeDate, normalizeAmount, calcConfidence, cleanOCRArtifacts } = require('../src/utils/normalize');
+const { languagesForScript, scriptsInText } = require('../src/utils/scripts');
 const { classifyDocument } = require('../src/parsers/classifier');
+const { extractBankStatement } = require('../src/parsers/bankParser');
+const { extractTaxStatement } = require('../src/parsers/taxParser');
+const { layoutPage } = require('../src/extractors/textLayout');
+const { parseTsv, ocrQuality } = require('../src/extractors/ocr');
 
 // ── normalize.js tests ────────────────────────────────────────────────────────
 describe('normalizeDate', () => {
@@ -52,6 +57,13 @@ describe('normalizeAmount', () => {
   });
 });
 
+describe('cleanOCRArtifacts', () => {
+  test('turns Devanagari and other Indic digits into ASCII', () => {
+    expect(cleanOCRArtifacts('शेष ₹ १,२३,४५६.७८ दिनांक ०१/०४/२०२४')).toBe('शेष ₹ 1,23,456.78 दिनांक 01/04/2024');
+    expect(cleanOCRArtifacts('௧௦ ৯')).toBe('10 9');
+  });
+});
+
 describe('calcConfidence', () => {
   test('returns 1 when all required fields filled', () => {
     const fields = { a: 'value', b: 'value' };
@@ -120,3 +132,264 @@ describe('classifyDocument', () => {
     expect(result.documentType).toBe('tax_statement');
   });
 });
+
+// ── textLayout.js / column geometry tests ────────────────────────────────────
+// pdf.js text items in a 10pt font where every glyph is 5pt wide
+const pdfItem = (str, x, baseline) => ({ str, width: str.length * 5, height: 10, transform: [10, 0, 0, 10, x, baseline] });
+
+// Amounts are right-aligned under their headers, and the stream order is scrambled
+const statementItems = [
+  pdfItem('1,48,000.00', 500, 670), pdfItem('2,000.00', 365, 670), pdfItem('withdrawal', 130, 670),
+  pdfItem('ATM', 110, 670), pdfItem('02/04/2024', 40, 670),
+  pdfItem('1,50,000.00', 500, 685), pdfItem('50,000.00', 435, 685), pdfItem('April', 145, 685),
+  pdfItem('Salary', 110, 685), pdfItem('01/04/2024', 40, 685),
+  pdfItem('Balance', 520, 700), pdfItem('Credit', 450, 700), pdfItem('Debit', 380, 700),
+  pdfItem('Ref', 300, 700), pdfItem('Narration', 110, 700), pdfItem('Date', 40, 700),
+];
+
+describe('layoutPage', () => {
+  test('orders lines top to bottom and keeps column gaps', () => {
+    const { text } = layoutPage(statementItems, { pageHeight: 800 });
+    const rows = text.split('\n').map(line => line.trim().split(/\s{2,}/));
+    expect(rows).toEqual([
+      ['Date', 'Narration', 'Ref', 'Debit', 'Credit', 'Balance'],
+      ['01/04/2024', 'Salary April', '50,000.00', '1,50,000.00'],
+      ['02/04/2024', 'ATM withdrawal', '2,000.00', '1,48,000.00'],
+    ]);
+  });
+
+  test('returns positioned items measured from the top of the page', () => {
+    const { items } = layoutPage(statementItems, { pageHeight: 800 });
+    expect(items.find(item => item.text === '50,000.00')).toEqual({ text: '50,000.00', x: 435, y: 105, width: 45, height: 10, line: 1 });
+  });
+
+  test('joins fragments of one word', () => {
+    const { text, items } = layoutPage([pdfItem('State', 40, 700), pdfItem('ment', 65, 700)], { pageHeight: 800 });
+    expect(text).toBe('Statement');
+    expect(items).toHaveLength(1);
+  });
+});
+
+describe('extractBankStatement with positioned items', () => {
+  test('assigns amounts to debit, credit and balance by column', async () => {
+    const { text, items } = layoutPage(statementItems, { pageHeight: 800 });
+    const { output } = await extractBankStatement([text], text, { pageItems: [items] });
+    expect(output.transactions).toEqual([
+      expect.objectContaining({ date: '2024-04-01', description: 'Salary April', debit: null, credit: 50000, balance: 150000 }),
+      expect.objectContaining({ date: '2024-04-02', description: 'ATM withdrawal', debit: 2000, credit: null, balance: 148000 }),
+    ]);
+  });
+
+  test('falls back to the text when a page was OCR\'d', async () => {
+    const { text, items } = layoutPage(statementItems, { pageHeight: 800 });
+    const { output } = await extractBankStatement([text, ''], text, { pageItems: [items, null] });
+    expect(output.transactions).toHaveLength(2);
+    expect(output.transactions[1]).toMatchObject({ date: '2024-04-02', debit: 2000, balance: 148000 });
+  });
+});
+
+// Table grid as read from a scanned page: one cell per column in every row
+const grid = (...rows) => ({
+  bbox: { x: 0, y: 0, width: 1000, height: 400 },
+  ruled: true,
+  columns: rows[0].map((_, i) => ({ x: i * 200, width: 200 })),
+  rows: rows.map((cells, i) => ({ y: i * 40, height: 40, cells: cells.map(text => ({ text, confidence: text ? 0.9 : null })) })),
+});
+
+describe('extractBankStatement with table grids', () => {
+  const header = ['Date', 'Narration', 'Debit', 'Credit', 'Balance'];
+  // What OCR of the whole page gives: the empty debit cell is gone
+  const text = [
+    'Date Narration Debit Credit Balance',
+    '01/04/2024 Salary April 50,000.00 1,50,000.00',
+    '02/04/2024 ATM withdrawal 2,000.00 1,48,000.00',
+  ].join('\n');
+
+  test('keeps an empty debit cell empty', async () => {
+    const tables = [grid(
+      header,
+      ['01/04/2024', 'Salary April', '', '50,000.00', '1,50,000.00'],
+      ['02/04/2024', 'ATM withdrawal', '2,000.00', '', '1,48,000.00'],
+    )];
+    const { output } = await extractBankStatement([text], text, { pageTables: [tables] });
+    expect(output.transactions).toEqual([
+      expect.objectContaining({ date: '2024-04-01', description: 'Salary April', debit: null, credit: 50000, balance: 150000 }),
+      expect.objectContaining({ date: '2024-04-02', description: 'ATM withdrawal', debit: 2000, credit: null, balance: 148000 }),
+    ]);
+  });
+
+  test('joins wrapped narration and continues the table on the next page', async () => {
+    const page1 = [grid(header, ['01/04/2024', 'NEFT from', '', '50,000.00', '1,50,000.00'], ['', 'ACME LTD', '', '', ''])];
+    const page2 = [grid(['02/04/2024', 'ATM withdrawal', '2,000.00', '', '1,48,000.00'], ['', 'Closing balance', '', '', '1,48,000.00'])];
+    const { output } = await extractBankStatement([text, ''], text, { pageTables: [page1, page2] });
+    expect(output.transactions).toHaveLength(2);
+    expect(output.transactions[0]).toMatchObject({ description: 'NEFT from ACME LTD', credit: 50000 });
+    expect(output.transactions[1]).toMatchObject({ date: '2024-04-02', debit: 2000 });
+  });
+
+  test('uses the text when a page had no table detection', async () => {
+    const tables = [grid(header, ['01/04/2024', 'Salary April', '', '50,000.00', '1,50,000.00'])];
+    const { output } = await extractBankStatement([text, ''], text, { pageTables: [tables, null] });
+    expect(output.transactions).toHaveLength(2);
+    expect(output.transactions[0]).toMatchObject({ debit: 50000 });
+  });
+});
+
+describe('extractTaxStatement with table grids', () => {
+  test('reads TDS rows by column', async () => {
+    const text = [
+      'FORM 26AS Assessment Year: 2024-25',
+      'Name of Deductor: XYZ Technologies Pvt Ltd TAN of Deductor: ABCD12345E',
+      'Section Transaction Date Status of Booking Date of Booking Amount Paid/Credited Tax Deducted TDS Deposited',
+      '192 30-04-2023 F 10-07-2023 65,000.00 6,500.00 6,500.00',
+    ].join('\n');
+    const tables = [grid(
+      ['Sr. No.', 'Section', 'Transaction Date', 'Status of Booking', 'Date of Booking', 'Remarks', 'Amount Paid / Credited', 'Tax Deducted', 'TDS Deposited'],
+      ['1', '192', '30-04-2023', 'F', '10-07-2023', '', '65,000.00', '6,500.00', '6,500.00'],
+      ['2', '192', '31-05-2023', 'U', '', '', '65,000.00', '', ''],
+    )];
+
+    const { output } = await extractTaxStatement([text], text, { pageTables: [tables] });
+
+    expect(output.deductors).toHaveLength(1);
+    expect(output.deductors[0].transactions).toEqual([
+      {
+        section: '192', transaction_date: '2023-04-30', booking_date: '2023-07-10', status_of_booking: 'Final', remarks: null,
+        amount_paid_credited: 65000, tax_deducted: 6500, tds_deposited: 6500,
+      },
+      {
+        section: '192', transaction_date: '2023-05-31', booking_date: null, status_of_booking: 'Unmatched', remarks: null,
+        amount_paid_credited: 65000, tax_deducted: null, tds_deposited: null,
+      },
+    ]);
+  });
+});
+
+describe('extractBankStatement with Hindi labels', () => {
+  test('reads the header and transaction table of a bilingual statement', async () => {
+    const text = [
+      'भारतीय सहकारी बैंक',
+      'खाताधारक का नाम: RAMESH KUMAR',
+      'खाता संख्या: १२३४५६७८९०१२',
+      'बचत खाता',
+      'अवधि: 01/04/2024 से 30/04/2024',
+      'प्रारंभिक शेष: 1,00,000.00',
+      'दिनांक    विवरण          नामे        जमा          शेष',
+      '01/04/2024    वेतन अप्रैल              50,000.00    1,50,000.00',
+      '02/04/2024    एटीएम निकासी    2,000.00                 1,48,000.00',
+      'अंतिम शेष: 1,48,000.00',
+    ].join('\n');
+
+    const { output } = await extractBankStatement([text], text);
+
+    expect(output.header).toMatchObject({
+      account_number: '123456789012',
+      account_holder_name: 'RAMESH KUMAR',
+      account_type: 'savings',
+      statement_period_from: '2024-04-01',
+      statement_period_to: '2024-04-30',
+      opening_balance: 100000,
+      closing_balance: 148000,
+    });
+    expect(output.transactions).toHaveLength(2);
+    expect(output.transactions[1]).toMatchObject({ date: '2024-04-02', balance: 148000 });
+  });
+
+  test('does not end the table at a narration that starts with कुल', async () => {
+    const text = [
+      'दिनांक    विवरण          नामे        जमा          शेष',
+      '01/04/2024    कुलदीप सिंह को भुगतान    2,000.00                 98,000.00',
+      '02/04/2024    वेतन अप्रैल              50,000.00    1,48,000.00',
+      'कुल योग: 2,000.00    50,000.00',
+      '03/04/2024    एटीएम निकासी    1,000.00                 1,47,000.00',
+    ].join('\n');
+
+    const { output } = await extractBankStatement([text], text);
+
+    expect(output.transactions.map(t => t.date)).toEqual(['2024-04-01', '2024-04-02']);
+  });
+});
+
+describe('extractTaxStatement with Hindi labels', () => {
+  test('reads PAN, assessment year and deductor', async () => {
+    const text = [
+      'फॉर्म 26AS',
+      'निर्धारण वर्ष: 2024-25',
+      'पैन: ABCDE1234F',
+      'करदाता का नाम: RAMESH KUMAR',
+      'कटौतीकर्ता का नाम: XYZ Technologies Pvt Ltd',
+      'टैन: ABCD12345E',
+    ].join('\n');
+
+    const { output } = await extractTaxStatement([text], text);
+
+    expect(output.header).toMatchObject({ assessment_year: '2024-25', pan: 'ABCDE1234F', taxpayer_name: 'RAMESH KUMAR' });
+    expect(output.deductors[0]).toMatchObject({ name: 'XYZ Technologies Pvt Ltd', tan: 'ABCD12345E' });
+  });
+});
+
+// ── utils/scripts.js tests ────────────────────────────────────────────────────
+describe('languagesForScript', () => {
+  test('adds the language of a confidently detected script to English', () => {
+    expect(languagesForScript({ script: 'Devanagari', scriptConfidence: 2.4 })).toEqual({ script: 'Devanagari', lang: 'hin+eng', missing: null });
+  });
+
+  test('reads Latin pages and unsure detections as English', () => {
+    expect(languagesForScript({ script: 'Latin', scriptConfidence: 5 })).toEqual({ script: 'Latin', lang: 'eng', missing: null });
+    expect(languagesForScript({ script: 'Tamil', scriptConfidence: 0.3 })).toEqual({ script: null, lang: 'eng', missing: null });
+    expect(languagesForScript({ script: null, scriptConfidence: 0 })).toEqual({ script: null, lang: 'eng', missing: null });
+  });
+
+  test('falls back to English when the language data is not installed', () => {
+    expect(languagesForScript({ script: 'Gujarati', scriptConfidence: 3 }, { installed: ['eng', 'hin', 'osd'] }))
+      .toEqual({ script: 'Gujarati', lang: 'eng', missing: 'guj' });
+  });
+});
+
+describe('scriptsInText', () => {
+  test('finds every script in the text', () => {
+    expect(scriptsInText('खाता संख्या / Account No 1234')).toEqual(['Latin', 'Devanagari']);
+    expect(scriptsInText('১২৩')).toEqual(['Bengali']);
+    expect(scriptsInText('')).toEqual([]);
+  });
+});
+
+// ── ocr.js TSV tests ──────────────────────────────────────────────────────────
+describe('parseTsv', () => {
+  const tsvRow = (...cols) => cols.join('\t');
+  const tsv = [
+    'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+    tsvRow(1, 1, 0, 0, 0, 0, 0, 0, 1700, 2200, -1, ''),
+    tsvRow(2, 1, 1, 0, 0, 0, 100, 120, 900, 80, -1, ''),
+    tsvRow(3, 1, 1, 1, 0, 0, 100, 120, 900, 80, -1, ''),
+    tsvRow(4, 1, 1, 1, 1, 0, 100, 120, 900, 30, -1, ''),
+    tsvRow(5, 1, 1, 1, 1, 1, 100, 120, 200, 30, 96.5, 'Opening'),
+    tsvRow(5, 1, 1, 1, 1, 2, 320, 120, 200, 30, 91.2, 'Balance'),
+    tsvRow(4, 1, 1, 1, 2, 0, 100, 170, 900, 30, -1, ''),
+    tsvRow(5, 1, 1, 1, 2, 1, 100, 170, 300, 30, 42.0, '1,20,000.00'),
+    tsvRow(5, 1, 1, 1, 2, 2, 420, 170, 10, 30, -1, ' '),
+    tsvRow(4, 1, 1, 1, 3, 0, 100, 210, 900, 4, -1, ''),
+    '',
+  ].join('\n');
+
+  test('builds the text and word boxes with line numbers', () => {
+    const ocr = parseTsv(tsv);
+    expect(ocr.text).toBe('Opening Balance\n1,20,000.00');
+    expect(ocr.image).toEqual({ width: 1700, height: 2200 });
+    expect(ocr.words).toHaveLength(3);
+    expect(ocr.words[2]).toEqual({ text: '1,20,000.00', x: 100, y: 170, width: 300, height: 30, confidence: 0.42, line: 1 });
+  });
+
+  test('averages Tesseract confidences over words, lines and blocks', () => {
+    const ocr = parseTsv(tsv);
+    expect(ocr.lines.map(line => [line.text, line.confidence])).toEqual([['Opening Balance', 0.94], ['1,20,000.00', 0.42]]);
+    expect(ocr.blocks).toEqual([{ x: 100, y: 120, width: 900, height: 80, confidence: 0.77 }]);
+    expect(ocr.confidence).toBe(0.77);
+    expect(ocrQuality(ocr)).toEqual({ confidence: 0.77, words: 3, low_confidence_words: 1 });
+  });
+
+  test('handles a page with no words', () => {
+    const ocr = parseTsv(tsvRow('level', 'page_num') + '\n' + tsvRow(1, 1, 0, 0, 0, 0, 0, 0, 1700, 2200, -1, ''));
+    expect(ocr).toMatchObject({ text: '', confidence: 0, words: [], lines: [] });
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildPdf } = require('./helpers/buildPdf');
+
+// Ghostscript is not needed to check which pages get rendered
+jest.mock('pdf2pic', () => ({ fromPath: jest.fn() }));
+
+const { fromPath } = require('pdf2pic');
+const { detectTextLayer, extractTextFromLayer, renderPagesToImages } = require('../src/extractors/pdfProcessor');
+const { extractBankStatement } = require('../src/parsers/bankParser');
+
+// A statement page laid out in columns, as a bank's PDF export would place it
+const COLUMNS = [50, 120, 330, 420, 510];
+const row = (y, cells) => cells.map((text, i) => [COLUMNS[i], y, text]).filter(([, , text]) => text);
+
+const STATEMENT_PAGE = [
+  [50, 740, 'HDFC BANK LIMITED'],
+  [50, 720, 'Account Number: 50100123456789'],
+  [50, 705, 'Statement Period: 01/04/2024 to 30/04/2024'],
+  ...row(660, ['Date', 'Narration', 'Debit', 'Credit', 'Balance']),
+  ...row(640, ['01/04/2024', 'SALARY APRIL', '', '50,000.00', '60,000.00']),
+  ...row(625, ['02/04/2024', 'ATM WITHDRAWAL', '2,000.00', '', '58,000.00']),
+];
+
+let workDir;
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-pdf-test-'));
+});
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function writePdf(name, pages, options) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, buildPdf(pages, options));
+  return filePath;
+}
+
+describe('detectTextLayer', () => {
+  test('counts the pages of a text PDF and finds the text layer on each', async () => {
+    const filePath = writePdf('statement.pdf', [STATEMENT_PAGE, STATEMENT_PAGE]);
+
+    await expect(detectTextLayer(filePath)).resolves.toEqual({
+      hasTextLayer: true, pageCount: 2, isEncrypted: false, textLayerPages: [1, 2],
+    });
+  });
+
+  test('decides per page, so a page without text is left for OCR', async () => {
+    const filePath = writePdf('mixed.pdf', [STATEMENT_PAGE, [], STATEMENT_PAGE]);
+
+    const layout = await detectTextLayer(filePath);
+
+    expect(layout.pageCount).toBe(3);
+    expect(layout.textLayerPages).toEqual([1, 3]);
+  });
+
+  test('treats a file pdf.js cannot read as a single scanned page', async () => {
+    const filePath = path.join(workDir, 'broken.pdf');
+    fs.writeFileSync(filePath, '%PDF-1.4\nnot really a pdf');
+
+    await expect(detectTextLayer(filePath)).resolves.toEqual({
+      hasTextLayer: false, pageCount: 1, isEncrypted: false, textLayerPages: [],
+    });
+  });
+});
+
+describe('extractTextFromLayer', () => {
+  test('keeps the column gaps of a statement table', async () => {
+    const filePath = writePdf('statement.pdf', [STATEMENT_PAGE]);
+
+    const [page] = await extractTextFromLayer(filePath);
+    const lines = page.text.split('\n');
+    const header = lines.find(line => line.trimStart().startsWith('Date'));
+    const salary = lines.find(line => line.includes('SALARY APRIL'));
+    const atm = lines.find(line => line.includes('ATM WITHDRAWAL'));
+
+    // Amounts sit under their column headings, with at least two spaces between columns
+    expect(salary.indexOf('50,000.00')).toBe(header.indexOf('Credit'));
+    expect(atm.indexOf('2,000.00')).toBe(header.indexOf('Debit'));
+    expect(salary.indexOf('60,000.00')).toBe(header.indexOf('Balance'));
+    expect(salary).toMatch(/SALARY APRIL {2,}50,000\.00 {2,}60,000\.00/);
+
+    expect(page.items).toContainEqual(expect.objectContaining({ text: 'SALARY APRIL', x: 120, line: lines.indexOf(salary) }));
+    expect(page.items).toContainEqual(expect.objectContaining({ text: '2,000.00', x: 330 }));
+  });
+
+  test('gives the parser the debit and credit columns of each row', async () => {
+    const filePath = writePdf('statement.pdf', [STATEMENT_PAGE]);
+
+    const pages = await extractTextFromLayer(filePath);
+    const texts = pages.map(p => p.text);
+    const { output } = await extractBankStatement(texts, texts.join('\n'), { pageItems: pages.map(p => p.items) });
+
+    expect(output.transactions).toHaveLength(2);
+    expect(output.transactions[0]).toMatchObject({ date: '2024-04-01', credit: 50000, balance: 60000 });
+    expect(output.transactions[1]).toMatchObject({ date: '2024-04-02', debit: 2000, balance: 58000 });
+  });
+});
+
+describe('password-protected PDFs', () => {
+  test('reports a PDF opened without its password as encrypted', async () => {
+    const filePath = writePdf('locked.pdf', [STATEMENT_PAGE, STATEMENT_PAGE], { password: 'secret' });
+
+    await expect(detectTextLayer(filePath)).resolves.toEqual({
+      hasTextLayer: false, pageCount: 0, isEncrypted: true, textLayerPages: [],
+    });
+  });
+
+  test('rejects a wrong password with INVALID_PDF_PASSWORD', async () => {
+    const filePath = writePdf('locked.pdf', [STATEMENT_PAGE, STATEMENT_PAGE], { password: 'secret' });
+
+    await expect(detectTextLayer(filePath, { password: 'wrong' })).rejects.toMatchObject({ code: 'INVALID_PDF_PASSWORD' });
+    await expect(extractTextFromLayer(filePath, { password: 'wrong' })).rejects.toMatchObject({ name: 'PasswordException' });
+  });
+
+  test('reads every page with the right password', async () => {
+    const filePath = writePdf('locked.pdf', [STATEMENT_PAGE, STATEMENT_PAGE], { password: 'secret' });
+
+    await expect(detectTextLayer(filePath, { password: 'secret' })).resolves.toMatchObject({
+      hasTextLayer: true, pageCount: 2, textLayerPages: [1, 2],
+    });
+    const pages = await extractTextFromLayer(filePath, { password: 'secret' });
+    expect(pages).toHaveLength(2);
+    expect(pages[1].text).toContain('ATM WITHDRAWAL');
+  });
+});
+
+describe('renderPagesToImages', () => {
+  afterEach(() => {
+    delete process.env.ARTIFACTS_DIR;
+  });
+
+  test('renders every page when no pages are given', async () => {
+    process.env.ARTIFACTS_DIR = workDir;
+    const convert = jest.fn(async page => ({ path: path.join(workDir, `page.${page}.png`) }));
+    fromPath.mockReturnValue(convert);
+    const filePath = writePdf('scanned.pdf', [[], [], []]);
+
+    const images = await renderPagesToImages(filePath, 200);
+
+    expect(convert.mock.calls.map(([page]) => page)).toEqual([1, 2, 3]);
+    expect(images).toHaveLength(3);
+  });
+});
@@ -0,0 +1,636 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// In-memory stage_checkpoints table
+const mockCheckpoints = new Map();
+const checkpointId = (checksum, stage, key, page) => `${checksum}|${stage}|${key}|${page}`;
+
+jest.mock('../src/db/models', () => ({
+  getDocument: jest.fn().mockResolvedValue({ id: 'doc-1', checksum: 'abc123' }),
+  saveCheckpoint: jest.fn(async (row) => {
+    mockCheckpoints.set(checkpointId(row.checksum, row.stage, row.stage_key, row.page_number), row);
+  }),
+  getCheckpoint: jest.fn(async (checksum, stage, key, page = 0) =>
+    mockCheckpoints.get(checkpointId(checksum, stage, key, page))?.payload ?? null),
+  listPageCheckpoints: jest.fn(async (checksum, stage, key) => [...mockCheckpoints.values()]
+    .filter(r => r.checksum === checksum && r.stage === stage && r.stage_key === key && r.page_number > 0)
+    .map(r => ({ page_number: r.page_number, payload: r.payload }))),
+  updateJobStatus: jest.fn().mockResolvedValue(),
+  recordJobFailure: jest.fn().mockResolvedValue(true),
+  completeJob: jest.fn().mockResolvedValue(true),
+  isJobCancelled: jest.fn().mockResolvedValue(false),
+  insertResult: jest.fn().mockResolvedValue(),
+  deleteResult: jest.fn().mockResolvedValue(),
+  updateDocumentStatus: jest.fn().mockResolvedValue(),
+  insertArtifact: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/workers/queue', () => ({
+  addPageJob: jest.fn(),
+  waitForPageJob: jest.fn(),
+  removeQueuedPageJobs: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/workers/webhooks', () => ({
+  notifyJobFinished: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/extractors/imageProcessor', () => ({
+  splitImagePages: jest.fn(),
+  preprocessImage: jest.fn(async (p, { strategy = 'standard' } = {}) => p.replace('.png', strategy === 'standard' ? '_processed.png' : `_${strategy}.png`)),
+  straightenImage: jest.fn(async p => ({ imagePath: p, rotation: 0, skew: 0 })),
+  removePageImages: jest.fn(),
+  UPSCALE_FACTOR: 2,
+}));
+
+jest.mock('../src/extractors/ocr', () => ({
+  runOCR: jest.fn(),
+  ocrQuality: jest.requireActual('../src/extractors/ocr').ocrQuality,
+  detectOrientation: jest.fn(),
+  installedLanguages: jest.fn(),
+  scaleWords: jest.requireActual('../src/extractors/ocr').scaleWords,
+}));
+
+jest.mock('../src/extractors/tableDetector', () => ({
+  extractTables: jest.fn(),
+  scaleTables: jest.requireActual('../src/extractors/tableDetector').scaleTables,
+}));
+
+jest.mock('../src/extractors/pdfProcessor', () => ({
+  detectTextLayer: jest.fn(),
+  extractTextFromLayer: jest.fn(),
+  renderPagesToImages: jest.fn(),
+}));
+
+const models = require('../src/db/models');
+const queue = require('../src/workers/queue');
+const { notifyJobFinished } = require('../src/workers/webhooks');
+const { splitImagePages, straightenImage } = require('../src/extractors/imageProcessor');
+const { runOCR, detectOrientation, installedLanguages } = require('../src/extractors/ocr');
+const { extractTables } = require('../src/extractors/tableDetector');
+const { detectTextLayer, extractTextFromLayer, renderPagesToImages } = require('../src/extractors/pdfProcessor');
+const { processJob } = require('../src/workers/processor');
+const { processPage } = require('../src/workers/pageProcessor');
+
+function fakeBullJob(data) {
+  return {
+    id: '1',
+    data,
+    opts: { attempts: 2 },
+    attemptsMade: 0,
+    progress: jest.fn().mockResolvedValue(),
+    update: jest.fn().mockResolvedValue(),
+    discard: jest.fn().mockResolvedValue(),
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockCheckpoints.clear();
+  models.isJobCancelled.mockResolvedValue(false);
+  detectOrientation.mockResolvedValue({ rotate: 0, confidence: 5, upright: true });
+  extractTables.mockResolvedValue([]);
+  installedLanguages.mockResolvedValue(['eng', 'hin', 'osd']);
+});
+
+describe('processPage', () => {
+  const words = [
+    { text: 'page', x: 10, y: 20, width: 40, height: 12, confidence: 0.96, line: 0 },
+    { text: 'text', x: 56, y: 20, width: 36, height: 12, confidence: 0.41, line: 0 },
+  ];
+  const ocrOutput = { text: 'page text', confidence: 0.69, image: { width: 1700, height: 2200 }, blocks: [], lines: [], words };
+  const quality = { confidence: 0.69, words: 2, low_confidence_words: 1, strategy: 'standard', psm: null, attempts: 1 };
+
+  // Retries have their own tests below
+  beforeEach(() => { process.env.OCR_RETRY_MIN_CONFIDENCE = '0'; });
+  afterEach(() => { delete process.env.OCR_RETRY_MIN_CONFIDENCE; });
+
+  it('preprocesses and OCRs one page', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    const job = fakeBullJob({ jobId: 'job-1', page: 3, imagePath: '/tmp/p/page.3.png', options: { lang: 'eng' } });
+    const result = await processPage(job);
+    expect(result).toEqual({
+      page: 3,
+      text: 'page text',
+      items: words,
+      tables: [],
+      quality,
+      orientation: { rotation: 0, skew: 0 },
+      language: { script: null, lang: 'eng', missing: null },
+      processedImagePath: '/tmp/p/page.3_processed.png',
+      textPath: null,
+      layoutPath: null,
+    });
+    expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.3_processed.png', { lang: 'eng' });
+  });
+
+  it('turns a sideways page upright and levels it before preprocessing', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    detectOrientation.mockResolvedValueOnce({ rotate: 90, confidence: 6.2, upright: false });
+    straightenImage.mockResolvedValueOnce({ imagePath: '/tmp/p/page.1_straight.png', rotation: 90, skew: -1.5 });
+
+    const result = await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png' }));
+
+    expect(straightenImage).toHaveBeenCalledWith('/tmp/p/page.1.png', { rotate: 90 });
+    expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.1_straight_processed.png', undefined);
+    expect(result.orientation).toEqual({ rotation: 90, skew: -1.5 });
+  });
+
+  it('does not rotate when orientation detection is unsure', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    detectOrientation.mockResolvedValueOnce({ rotate: 180, confidence: 0.4, upright: true });
+    await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png' }));
+    expect(straightenImage).toHaveBeenCalledWith('/tmp/p/page.1.png', { rotate: 0 });
+  });
+
+  it('checkpoints the page text with its word boxes', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    const checkpoint = { checksum: 'abc123', stageKey: 'k1' };
+    await processPage(fakeBullJob({ jobId: 'job-1', page: 2, imagePath: '/tmp/p/page.2.png', checkpoint }));
+    expect(models.saveCheckpoint).toHaveBeenCalledWith(expect.objectContaining({
+      checksum: 'abc123', stage: 'page_text', stage_key: 'k1', page_number: 2, job_id: 'job-1', payload: {
+        text: 'page text', items: words, tables: [], quality, orientation: { rotation: 0, skew: 0 }, language: { script: null, lang: null, missing: null },
+      },
+    }));
+  });
+
+  it('reads a Devanagari page with Hindi and English under lang=auto', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    detectOrientation.mockResolvedValueOnce({ rotate: 0, confidence: 4, upright: true, script: 'Devanagari', scriptConfidence: 2.1 });
+
+    const result = await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png', options: { lang: 'auto', psm: 6 } }));
+
+    expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.1_processed.png', { lang: 'hin+eng', psm: 6 });
+    expect(result.language).toEqual({ script: 'Devanagari', lang: 'hin+eng', missing: null });
+  });
+
+  it('reads the page as English when the script\'s language data is missing', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    detectOrientation.mockResolvedValueOnce({ rotate: 0, confidence: 4, upright: true, script: 'Bengali', scriptConfidence: 3 });
+
+    const result = await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png', options: { lang: 'auto' } }));
+
+    expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.1_processed.png', { lang: 'eng' });
+    expect(result.language).toEqual({ script: 'Bengali', lang: 'eng', missing: 'ben' });
+  });
+
+  it('keeps a requested language whatever the script', async () => {
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    detectOrientation.mockResolvedValueOnce({ rotate: 0, confidence: 4, upright: true, script: 'Devanagari', scriptConfidence: 2.1 });
+    await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png', options: { lang: 'eng+guj' } }));
+    expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.1_processed.png', { lang: 'eng+guj' });
+    expect(installedLanguages).not.toHaveBeenCalled();
+  });
+
+  it('reads the tables of the processed page image', async () => {
+    const table = {
+      bbox: { x: 50, y: 300, width: 1300, height: 240 }, ruled: true, columns: [{ x: 50, width: 200 }],
+      rows: [{ y: 300, height: 60, cells: [{ text: '01/04/2024', confidence: 0.93 }] }],
+    };
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    extractTables.mockResolvedValueOnce([table]);
+
+    const result = await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png', options: { lang: 'eng' } }));
+
+    expect(extractTables).toHaveBeenCalledWith('/tmp/p/page.1_processed.png', words);
+    expect(result.tables).toEqual([table]);
+  });
+
+  it('skips table detection when TABLE_DETECTION=false', async () => {
+    process.env.TABLE_DETECTION = 'false';
+    runOCR.mockResolvedValueOnce(ocrOutput);
+    try {
+      const result = await processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png' }));
+      expect(extractTables).not.toHaveBeenCalled();
+      expect(result.tables).toBeNull();
+    } finally {
+      delete process.env.TABLE_DETECTION;
+    }
+  });
+
+  it('records the error code for the parent job', async () => {
+    runOCR.mockRejectedValueOnce(Object.assign(new Error('no hin'), { code: 'OCR_LANGUAGE_MISSING' }));
+    const job = fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png' });
+    await expect(processPage(job)).rejects.toThrow('no hin');
+    expect(job.update).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'OCR_LANGUAGE_MISSING' }));
+  });
+
+  it('skips pages of a cancelled job without retrying', async () => {
+    models.isJobCancelled.mockResolvedValueOnce(true);
+    const job = fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png' });
+    await expect(processPage(job)).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+    expect(job.discard).toHaveBeenCalled();
+    expect(runOCR).not.toHaveBeenCalled();
+  });
+
+  describe('retries of poor pages', () => {
+    const goodOutput = {
+      text: 'good text', confidence: 0.91, image: null, blocks: [], lines: [],
+      words: Array.from({ length: 25 }, (_, i) => ({ text: `word${i}`, x: i * 10, y: 0, width: 8, height: 10, confidence: 0.91, line: 0 })),
+    };
+    const blankOutput = { text: '', confidence: 0, image: null, blocks: [], lines: [], words: [] };
+    const run = () => processPage(fakeBullJob({ jobId: 'job-1', page: 1, imagePath: '/tmp/p/page.1.png', options: { psm: 6 } }));
+
+    beforeEach(() => { process.env.OCR_RETRY_MIN_CONFIDENCE = '0.7'; });
+    afterEach(() => runOCR.mockReset());
+
+    it('tries other strategies until one is good enough and keeps it', async () => {
+      runOCR.mockResolvedValueOnce(ocrOutput).mockResolvedValueOnce(ocrOutput).mockResolvedValueOnce(goodOutput);
+
+      const result = await run();
+
+      expect(runOCR).toHaveBeenCalledTimes(3);
+      expect(runOCR).toHaveBeenNthCalledWith(2, '/tmp/p/page.1_binarize.png', { psm: 6 });
+      expect(result).toMatchObject({
+        text: 'good text',
+        processedImagePath: '/tmp/p/page.1_background.png',
+        quality: { confidence: 0.91, words: 25, strategy: 'background', psm: 6, attempts: 3 },
+      });
+    });
+
+    it('tries other page segmentation modes and keeps the best-scoring text', async () => {
+      runOCR.mockResolvedValue(ocrOutput);
+      runOCR.mockResolvedValueOnce({ ...ocrOutput, words: [words[1]] });
+
+      const result = await run();
+
+      expect(runOCR).toHaveBeenCalledTimes(7);
+      expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.1_binarize.png', { psm: 4 });
+      expect(runOCR).toHaveBeenCalledWith('/tmp/p/page.1_binarize.png', { psm: 11 });
+      expect(result.quality).toMatchObject({ strategy: 'binarize', psm: 6, attempts: 7 });
+    });
+
+    it('scales the boxes of an upscaled page back to the render\'s pixels', async () => {
+      const upscaledOutput = { ...goodOutput, words: [{ text: 'word', x: 200, y: 100, width: 80, height: 24, confidence: 0.91, line: 0 }] };
+      runOCR.mockResolvedValueOnce(ocrOutput).mockResolvedValueOnce(ocrOutput).mockResolvedValueOnce(ocrOutput)
+        .mockResolvedValueOnce({ ...upscaledOutput, words: Array(25).fill(upscaledOutput.words[0]) });
+      extractTables.mockResolvedValueOnce([{
+        bbox: { x: 100, y: 200, width: 1000, height: 400 }, ruled: true,
+        columns: [{ x: 100, width: 500 }, { x: 600, width: 500 }],
+        rows: [{ y: 200, height: 80, cells: [{ text: 'a', confidence: 0.9 }, { text: 'b', confidence: 0.9 }] }],
+      }]);
+
+      const result = await run();
+
+      expect(result.quality.strategy).toBe('upscale');
+      // Cells are filled from the upscaled image's own word boxes; the grid is scaled afterwards
+      expect(extractTables).toHaveBeenCalledWith('/tmp/p/page.1_upscale.png', Array(25).fill(upscaledOutput.words[0]));
+      expect(result.items[0]).toEqual({ text: 'word', x: 100, y: 50, width: 40, height: 12, confidence: 0.91, line: 0 });
+      expect(result.tables[0]).toMatchObject({
+        bbox: { x: 50, y: 100, width: 500, height: 200 },
+        columns: [{ x: 50, width: 250 }, { x: 300, width: 250 }],
+        rows: [{ y: 100, height: 40, cells: [{ text: 'a' }, { text: 'b' }] }],
+      });
+    });
+
+    it('gives up early on a blank page', async () => {
+      runOCR.mockResolvedValue(blankOutput);
+      const result = await run();
+      expect(runOCR).toHaveBeenCalledTimes(2);
+      expect(result.quality).toMatchObject({ words: 0, strategy: 'standard', attempts: 2 });
+    });
+  });
+});
+
+describe('processJob page fan-out', () => {
+  const images = ['/tmp/p/page.1.png', '/tmp/p/page.2.png', '/tmp/p/page.3.png'];
+  const scanPath = '/tmp/ocr-test-scan.png';
+
+  // Only the PNG signature is read; the pages themselves are mocked
+  beforeAll(() => fs.writeFileSync(scanPath, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])));
+  afterAll(() => fs.unlinkSync(scanPath));
+
+  beforeEach(() => {
+    splitImagePages.mockResolvedValue(images);
+    queue.addPageJob.mockImplementation(async data => ({ id: `page-${data.page}`, data }));
+  });
+
+  it('queues one job per page and joins the texts in page order', async () => {
+    // Later pages finish first
+    const delays = { 1: 30, 2: 10, 3: 0 };
+    queue.waitForPageJob.mockImplementation(pageJob => new Promise(resolve => setTimeout(() => resolve({
+      state: 'completed',
+      value: {
+        page: pageJob.data.page,
+        text: `text of page ${pageJob.data.page}`,
+        quality: { confidence: 0.9, words: 3, low_confidence_words: pageJob.data.page - 1 },
+        orientation: { rotation: pageJob.data.page === 2 ? 180 : 0, skew: 0.8 },
+        tables: pageJob.data.page === 1 ? [{ ruled: false, columns: [{}, {}, {}], rows: [{}, {}] }] : [],
+        language: pageJob.data.page === 3
+          ? { script: 'Gujarati', lang: 'eng', missing: 'guj' }
+          : { script: 'Devanagari', lang: 'hin+eng', missing: null },
+        processedImagePath: 'x',
+        textPath: null,
+      },
+    }), delays[pageJob.data.page])));
+
+    const job = fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: scanPath, originalName: 'scan.png' });
+    await processJob(job);
+
+    expect(queue.addPageJob).toHaveBeenCalledTimes(3);
+    expect(queue.addPageJob).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-1', page: 2, imagePath: images[1] }));
+
+    const saved = models.insertResult.mock.calls[0][0].json_result;
+    expect(saved.processing.page_count).toBe(3);
+    expect(saved.processing.ocr_quality).toEqual([1, 2, 3].map(page => ({ page, confidence: 0.9, words: 3, low_confidence_words: page - 1 })));
+    expect(saved.processing.page_orientation).toEqual([
+      { page: 1, rotation: 0, skew: 0.8 }, { page: 2, rotation: 180, skew: 0.8 }, { page: 3, rotation: 0, skew: 0.8 },
+    ]);
+    expect(saved.processing.tables).toEqual([{ page: 1, ruled: false, rows: 2, columns: 3 }]);
+    expect(saved.processing.page_languages).toEqual([
+      { page: 1, script: 'Devanagari', lang: 'hin+eng' }, { page: 2, script: 'Devanagari', lang: 'hin+eng' }, { page: 3, script: 'Gujarati', lang: 'eng' },
+    ]);
+    expect(saved.processing.languages).toEqual(['eng']);
+    expect(saved.warnings).toContainEqual(expect.objectContaining({ code: 'OCR_LANGUAGE_UNAVAILABLE', message: expect.stringMatching(/^Pages 3 are in Gujarati script.*'guj'/) }));
+    const ocrProgress = job.progress.mock.calls.map(([p]) => p).filter(p => p.stage === 'ocr');
+    expect(ocrProgress.map(p => p.pages_done)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('fails the document with the page error code and drops queued pages', async () => {
+    queue.waitForPageJob.mockImplementation(async pageJob => (pageJob.data.page === 2
+      ? { state: 'failed', error: 'tesseract crashed', code: 'OCR_ERROR' }
+      : new Promise(() => {})));
+
+    const job = fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: scanPath, originalName: 'scan.png' });
+    await expect(processJob(job)).rejects.toMatchObject({ code: 'OCR_ERROR' });
+
+    expect(queue.removeQueuedPageJobs).toHaveBeenCalledWith(expect.arrayContaining([expect.objectContaining({ id: 'page-3' })]));
+    expect(models.recordJobFailure).toHaveBeenCalledWith('job-1', expect.objectContaining({ error_code: 'OCR_ERROR', failed_stage: 'ocr' }));
+  });
+
+  it('leaves the document in progress while a retry is pending', async () => {
+    queue.waitForPageJob.mockResolvedValue({ state: 'failed', error: 'tesseract crashed', code: 'OCR_ERROR' });
+
+    const job = fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: scanPath, originalName: 'scan.png' });
+    await expect(processJob(job)).rejects.toMatchObject({ code: 'OCR_ERROR' });
+    expect(models.recordJobFailure).toHaveBeenLastCalledWith('job-1', expect.objectContaining({ dead_letter: false }));
+    expect(models.updateDocumentStatus).not.toHaveBeenCalledWith('doc-1', 'failed');
+
+    // Last attempt: the failure is permanent
+    job.attemptsMade = 1;
+    await expect(processJob(job)).rejects.toMatchObject({ code: 'OCR_ERROR' });
+    expect(models.recordJobFailure).toHaveBeenLastCalledWith('job-1', expect.objectContaining({ dead_letter: true }));
+    expect(models.updateDocumentStatus).toHaveBeenLastCalledWith('doc-1', 'failed');
+  });
+});
+
+describe('processJob stage checkpoints', () => {
+  const images = ['/tmp/p/page.1.png', '/tmp/p/page.2.png', '/tmp/p/page.3.png'];
+  const scanPath = '/tmp/ocr-test-scan-cp.png';
+
+  beforeAll(() => fs.writeFileSync(scanPath, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])));
+  afterAll(() => fs.unlinkSync(scanPath));
+
+  beforeEach(() => {
+    splitImagePages.mockResolvedValue(images);
+    queue.addPageJob.mockImplementation(async data => ({ id: `page-${data.page}`, data }));
+    // Page jobs behave like the page worker: checkpoint, then return the text
+    queue.waitForPageJob.mockImplementation(async (pageJob) => {
+      const { page, jobId, checkpoint } = pageJob.data;
+      const text = `text of page ${page}`;
+      await models.saveCheckpoint({ checksum: checkpoint.checksum, stage: 'page_text', stage_key: checkpoint.stageKey, page_number: page, job_id: jobId, payload: { text } });
+      return { state: 'completed', value: { page, text, processedImagePath: 'x', textPath: null } };
+    });
+  });
+
+  const run = (data = {}) => processJob(fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: scanPath, originalName: 'scan.png', ...data }));
+  const savedResult = () => models.insertResult.mock.calls.at(-1)[0].json_result;
+
+  it('only OCRs the pages a previous attempt did not finish', async () => {
+    await run();
+    // Forget page 2, as if the worker died while it was in OCR
+    for (const [id, row] of mockCheckpoints) if (row.stage === 'page_text' && row.page_number === 2) mockCheckpoints.delete(id);
+    queue.addPageJob.mockClear();
+    splitImagePages.mockClear();
+
+    await run();
+
+    expect(queue.addPageJob).toHaveBeenCalledTimes(1);
+    expect(queue.addPageJob).toHaveBeenCalledWith(expect.objectContaining({ page: 2 }));
+    expect(savedResult().processing.reused_stages).toEqual(expect.arrayContaining(['layout', 'page_text']));
+  });
+
+  it('reuses text and classification when every stage is checkpointed', async () => {
+    await run();
+    queue.addPageJob.mockClear();
+    await run();
+    expect(queue.addPageJob).not.toHaveBeenCalled();
+    expect(savedResult().processing.reused_stages).toEqual(['layout', 'page_text', 'classify']);
+  });
+
+  it('keeps checkpoints per OCR options', async () => {
+    await run();
+    queue.addPageJob.mockClear();
+    await run({ options: { lang: 'hin' } });
+    expect(queue.addPageJob).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not reuse page text saved in an older format', async () => {
+    await run();
+    // Move the pages to the key an older worker used, which had no format version
+    const { options } = savedResult().processing;
+    const legacyKey = crypto.createHash('sha256')
+      .update(JSON.stringify({ method: 'ocr', dpi: null, lang: options.lang, psm: options.psm, oem: options.oem })).digest('hex');
+    for (const [id, row] of [...mockCheckpoints]) {
+      if (row.stage !== 'page_text') continue;
+      mockCheckpoints.delete(id);
+      mockCheckpoints.set(checkpointId(row.checksum, row.stage, legacyKey, row.page_number), { ...row, stage_key: legacyKey });
+    }
+    queue.addPageJob.mockClear();
+
+    await run();
+    expect(queue.addPageJob).toHaveBeenCalledTimes(3);
+  });
+
+  it('reruns the parsers on cached text without OCR', async () => {
+    await run();
+    queue.addPageJob.mockClear();
+    await run({ rerun: 'parse' });
+    expect(queue.addPageJob).not.toHaveBeenCalled();
+    expect(savedResult().processing.reused_stages).toEqual(['layout', 'page_text']);
+  });
+
+  it('fails a parser-only rerun without checkpoints, and does not retry it', async () => {
+    const job = fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: scanPath, originalName: 'scan.png', rerun: 'parse' });
+    await expect(processJob(job)).rejects.toMatchObject({ code: 'CHECKPOINT_MISSING' });
+    expect(job.discard).toHaveBeenCalled();
+    expect(queue.addPageJob).not.toHaveBeenCalled();
+  });
+
+  it('ignores checkpoints on a full rerun', async () => {
+    await run();
+    queue.addPageJob.mockClear();
+    await run({ rerun: 'full' });
+    expect(queue.addPageJob).toHaveBeenCalledTimes(3);
+    expect(savedResult().processing.reused_stages).toEqual([]);
+  });
+});
+
+describe('processJob mixed PDFs', () => {
+  const pdfPath = '/tmp/ocr-test-mixed.pdf';
+  const layerText = 'Statement of account with enough characters to count as a real text layer';
+
+  beforeAll(() => fs.writeFileSync(pdfPath, '%PDF-1.4\n'));
+  afterAll(() => fs.unlinkSync(pdfPath));
+
+  beforeEach(() => {
+    detectTextLayer.mockResolvedValue({ hasTextLayer: true, pageCount: 3, isEncrypted: false, textLayerPages: [1] });
+    extractTextFromLayer.mockResolvedValue([{ text: layerText, items: [] }, { text: '', items: [] }, { text: '', items: [] }]);
+    // Rendered page images are indexed by page, with holes for the pages not rendered
+    renderPagesToImages.mockImplementation(async (file, dpi, { pages }) => {
+      const images = [];
+      for (const page of pages) images[page - 1] = `/tmp/p/page.${page}.png`;
+      return images;
+    });
+    queue.addPageJob.mockImplementation(async data => ({ id: `page-${data.page}`, data }));
+    queue.waitForPageJob.mockImplementation(async pageJob => ({
+      state: 'completed',
+      value: { page: pageJob.data.page, text: `scanned page ${pageJob.data.page}`, processedImagePath: 'x', textPath: null },
+    }));
+  });
+
+  const run = () => processJob(fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: pdfPath, originalName: 'mixed.pdf' }));
+  const savedResult = () => models.insertResult.mock.calls.at(-1)[0].json_result;
+
+  it('renders and OCRs only the pages without a text layer', async () => {
+    await run();
+
+    expect(renderPagesToImages).toHaveBeenCalledWith(pdfPath, expect.any(Number), expect.objectContaining({ pages: [2, 3] }));
+    expect(queue.addPageJob).toHaveBeenCalledTimes(2);
+    expect(queue.addPageJob).not.toHaveBeenCalledWith(expect.objectContaining({ page: 1 }));
+
+    const result = savedResult();
+    expect(result.processing).toMatchObject({
+      is_scanned: false,
+      ocr_applied: true,
+      page_methods: { text_layer: [1], ocr: [2, 3] },
+    });
+    expect(result.warnings).toEqual(expect.arrayContaining([expect.objectContaining({ code: 'MIXED_PDF' })]));
+    expect(result.warnings).not.toEqual(expect.arrayContaining([expect.objectContaining({ code: 'SCANNED_PDF' })]));
+  });
+
+  it('records the stage that was running when the job failed', async () => {
+    detectTextLayer.mockRejectedValueOnce(Object.assign(new Error('The supplied password does not open this PDF'), { code: 'INVALID_PDF_PASSWORD' }));
+    await expect(run()).rejects.toMatchObject({ code: 'INVALID_PDF_PASSWORD' });
+    expect(models.recordJobFailure).toHaveBeenLastCalledWith('job-1', expect.objectContaining({ failed_stage: 'text-layer' }));
+
+    renderPagesToImages.mockRejectedValueOnce(new Error('gs crashed'));
+    await expect(run()).rejects.toThrow('gs crashed');
+    expect(models.recordJobFailure).toHaveBeenLastCalledWith('job-1', expect.objectContaining({ failed_stage: 'render' }));
+  });
+
+  it('lays OCR word boxes against the columns of a text-layer header', async () => {
+    // Page 1 in PDF points; page 2 OCR'd at 200 DPI, without a header of its own
+    const word = (text, x, width, line, unit = 1) => ({ text, x: x * unit, y: 100 * unit, width: width * unit, height: 8 * unit, line });
+    const px = 200 / 72;
+    extractTextFromLayer.mockResolvedValue([{
+      text: layerText,
+      items: [
+        word('Date', 40, 20, 0), word('Narration', 100, 45, 0), word('Debit', 300, 30, 0), word('Credit', 380, 35, 0), word('Balance', 460, 40, 0),
+        word('01/04/2024', 40, 50, 1), word('SALARY', 100, 35, 1), word('50,000.00', 370, 45, 1), word('1,50,000.00', 445, 55, 1),
+      ],
+    }, { text: '', items: [] }, { text: '', items: [] }]);
+    queue.waitForPageJob.mockImplementation(async pageJob => ({
+      state: 'completed',
+      value: {
+        page: pageJob.data.page,
+        text: '02/04/2024 ATM 2,000.00 1,48,000.00',
+        items: pageJob.data.page === 2
+          ? [word('02/04/2024', 40, 50, 0, px), word('ATM', 100, 20, 0, px), word('2,000.00', 290, 40, 0, px), word('1,48,000.00', 445, 55, 0, px)]
+          : [],
+        processedImagePath: 'x',
+        textPath: null,
+      },
+    }));
+
+    await processJob(fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: pdfPath, originalName: 'mixed.pdf', options: { document_type: 'bank_statement' } }));
+
+    const { transactions } = savedResult();
+    expect(transactions).toHaveLength(2);
+    expect(transactions[1]).toMatchObject({ description: 'ATM', debit: 2000, credit: null, balance: 148000 });
+  });
+
+  describe('password-protected PDFs', () => {
+    const { encryptSecret } = require('../src/utils/secrets');
+    const runWithPassword = password => processJob(fakeBullJob({
+      jobId: 'job-1', documentId: 'doc-1', filePath: pdfPath, originalName: 'mixed.pdf', encryptedPassword: encryptSecret(password),
+    }));
+    // Without the right password the file no longer opens
+    const locked = (file, { password } = {}) => (password === 'secret'
+      ? { hasTextLayer: true, pageCount: 3, isEncrypted: false, textLayerPages: [1] }
+      : { hasTextLayer: false, pageCount: 0, isEncrypted: true, textLayerPages: [] });
+
+    beforeEach(() => detectTextLayer.mockImplementation(async (...args) => locked(...args)));
+
+    it('does not reuse its checkpoints for a job without the password', async () => {
+      await runWithPassword('secret');
+      models.insertResult.mockClear();
+
+      await expect(run()).rejects.toMatchObject({ code: 'ENCRYPTED_PDF' });
+      expect(models.insertResult).not.toHaveBeenCalled();
+      expect(models.recordJobFailure).toHaveBeenCalledWith('job-1', expect.objectContaining({ error_code: 'ENCRYPTED_PDF' }));
+    });
+
+    it('checks the password before reusing its checkpoints', async () => {
+      await runWithPassword('secret');
+      detectTextLayer.mockClear();
+      extractTextFromLayer.mockClear();
+
+      await runWithPassword('secret');
+      expect(detectTextLayer).toHaveBeenCalledWith(pdfPath, { password: 'secret' });
+      expect(extractTextFromLayer).not.toHaveBeenCalled();
+      expect(savedResult().processing.reused_stages).toEqual(expect.arrayContaining(['layout', 'page_text']));
+
+      detectTextLayer.mockRejectedValueOnce(Object.assign(new Error('The supplied password does not open this PDF'), { code: 'INVALID_PDF_PASSWORD' }));
+      models.insertResult.mockClear();
+      await expect(runWithPassword('wrong')).rejects.toMatchObject({ code: 'INVALID_PDF_PASSWORD' });
+      expect(models.insertResult).not.toHaveBeenCalled();
+    });
+  });
+
+  it('skips OCR entirely when every page has a text layer', async () => {
+    detectTextLayer.mockResolvedValue({ hasTextLayer: true, pageCount: 3, isEncrypted: false, textLayerPages: [1, 2, 3] });
+    extractTextFromLayer.mockResolvedValue([1, 2, 3].map(() => ({ text: layerText, items: [] })));
+
+    await run();
+
+    expect(renderPagesToImages).not.toHaveBeenCalled();
+    expect(queue.addPageJob).not.toHaveBeenCalled();
+    expect(savedResult().processing).toMatchObject({ ocr_applied: false, page_methods: { text_layer: [1, 2, 3], ocr: [] } });
+  });
+
+  describe('cancelled after the last check', () => {
+    const finalAttempt = () => {
+      const job = fakeBullJob({ jobId: 'job-1', documentId: 'doc-1', filePath: pdfPath, originalName: 'mixed.pdf' });
+      job.attemptsMade = 1;
+      return job;
+    };
+
+    it('drops the result instead of marking the job succeeded', async () => {
+      models.completeJob.mockResolvedValueOnce(false);
+      const job = finalAttempt();
+
+      await expect(processJob(job)).rejects.toMatchObject({ code: 'JOB_CANCELLED' });
+
+      expect(models.deleteResult).toHaveBeenCalledWith(models.insertResult.mock.calls[0][0].id);
+      expect(models.updateDocumentStatus).not.toHaveBeenCalledWith('doc-1', 'done');
+      expect(models.recordJobFailure).not.toHaveBeenCalled();
+      expect(notifyJobFinished).not.toHaveBeenCalled();
+      expect(job.discard).toHaveBeenCalled();
+    });
+
+    it('does not record a failure over the cancel', async () => {
+      renderPagesToImages.mockRejectedValueOnce(new Error('gs crashed'));
+      models.recordJobFailure.mockResolvedValueOnce(false);
+      const job = finalAttempt();
+
+      await expect(processJob(job)).rejects.toThrow('gs crashed');
+
+      expect(models.updateDocumentStatus).not.toHaveBeenCalledWith('doc-1', 'failed');
+      expect(notifyJobFinished).not.toHaveBeenCalled();
+      expect(job.discard).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+// Bull stand-in: global events are plain emits, jobs live in a map
+jest.mock('bull', () => {
+  const { EventEmitter } = require('events');
+  return class FakeQueue extends EventEmitter {
+    constructor(name) {
+      super();
+      this.name = name;
+      this.jobs = new Map();
+    }
+    async getJob(id) {
+      return this.jobs.get(String(id)) || null;
+    }
+  };
+});
+
+const { initQueue, getQueue, waitForJob } = require('../src/workers/queue');
+
+function addJob(queue, id, state = 'active') {
+  const job = { id, queue, state, returnvalue: null, failedReason: null, getState: async () => job.state };
+  queue.jobs.set(String(id), job);
+  return job;
+}
+
+describe('waitForJob', () => {
+  let queue;
+  let baseline;
+
+  beforeAll(async () => {
+    queue = await initQueue({ processJobs: false });
+  });
+
+  beforeEach(() => {
+    queue.jobs.clear();
+    baseline = {
+      completed: queue.listenerCount('global:completed'),
+      failed: queue.listenerCount('global:failed'),
+    };
+  });
+
+  afterEach(() => {
+    expect(queue.listenerCount('global:completed')).toBe(baseline.completed);
+    expect(queue.listenerCount('global:failed')).toBe(baseline.failed);
+  });
+
+  test('resolves with the parsed return value of a completed job', async () => {
+    addJob(queue, '1');
+    const wait = waitForJob('1', 5000);
+    await new Promise(r => setImmediate(r));
+    queue.emit('global:completed', '1', JSON.stringify({ pages: 2 }));
+    await expect(wait).resolves.toEqual({ state: 'completed', value: { pages: 2 } });
+  });
+
+  test('ignores events of other jobs', async () => {
+    addJob(queue, '2');
+    const wait = waitForJob('2', 50);
+    await new Promise(r => setImmediate(r));
+    queue.emit('global:completed', '3', '{}');
+    await expect(wait).resolves.toEqual({ state: 'timeout' });
+  });
+
+  test('drops its listeners when the wait times out', async () => {
+    addJob(queue, '4');
+    await expect(waitForJob('4', 20)).resolves.toEqual({ state: 'timeout' });
+    expect(getQueue().listenerCount('global:completed')).toBe(baseline.completed);
+  });
+
+  test('picks up a job that finished before the wait started', async () => {
+    const job = addJob(queue, '5', 'failed');
+    job.failedReason = 'boom';
+    await expect(waitForJob('5', 5000)).resolves.toEqual({ state: 'failed', error: 'boom' });
+  });
+
+  test('keeps waiting through a retried attempt', async () => {
+    const job = addJob(queue, '6');
+    const wait = waitForJob('6', 5000);
+    await new Promise(r => setImmediate(r));
+    job.state = 'delayed';
+    queue.emit('global:failed', '6', 'transient');
+    await new Promise(r => setImmediate(r));
+    job.state = 'completed';
+    queue.emit('global:completed', '6', '"done"');
+    await expect(wait).resolves.toEqual({ state: 'completed', value: 'done' });
+  });
+
+  test('reports a job Bull has already removed as missing', async () => {
+    await expect(waitForJob('7', 5000)).resolves.toEqual({ state: 'missing' });
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const sharp = require('sharp');
+
+const { detectTables, extractTables } = require('../src/extractors/tableDetector');
+
+const COLUMNS = [60, 260, 700, 900, 1100];
+const ROWS = [
+  ['Date', 'Narration', 'Debit', 'Credit', 'Balance'],
+  ['01/04/2024', 'SALARY APRIL', '', '50,000.00', '1,50,000.00'],
+  ['02/04/2024', 'ATM WITHDRAWAL', '2,000.00', '', '1,48,000.00'],
+  ['05/04/2024', 'UPI PAYMENT', '1,250.00', '', '1,46,750.00'],
+];
+
+// A statement page with a title line and a transaction table, drawn with
+// row rules, column rules, or no rules at all
+function statementPage({ rowRules = false, columnRules = false } = {}) {
+  let body = '<text x="60" y="120" font-family="sans-serif" font-size="30">STATEMENT OF ACCOUNT FOR THE PERIOD 01/04/2024 TO 30/04/2024</text>';
+  ROWS.forEach((row, i) => row.forEach((text, j) => {
+    if (text) body += `<text x="${COLUMNS[j] + 10}" y="${330 + i * 60}" font-family="sans-serif" font-size="26">${text}</text>`;
+  }));
+  if (rowRules) {
+    for (let i = 0; i <= ROWS.length; i++) body += `<rect x="50" y="${290 + i * 60}" width="1300" height="3"/>`;
+  }
+  if (columnRules) {
+    for (const x of [...COLUMNS, 1360]) body += `<rect x="${x - 10}" y="290" width="3" height="${ROWS.length * 60 + 3}"/>`;
+  }
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1400" height="700">
+    <rect width="100%" height="100%" fill="white"/>${body}</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Which column each x falls in
+const columnOf = (table, x) => table.columns.findIndex(c => x >= c.x && x < c.x + c.width);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('detectTables', () => {
+  test('splits a fully ruled table at its rules', async () => {
+    const [table, ...rest] = await detectTables(await statementPage({ rowRules: true, columnRules: true }));
+
+    expect(rest).toHaveLength(0);
+    expect(table.ruled).toBe(true);
+    expect(table.rows).toHaveLength(4);
+    expect(table.columns).toHaveLength(5);
+    COLUMNS.forEach((x, i) => expect(columnOf(table, x + 10)).toBe(i));
+  });
+
+  test('finds whitespace columns between row rules', async () => {
+    const [table] = await detectTables(await statementPage({ rowRules: true }));
+    expect(table.ruled).toBe(true);
+    expect(table.rows).toHaveLength(4);
+    expect(table.columns).toHaveLength(5);
+    COLUMNS.forEach((x, i) => expect(columnOf(table, x + 20)).toBe(i));
+  });
+
+  test('finds a table drawn without rules, leaving out the title', async () => {
+    const [table] = await detectTables(await statementPage());
+    expect(table.ruled).toBe(false);
+    expect(table.rows).toHaveLength(4);
+    expect(table.bbox.y).toBeGreaterThan(200);
+    expect(table.columns).toHaveLength(5);
+  });
+
+  test('finds nothing in running text', async () => {
+    let body = '';
+    for (let i = 0; i < 8; i++) body += `<text x="60" y="${100 + i * 40}" font-family="sans-serif" font-size="26">This statement is issued for your information and needs no signature at all</text>`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1400" height="500"><rect width="100%" height="100%" fill="white"/>${body}</svg>`;
+    expect(await detectTables(await sharp(Buffer.from(svg)).png().toBuffer())).toEqual([]);
+  });
+});
+
+// OCR words as runOCR returns them for statementPage(): one per space-separated token
+function pageWords() {
+  const words = [{ text: 'STATEMENT', x: 60, y: 98, width: 160, height: 28, confidence: 0.95, line: 0 }];
+  ROWS.forEach((row, i) => row.forEach((text, j) => {
+    let x = COLUMNS[j] + 10;
+    for (const token of text.split(' ').filter(Boolean)) {
+      words.push({ text: token, x, y: 310 + i * 60, width: token.length * 14, height: 26, confidence: 0.9 - j / 100, line: i + 1 });
+      x += (token.length + 1) * 14;
+    }
+  }));
+  return words;
+}
+
+describe('extractTables', () => {
+  test('places the page\'s OCR words in the cells they fall in', async () => {
+    const [table] = await extractTables(await statementPage({ rowRules: true, columnRules: true }), pageWords());
+
+    expect(table.rows.map(row => row.cells.map(cell => cell.text))).toEqual(ROWS);
+    expect(table.rows[1].cells[2]).toEqual({ text: '', confidence: null });
+    expect(table.rows[1].cells[1]).toEqual({ text: 'SALARY APRIL', confidence: 0.89 });
+  });
+
+  test('keeps words outside the table out of its cells', async () => {
+    const [table] = await extractTables(await statementPage(), pageWords());
+
+    expect(table.rows.flatMap(row => row.cells.map(cell => cell.text))).not.toContain('STATEMENT');
+    expect(table.rows[2].cells.map(cell => cell.text)).toEqual(ROWS[2]);
+  });
+
+  test('leaves every cell empty without OCR words', async () => {
+    const [table] = await extractTables(await statementPage({ rowRules: true, columnRules: true }));
+    expect(table.rows.every(row => row.cells.every(cell => cell.text === '' && cell.confidence === null))).toBe(true);
+  });
+
+  test('returns null for an unreadable image', async () => {
+    expect(await extractTables('/tmp/no-such-page.png', pageWords())).toBeNull();
+  });
+});
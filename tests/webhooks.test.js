@@ -0,0 +1,157 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+jest.mock('../src/db/models', () => ({
+  getJob: jest.fn(),
+  getClientWebhook: jest.fn().mockResolvedValue(null),
+  insertWebhookDelivery: jest.fn().mockResolvedValue(),
+}));
+
+jest.mock('../src/workers/queue', () => ({
+  addWebhookDelivery: jest.fn().mockResolvedValue({ id: '1' }),
+}));
+
+const models = require('../src/db/models');
+const { addWebhookDelivery } = require('../src/workers/queue');
+const { signPayload, notifyJobFinished, deliverWebhook } = require('../src/workers/webhooks');
+const { isPublicAddress, assertPublicHost } = require('../src/utils/network');
+
+const SECRET = 'test-webhook-secret';
+
+// Receiver that records requests and answers with the given status
+function startReceiver(status) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+  }));
+}
+
+beforeEach(() => {
+  process.env.WEBHOOK_SECRET = SECRET;
+  jest.clearAllMocks();
+});
+afterEach(() => {
+  delete process.env.WEBHOOK_SECRET;
+});
+
+describe('notifyJobFinished', () => {
+  it('queues a compact event for the upload callback_url', async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'job-1', document_id: 'doc-1', callback_url: 'https://example.com/hook', client_id: 'c1' });
+    await notifyJobFinished('job-1', { status: 'success', documentType: 'bank_statement', confidence: 0.91 });
+
+    const { url, event, payload } = addWebhookDelivery.mock.calls[0][0];
+    expect(url).toBe('https://example.com/hook');
+    expect(event).toBe('job.completed');
+    expect(payload).toMatchObject({
+      job_id: 'job-1', document_id: 'doc-1', status: 'success',
+      document_type: 'bank_statement', confidence: 0.91, result_url: '/api/v1/jobs/job-1/result',
+    });
+    expect(models.getClientWebhook).not.toHaveBeenCalled();
+  });
+
+  it("falls back to the client's default webhook", async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'job-1', document_id: 'doc-1', callback_url: null, client_id: 'c1' });
+    models.getClientWebhook.mockResolvedValueOnce({ url: 'https://example.com/default' });
+    await notifyJobFinished('job-1', { status: 'failed', errorMessage: '[OCR_ERROR] boom' });
+
+    const { url, event, payload } = addWebhookDelivery.mock.calls[0][0];
+    expect(url).toBe('https://example.com/default');
+    expect(event).toBe('job.failed');
+    expect(payload.error_message).toBe('[OCR_ERROR] boom');
+  });
+
+  it('does nothing without a target', async () => {
+    models.getJob.mockResolvedValueOnce({ id: 'job-1', document_id: 'doc-1', callback_url: null, client_id: 'c1' });
+    await notifyJobFinished('job-1', { status: 'success' });
+    expect(addWebhookDelivery).not.toHaveBeenCalled();
+  });
+});
+
+describe('deliverWebhook', () => {
+  const payload = { event: 'job.completed', job_id: 'job-1', status: 'success' };
+
+  // The test receivers listen on loopback, which only an allowlist lets through
+  beforeEach(() => { process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1'; });
+  afterEach(() => { delete process.env.WEBHOOK_ALLOWED_HOSTS; });
+
+  it('POSTs the payload with a verifiable signature and records the attempt', async () => {
+    const receiver = await startReceiver(200);
+    try {
+      await deliverWebhook({ id: '9', attemptsMade: 0, data: { jobId: 'job-1', event: 'job.completed', url: receiver.url, payload } });
+
+      const [{ headers, body }] = receiver.received;
+      expect(JSON.parse(body)).toEqual(payload);
+      expect(headers['x-ocr-event']).toBe('job.completed');
+      const [, t, v1] = headers['x-ocr-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+      expect(v1).toBe(crypto.createHmac('sha256', SECRET).update(`${t}.${body}`).digest('hex'));
+      expect(signPayload(body, t)).toBe(headers['x-ocr-signature']);
+
+      expect(models.insertWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, success: true, response_status: 200 }));
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  it('throws on a non-2xx response so Bull retries, and records the failure', async () => {
+    const receiver = await startReceiver(503);
+    try {
+      await expect(deliverWebhook({ id: '9', attemptsMade: 2, data: { jobId: 'job-1', event: 'job.completed', url: receiver.url, payload } }))
+        .rejects.toMatchObject({ code: 'WEBHOOK_DELIVERY_FAILED' });
+      expect(models.insertWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({ attempt: 3, success: false, response_status: 503 }));
+    } finally {
+      receiver.server.close();
+    }
+  });
+});
+
+describe('webhook targets', () => {
+  it('tells public addresses from internal ones', () => {
+    for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700::1111']) expect(isPublicAddress(address)).toBe(true);
+    for (const address of [
+      '127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', 'fd00::5', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not-an-ip',
+      // NAT64 (well-known and local-use) and IPv4-compatible forms of loopback and private addresses
+      '64:ff9b::7f00:1', '64:ff9b::a00:1', '64:ff9b:1::a9fe:a9fe', '::127.0.0.1', '::a00:1',
+    ]) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  });
+
+  it('refuses hosts that resolve to internal addresses unless allowlisted', async () => {
+    await expect(assertPublicHost('169.254.169.254')).rejects.toMatchObject({ code: 'WEBHOOK_TARGET_BLOCKED' });
+    await expect(assertPublicHost('[::1]')).rejects.toMatchObject({ code: 'WEBHOOK_TARGET_BLOCKED' });
+    await expect(assertPublicHost('[64:ff9b::7f00:1]')).rejects.toMatchObject({ code: 'WEBHOOK_TARGET_BLOCKED' });
+    await expect(assertPublicHost('[::127.0.0.1]')).rejects.toMatchObject({ code: 'WEBHOOK_TARGET_BLOCKED' });
+    await expect(assertPublicHost('localhost')).rejects.toMatchObject({ code: 'WEBHOOK_TARGET_BLOCKED' });
+
+    process.env.WEBHOOK_ALLOWED_HOSTS = 'receiver.internal, localhost';
+    try {
+      await expect(assertPublicHost('localhost')).resolves.toBeUndefined();
+    } finally {
+      delete process.env.WEBHOOK_ALLOWED_HOSTS;
+    }
+  });
+
+  it('does not deliver to an internal address, and does not retry', async () => {
+    const receiver = await startReceiver(200);
+    const bullJob = { id: '9', attemptsMade: 0, data: { jobId: 'job-1', event: 'job.completed', url: receiver.url, payload: {} }, discard: jest.fn() };
+    try {
+      await expect(deliverWebhook(bullJob)).rejects.toMatchObject({ code: 'WEBHOOK_TARGET_BLOCKED' });
+      expect(receiver.received).toHaveLength(0);
+      expect(bullJob.discard).toHaveBeenCalled();
+      expect(models.insertWebhookDelivery).toHaveBeenCalledWith(expect.objectContaining({ success: false, error_message: expect.stringContaining('not a public address') }));
+    } finally {
+      receiver.server.close();
+    }
+  });
+});